@@ -34,6 +34,11 @@ const benchmarks = [
     url: 'http://localhost:3000/api/json',
     method: 'GET'
   },
+  {
+    title: 'Complex JSON (Schema)',
+    url: 'http://localhost:3000/api/json-schema',
+    method: 'GET'
+  },
   {
     title: 'POST with JSON Body',
     url: 'http://localhost:3000/api/echo',
@@ -0,0 +1,2 @@
+// Types for `vite-node-api/errors`
+export { HttpError, createError, isHttpError, ErrorResponse, ErrorHandler } from "./index.js";
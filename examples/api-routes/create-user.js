@@ -1,12 +1,8 @@
 // Example API route: POST /api/create-user
 // Expects JSON body: { "name": "John", "email": "john@example.com" }
+// Other methods are answered with 405 and an Allow header automatically
 
-export default function handler(req, res) {
-  if (req.method !== 'POST') {
-    res.statusCode = 405
-    return { error: 'Method not allowed' }
-  }
-
+export function POST(req, res) {
   const { name, email } = req.body
 
   if (!name || !email) {
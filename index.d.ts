@@ -1,12 +1,345 @@
 import type { Plugin } from "vite";
 import type { IncomingMessage, ServerResponse } from "http";
 
+export type CorsOrigin =
+  | string
+  | RegExp
+  | Array<string | RegExp>
+  | ((
+      origin: string,
+      req: IncomingMessage
+    ) => boolean | string | Promise<boolean | string>);
+
 export interface CorsOptions {
   /**
-   * CORS origin
+   * Allowed origin
+   * - `"*"`: any origin (the request origin is echoed when `credentials` is set)
+   * - `string`: a fixed origin
+   * - `RegExp` or list of strings/RegExps: echo matching request origins
+   * - function: return `true` to echo the origin, `false` to deny, or the value to send.
+   *   Dev only: `vite build` rejects functions, use a module path instead.
+   * - module path (`.js`/`.ts`): a module whose default export is that function,
+   *   bundled into `dist/server` for production
    * @default "*"
    */
-  origin?: string;
+  origin?: CorsOrigin;
+
+  /**
+   * Allowed methods
+   * @default ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"]
+   */
+  methods?: string[];
+
+  /**
+   * Allowed request headers. By default the preflight's
+   * `Access-Control-Request-Headers` are echoed back.
+   */
+  allowedHeaders?: string[];
+
+  /**
+   * Response headers the browser may read
+   */
+  exposedHeaders?: string[];
+
+  /**
+   * Allow cookies and authorization headers
+   * @default false
+   */
+  credentials?: boolean;
+
+  /**
+   * Seconds a browser may cache the preflight response
+   */
+  maxAge?: number;
+}
+
+export interface HealthOptions {
+  /**
+   * Liveness path, runs the `live` checks
+   * @default "/_health"
+   */
+  live?: string;
+
+  /**
+   * Readiness path, runs the `ready` checks and fails during shutdown
+   * @default "/_ready"
+   */
+  ready?: string;
+}
+
+/**
+ * Checks exported as `live` / `ready` from `_health.js`.
+ * A check passes unless it throws or returns `false`.
+ */
+export type HealthChecks = Record<string, () => unknown | Promise<unknown>>;
+
+export interface CookieOptions {
+  /** Lifetime in seconds (`Max-Age`) */
+  maxAge?: number;
+  expires?: Date;
+  domain?: string;
+  /** @default "/" */
+  path?: string;
+  secure?: boolean;
+  httpOnly?: boolean;
+  /** `true` means `"Strict"` */
+  sameSite?: true | "Strict" | "Lax" | "None" | "strict" | "lax" | "none";
+  /** CHIPS partitioned cookie */
+  partitioned?: boolean;
+  priority?: "Low" | "Medium" | "High" | "low" | "medium" | "high";
+  /** Sign the value with the `cookies.secret` option */
+  signed?: boolean;
+}
+
+export interface CookieConfig {
+  /**
+   * Secret for signed cookies. With a list, the first signs and every one
+   * verifies, so secrets can be rotated. Defaults to `VITE_NODE_API_COOKIE_SECRET`
+   * (comma-separated). Dev only: the build never writes it to `dist/server`, so
+   * the production server reads `VITE_NODE_API_COOKIE_SECRET`.
+   */
+  secret?: string | string[];
+}
+
+/**
+ * A loaded session: its own properties are the session data (JSON-serializable)
+ */
+export type Session = Record<string, any> & {
+  /** Session id (changes on `regenerate()`) */
+  readonly id: string;
+  /** Whether the session was created by this request */
+  readonly isNew: boolean;
+  /** Move the data to a new id (call after login to prevent session fixation) */
+  regenerate(): Promise<void>;
+  /** Delete the session and expire its cookie */
+  destroy(): Promise<void>;
+};
+
+/**
+ * Where sessions are kept. Methods may be sync or async.
+ */
+export interface SessionStore {
+  /** Session data, or undefined when missing or expired */
+  get(id: string): Record<string, any> | undefined | Promise<Record<string, any> | undefined>;
+  /** Save session data for `ttl` milliseconds */
+  set(id: string, data: Record<string, any>, ttl: number): unknown;
+  destroy(id: string): unknown;
+  /** Extend an unchanged session (falls back to `set`) */
+  touch?(id: string, ttl: number): unknown;
+}
+
+export interface SessionOptions {
+  /**
+   * Session cookie name
+   * @default "sid"
+   */
+  name?: string;
+
+  /**
+   * Lifetime in seconds
+   * @default 86400
+   */
+  maxAge?: number;
+
+  /**
+   * Every request that loads the session extends it
+   * @default true
+   */
+  rolling?: boolean;
+
+  /**
+   * Session cookie attributes
+   * @default { httpOnly: true, sameSite: "lax", path: "/" }
+   */
+  cookie?: Omit<CookieOptions, "maxAge" | "expires" | "signed">;
+
+  /**
+   * `"memory"`, `"file"` (one JSON file per session in `dir`), a module path
+   * whose default export is a store (bundled for production), or a store
+   * object (dev only)
+   * @default "memory"
+   */
+  store?: "memory" | "file" | string | SessionStore;
+
+  /**
+   * Directory of the file store. Override in production with `VITE_NODE_API_SESSION_DIR`.
+   * @default os.tmpdir()/vite-node-api-sessions
+   */
+  dir?: string;
+}
+
+export interface AuthOptions {
+  /**
+   * HS256 secret. Defaults to `VITE_NODE_API_JWT_SECRET`. Dev only: never written
+   * to `dist/server`, so the production server reads the environment variable.
+   */
+  secret?: string;
+  /**
+   * RS256 public key (PEM). Defaults to `VITE_NODE_API_JWT_PUBLIC_KEY`. Dev only,
+   * like `secret`.
+   */
+  publicKey?: string;
+  /** Cookie holding the token when there is no `Authorization: Bearer` header */
+  cookie?: string;
+  /** Accepted `iss` values */
+  issuer?: string | string[];
+  /** Accepted `aud` values (any match) */
+  audience?: string | string[];
+  /**
+   * Seconds of leeway for `exp` and `nbf`
+   * @default 0
+   */
+  clockTolerance?: number;
+  /**
+   * Claim listing the user's roles
+   * @default "roles"
+   */
+  rolesClaim?: string;
+}
+
+export interface AuthRequirement {
+  /** The user needs at least one of these roles */
+  roles?: string[];
+  /** The user needs every one of these scopes (`scope` or `scp` claim) */
+  scopes?: string[];
+}
+
+export type RateLimitAlgorithm = "fixed-window" | "token-bucket";
+
+/**
+ * Rule passed to a rate limit store
+ */
+export interface RateLimitRule {
+  algorithm: RateLimitAlgorithm;
+  /** Requests per window (bucket capacity for token-bucket) */
+  limit: number;
+  /** Window length in milliseconds (time to refill a whole bucket) */
+  window: number;
+}
+
+export interface RateLimitResult {
+  /** Whether the request may proceed */
+  allowed: boolean;
+  /** Requests left in the window */
+  remaining: number;
+  /** Milliseconds until the window resets (the bucket is full) */
+  reset: number;
+  /** Milliseconds until a denied request may retry */
+  retryAfter: number;
+}
+
+/**
+ * Where rate limit counters live. Implement it to share limits between machines
+ * (e.g. Redis), using {@link consumeRateLimit} for the algorithms.
+ */
+export interface RateLimitStore {
+  /** Count one request for `key` */
+  consume(key: string, rule: RateLimitRule): RateLimitResult | Promise<RateLimitResult>;
+}
+
+export interface RateLimitOptions {
+  /** @default "fixed-window" */
+  algorithm?: RateLimitAlgorithm;
+
+  /** @default 100 */
+  limit?: number;
+
+  /** @default 60000 */
+  window?: number;
+
+  /**
+   * Client key: `"ip"` (socket address), or a module path (`.js`/`.ts`) whose
+   * default export returns the key and is bundled for production. Requests whose
+   * key is `null`/`undefined` are not limited. Functions apply in dev only:
+   * `vite build` rejects them.
+   * @default "ip"
+   */
+  key?:
+    | "ip"
+    | (string & {})
+    | ((req: ApiRequest) => string | null | undefined | Promise<string | null | undefined>);
+
+  /**
+   * Counter store: `"memory"`, `"cluster"` (counters in the cluster primary),
+   * a module path whose default export is a store (bundled for production),
+   * or a store object (dev only).
+   * @default "cluster" in workers forked by the `workers` option, "memory" otherwise
+   */
+  store?: "memory" | "cluster" | string | RateLimitStore;
+}
+
+export interface OpenApiOptions {
+  /**
+   * Dev server path serving the document
+   * @default "/api/_openapi.json"
+   */
+  path?: string;
+
+  /**
+   * Document info
+   * @default { title: "API", version: "1.0.0" }
+   */
+  info?: { title?: string; version?: string; description?: string };
+
+  /**
+   * Servers listed in the document
+   */
+  servers?: Array<{ url: string; description?: string }>;
+}
+
+export interface UploadOptions {
+  /**
+   * Directory uploaded files are streamed to
+   * @default os.tmpdir()
+   */
+  dir?: string;
+
+  /**
+   * Maximum size of one file in bytes
+   * @default 10000000 (10MB)
+   */
+  fileSize?: number;
+
+  /**
+   * Maximum size of all files of a request in bytes
+   * @default 50000000 (50MB)
+   */
+  totalSize?: number;
+
+  /**
+   * Maximum number of files per request
+   * @default 10
+   */
+  files?: number;
+}
+
+/**
+ * File uploaded with multipart/form-data, removed after the response
+ */
+export interface UploadedFile {
+  /** Form field name */
+  field: string;
+
+  /** Original file name sent by the client */
+  filename: string;
+
+  /** Declared MIME type */
+  mimeType: string;
+
+  /** Size in bytes */
+  size: number;
+
+  /** Temp file path */
+  path: string;
+}
+
+export interface ClientOptions {
+  /**
+   * Where to write type declarations for `virtual:vite-node-api/client`
+   * (`false` to skip). Make sure the file is included by your tsconfig.
+   * @default "src/vite-node-api-client.d.ts"
+   */
+  dts?: string | false;
 }
 
 export interface ViteNodeApiOptions {
@@ -40,26 +373,290 @@ export interface ViteNodeApiOptions {
    * - `object`: Configure CORS with custom options
    */
   cors?: boolean | CorsOptions;
+
+  /**
+   * Limits and temp directory for multipart/form-data file uploads
+   */
+  uploads?: UploadOptions;
+
+  /**
+   * Worker processes for the production runtime (`node:cluster`).
+   * `"auto"` forks one per CPU; crashed workers restart with backoff and
+   * `SIGHUP` replaces them one by one. Override with `VITE_NODE_API_WORKERS`.
+   * @default 1
+   */
+  workers?: number | "auto";
+
+  /**
+   * Milliseconds the production server waits for in-flight requests on
+   * SIGTERM/SIGINT before closing the remaining connections.
+   * Override with `VITE_NODE_API_DRAIN_TIMEOUT`.
+   * @default 10000
+   */
+  drainTimeout?: number;
+
+  /**
+   * Liveness and readiness endpoints, running checks exported by
+   * `_health.js` in `apiDir`. `false` disables them.
+   * @default { live: "/_health", ready: "/_ready" }
+   */
+  health?: boolean | HealthOptions;
+
+  /**
+   * Access log with request IDs
+   * - `"pretty"`: one line per request (dev default, off under `NODE_ENV=test`)
+   * - `"json"`: JSON lines on stdout (production default)
+   * - module path (e.g. `"server/logger.js"`): its default export receives each
+   *   entry, in dev and in the production build
+   * - function: receives each entry (dev only)
+   * - `false`: disabled
+   * Override in production with `VITE_NODE_API_LOG`.
+   */
+  logger?: false | "pretty" | "json" | string | ((entry: AccessLogEntry) => void);
+
+  /**
+   * Cookie signing secret for `res.setCookie(..., { signed: true })` and
+   * `req.signedCookies`
+   */
+  cookies?: CookieConfig;
+
+  /**
+   * Keys and claim checks for routes exporting `auth`: the JWT from the
+   * `Authorization` header (or `cookie`) is verified and its claims become `req.user`
+   */
+  auth?: AuthOptions;
+
+  /**
+   * Sessions available as `await req.session`. The session cookie is signed
+   * when `cookies.secret` is set.
+   * @default false
+   */
+  session?: boolean | SessionOptions;
+
+  /**
+   * Rate limit for all API routes. Routes can export their own `rateLimit`
+   * (counted separately) or `false` to opt out.
+   * Override the limit in production with `VITE_NODE_API_RATE_LIMIT`.
+   * @default false
+   */
+  rateLimit?: boolean | RateLimitOptions;
+
+  /**
+   * Generate an OpenAPI 3.1 document from the route tree.
+   * Served at `path` in dev and written to `dist/openapi.json` on build.
+   * @default false
+   */
+  openapi?: boolean | OpenApiOptions;
+
+  /**
+   * Typed fetch client served as `virtual:vite-node-api/client`, with type
+   * declarations written on build start and route changes. Off by default:
+   * generating it imports every route module.
+   * @default false
+   */
+  client?: boolean | ClientOptions;
 }
 
 export interface ApiRequest extends IncomingMessage {
   /**
-   * Parsed JSON request body (for POST, PUT, PATCH)
+   * Parsed request body (for POST, PUT, PATCH): JSON, or the fields of a
+   * urlencoded/multipart form (repeated keys become arrays)
    */
   body?: any;
 
   /**
-   * Parsed query parameters from URL
+   * Files uploaded with multipart/form-data, by field name
+   */
+  files?: Record<string, UploadedFile | UploadedFile[]>;
+
+  /**
+   * Parsed query parameters from URL (coerced when the route declares a query schema)
+   */
+  query?: Record<string, any>;
+
+  /**
+   * Dynamic route parameters (e.g., /api/users/[id] → params.id).
+   * Catch-all segments ([...slug], [[...slug]]) are delivered as arrays.
+   */
+  params?: Record<string, string | string[]>;
+
+  /**
+   * Request ID from a valid incoming `X-Request-Id`, or a generated UUID.
+   * Echoed as the `X-Request-Id` response header.
+   */
+  id?: string;
+
+  /**
+   * Cookies from the `Cookie` header (signed cookies are in `signedCookies`)
+   */
+  cookies?: Record<string, string>;
+
+  /**
+   * Verified signed cookies; `false` when the signature doesn't match
    */
-  query?: Record<string, string>;
+  signedCookies?: Record<string, string | false>;
 
   /**
-   * Dynamic route parameters (e.g., /api/users/[id] → params.id)
+   * The session, loaded from the store on first access (requires the
+   * `session` option). Saved after the handler returns if its data changed.
    */
-  params?: Record<string, string>;
+  session?: Promise<Session>;
+
+  /**
+   * Verified JWT claims on routes exporting `auth`
+   */
+  user?: Record<string, any>;
 }
 
-export type ApiResponse = ServerResponse;
+export interface AccessLogEntry {
+  /** ISO timestamp of the request start */
+  time: string;
+  /** Request ID (`req.id`) */
+  id: string;
+  method: string;
+  /** Request path with query string */
+  path: string;
+  /** Matched route file relative to `apiDir`, or null */
+  route: string | null;
+  status: number;
+  /** Milliseconds until the response ended */
+  duration: number;
+  /** Response body bytes */
+  bytes: number;
+}
+
+export interface EventStreamOptions {
+  /**
+   * Interval of keep-alive comments in milliseconds (0 disables)
+   * @default 15000
+   */
+  heartbeat?: number;
+
+  /** Reconnection delay sent to the client in milliseconds */
+  retry?: number;
+}
+
+export interface EventOptions {
+  /** Event name (`addEventListener(event, ...)` on the client) */
+  event?: string;
+
+  /** Event id, sent back as `Last-Event-ID` when the client reconnects */
+  id?: string | number;
+
+  /** Reconnection delay in milliseconds */
+  retry?: number;
+}
+
+/**
+ * Server-Sent Events stream returned by `res.sse()`
+ */
+export interface EventStream {
+  /** `Last-Event-ID` header of a reconnecting client */
+  readonly lastEventId: string | null;
+
+  /** True once the client disconnected or `close()` was called */
+  readonly closed: boolean;
+
+  /** Aborted when the stream closes */
+  readonly signal: AbortSignal;
+
+  /** Send an event; non-string data is JSON-encoded */
+  send(data: any, options?: EventOptions): boolean;
+
+  /** Send a comment line */
+  comment(text: string): boolean;
+
+  /** Run cleanup when the stream closes */
+  onClose(fn: () => void): void;
+
+  /** End the stream */
+  close(): void;
+}
+
+export interface ApiResponse extends ServerResponse {
+  /**
+   * Switch the response to a Server-Sent Events stream.
+   * The stream is exempt from the request timeout and stays open after the
+   * handler returns, until `close()` or the client disconnects.
+   */
+  sse(options?: EventStreamOptions): EventStream;
+
+  /**
+   * Append a `Set-Cookie` header. `signed: true` signs the value with the
+   * `cookies.secret` option (it is then read from `req.signedCookies`).
+   */
+  setCookie(name: string, value: string, options?: CookieOptions): this;
+
+  /**
+   * Expire a cookie. Pass the `domain`/`path` it was set with.
+   */
+  clearCookie(
+    name: string,
+    options?: Pick<CookieOptions, "domain" | "path" | "secure" | "sameSite" | "partitioned">
+  ): this;
+
+  /** Set the status code: `res.status(201).json(user)` */
+  status(code: number): this;
+
+  /** Send JSON with the current status code */
+  json(value: unknown): void;
+
+  /**
+   * Send a body: strings as `text/plain`, Buffers and streams as
+   * `application/octet-stream`, anything else as JSON. A `Content-Type`
+   * set before takes precedence.
+   */
+  send(body?: ResponseBody): void;
+
+  /** Redirect to a URL (302 unless another 3xx status is given) */
+  redirect(location: string, status?: number): void;
+}
+
+/**
+ * Body accepted by `res.send()` and {@link createResponse}
+ */
+export type ResponseBody =
+  | string
+  | Buffer
+  | Uint8Array
+  | import("stream").Readable
+  | Record<string, any>
+  | any[]
+  | number
+  | boolean
+  | null
+  | undefined;
+
+/**
+ * A response a handler can return instead of JSON data
+ */
+export interface ResponseInit {
+  /** Status code (default: the current `res.statusCode`) */
+  status?: number;
+  headers?: Record<string, string | number | string[]>;
+  body?: ResponseBody;
+}
+
+/**
+ * Create a response a handler can return, for text, binary or streamed bodies.
+ * Plain objects returned by handlers are always sent as JSON.
+ *
+ * @example
+ * ```js
+ * import { createResponse } from 'vite-node-api/response'
+ *
+ * export const GET = async () => createResponse({
+ *   headers: { 'Content-Type': 'text/csv' },
+ *   body: await exportUsersCsv(),
+ * })
+ * ```
+ */
+export function createResponse(init?: ResponseInit): ResponseInit;
+
+/**
+ * Check for a response from {@link createResponse}
+ */
+export function isResponse(value: unknown): value is ResponseInit;
 
 /**
  * API route handler function
@@ -70,7 +667,168 @@ export type ApiHandler = (
 ) => Promise<any> | any;
 
 /**
- * Vite plugin for Node.js API routes with JSON-only, single-port backend and frontend.
+ * Default export of a `_middleware.js` file.
+ * Return nothing to continue; return a value (or end the response) to
+ * short-circuit the chain and skip the route handler.
+ */
+export type ApiMiddleware = (
+  req: ApiRequest,
+  res: ApiResponse
+) => Promise<any> | any;
+
+/**
+ * An error with an HTTP status, thrown by handlers to choose the response.
+ * Messages of 4xx errors are sent to clients; 5xx messages are hidden in
+ * production like any unexpected error.
+ *
+ * @example
+ * ```js
+ * import { HttpError } from 'vite-node-api/errors'
+ *
+ * export const GET = async (req) => {
+ *   const user = await db.users.find(req.params.id)
+ *   if (!user) throw new HttpError(404, 'User not found')
+ *   return user
+ * }
+ * ```
+ */
+export class HttpError extends Error {
+  /**
+   * @param status - HTTP status code
+   * @param message - Defaults to the status text ("Not Found")
+   * @param details - Sent as `details` in the response body
+   */
+  constructor(status: number, message?: string, details?: unknown);
+  status: number;
+  details?: unknown;
+  /** Extra response headers (e.g. `WWW-Authenticate`) */
+  headers?: Record<string, string>;
+  /** Whether the message is safe to send in production (status < 500) */
+  expose: boolean;
+}
+
+/**
+ * Create an {@link HttpError}
+ */
+export function createError(status: number, message?: string, details?: unknown): HttpError;
+
+/**
+ * Check for an HttpError, including ones from a separately bundled copy of the module
+ */
+export function isHttpError(err: unknown): err is HttpError;
+
+/**
+ * Default error response, passed to the `_error.js` hook
+ */
+export interface ErrorResponse {
+  status: number;
+  body: { error: string; details?: unknown };
+}
+
+/**
+ * Default export of a `server/api/_error.js` file, called for every error
+ * response with `res.statusCode` already set. Return a value to send it as
+ * the JSON body, return nothing to send the default body, or end the
+ * response yourself.
+ */
+export type ErrorHandler = (
+  err: unknown,
+  req: ApiRequest,
+  res: ApiResponse,
+  response: ErrorResponse
+) => Promise<any> | any;
+
+/**
+ * HTTP methods that can be exported as named route handlers
+ */
+export type HttpMethod =
+  | "GET"
+  | "HEAD"
+  | "POST"
+  | "PUT"
+  | "PATCH"
+  | "DELETE"
+  | "OPTIONS";
+
+/**
+ * JSON Schemas for a route's input and output
+ */
+export interface RouteSchema {
+  /** Schema for the parsed request body */
+  body?: object;
+
+  /** Schema for query parameters (values coerced to declared types) */
+  query?: object;
+
+  /** Schema for route parameters (values coerced to declared types) */
+  params?: object;
+
+  /**
+   * Response schema used for 2xx responses, or a map of status code
+   * (`200`, `2xx`, `default`) to schema
+   */
+  response?: object | Record<string, object>;
+}
+
+/**
+ * OpenAPI metadata for a route operation
+ */
+export interface RouteMeta {
+  summary?: string;
+  description?: string;
+  tags?: string[];
+  operationId?: string;
+  deprecated?: boolean;
+
+  /** Methods to document for routes that only have a default export */
+  methods?: HttpMethod[];
+}
+
+/**
+ * WebSocket callbacks exported as `websocket` from a route module.
+ * Upgrades are accepted at the route's URL; `req.params` and `req.query`
+ * are populated like for HTTP requests.
+ */
+export interface WebSocketHandlers {
+  open?(ws: import("ws").WebSocket, req: ApiRequest): any;
+
+  /** Text frames arrive as strings, binary frames as Buffers */
+  message?(ws: import("ws").WebSocket, data: string | Buffer, req: ApiRequest): any;
+
+  close?(ws: import("ws").WebSocket, code: number, reason: string, req: ApiRequest): any;
+
+  /** Called for socket errors and errors thrown by the other callbacks */
+  error?(ws: import("ws").WebSocket, err: Error, req: ApiRequest): any;
+}
+
+/**
+ * Shape of an API route module.
+ * Named method exports take precedence over the default export.
+ */
+export type RouteModule = {
+  default?: ApiHandler;
+
+  /** One schema for all methods, or one per method */
+  schema?: RouteSchema | Partial<Record<HttpMethod, RouteSchema>>;
+
+  /** OpenAPI metadata for all methods, or one per method */
+  meta?: RouteMeta | Partial<Record<HttpMethod, RouteMeta>>;
+
+  /** Accept WebSocket upgrades at this route */
+  websocket?: WebSocketHandlers;
+
+  /**
+   * Require a valid JWT (`true`), roles/scopes, or one of those per method.
+   * Missing or invalid tokens answer 401, missing roles/scopes 403.
+   */
+  auth?: boolean | AuthRequirement | Partial<Record<HttpMethod, boolean | AuthRequirement>>;
+
+  /** Rate limit for this route (merged over the global option), or `false` to opt out */
+  rateLimit?: false | Omit<RateLimitOptions, "store">;
+} & Partial<Record<HttpMethod, ApiHandler>>;
+
+/**
+ * Vite plugin for Node.js API routes with JSON-first, single-port backend and frontend.
  *
  * @param options - Plugin configuration options
  * @returns Vite plugin object
@@ -92,3 +850,14 @@ export type ApiHandler = (
  * ```
  */
 export default function viteNodeApi(options?: ViteNodeApiOptions): Plugin;
+
+/**
+ * Apply one request to a rate limit counter. `state` is the value returned by
+ * the previous call for the key (undefined at first); `expires` is when the
+ * state can be dropped.
+ */
+export function consumeRateLimit(
+  state: object | undefined,
+  rule: RateLimitRule,
+  now?: number
+): RateLimitResult & { state: object; expires: number };
@@ -0,0 +1,9 @@
+// Types for `vite-node-api/ratelimit`
+export {
+  consumeRateLimit,
+  RateLimitAlgorithm,
+  RateLimitOptions,
+  RateLimitResult,
+  RateLimitRule,
+  RateLimitStore,
+} from "./index.js";
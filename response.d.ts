@@ -0,0 +1,2 @@
+// Types for `vite-node-api/response`
+export { createResponse, isResponse, ResponseBody, ResponseInit } from "./index.js";
@@ -0,0 +1,230 @@
+import crypto from "crypto";
+import { createError } from "./errors.js";
+import { HTTP_METHODS } from "./methods.js";
+
+/**
+ * Bearer/JWT authentication for API routes, shared by the dev server and the
+ * production runtime. A route exports `auth = true` (or required roles and
+ * scopes, optionally per method); the token from the `Authorization` header
+ * or a cookie is verified (HS256 or RS256) and its claims become `req.user`.
+ * Failures answer 401/403 through the regular error handling.
+ * @module auth
+ */
+
+/**
+ * @typedef {Object} AuthOptions
+ * @property {string} [secret] - HS256 secret
+ * @property {string} [publicKey] - RS256 public key (PEM)
+ * @property {string} [cookie] - Cookie holding the token when there is no `Authorization` header
+ * @property {string|string[]} [issuer] - Accepted `iss` values
+ * @property {string|string[]} [audience] - Accepted `aud` values (any match)
+ * @property {number} [clockTolerance=0] - Seconds of leeway for `exp` and `nbf`
+ * @property {string} [rolesClaim="roles"] - Claim listing the user's roles
+ */
+
+/**
+ * @typedef {Object} AuthRequirement
+ * @property {string[]} [roles] - The user needs at least one of these roles
+ * @property {string[]} [scopes] - The user needs every one of these scopes
+ */
+
+/**
+ * Per-route `auth` export: `true` for any valid token, a requirement, `false`
+ * for none, or one of those per method
+ * @typedef {boolean|AuthRequirement|Partial<Record<string, boolean|AuthRequirement>>} RouteAuth
+ */
+
+export const DEFAULT_AUTH = { clockTolerance: 0, rolesClaim: "roles" };
+
+/** Hash behind each supported algorithm */
+const ALGORITHMS = { HS256: "sha256", RS256: "RSA-SHA256" };
+
+const BEARER_RE = /^Bearer\s+(\S+)$/i;
+
+/**
+ * Read a PEM key from the environment, where line breaks are usually escaped
+ * @param {string|undefined} value
+ * @returns {string|undefined}
+ */
+export const readPemEnv = (value) => value?.replace(/\\n/g, "\n");
+
+/**
+ * Normalize the `auth` option. Keys missing from it come from
+ * `VITE_NODE_API_JWT_SECRET` / `VITE_NODE_API_JWT_PUBLIC_KEY`.
+ * @param {AuthOptions|undefined} auth
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {AuthOptions}
+ */
+export function resolveAuthOptions(auth, env = process.env) {
+  return {
+    ...DEFAULT_AUTH,
+    ...auth,
+    secret: auth?.secret ?? env.VITE_NODE_API_JWT_SECRET,
+    publicKey: auth?.publicKey ?? readPemEnv(env.VITE_NODE_API_JWT_PUBLIC_KEY),
+  };
+}
+
+/**
+ * Pick the requirement for a request method from a route module
+ * @param {Record<string, any>} mod - Imported route module
+ * @param {string} method - Request method
+ * @returns {AuthRequirement|null} Null when the route is public
+ */
+export function getRouteAuth(mod, method) {
+  let auth = mod.auth;
+  if (auth && typeof auth === "object" && HTTP_METHODS.some((m) => m in auth)) {
+    auth = auth[method] ?? (method === "HEAD" ? auth.GET : undefined);
+  }
+  if (!auth) return null;
+  return auth === true ? {} : auth;
+}
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment
+ * @returns {Record<string, any>}
+ */
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, "base64url").toString());
+
+/**
+ * A 401 that tells the client why (RFC 6750)
+ * @param {string} message
+ * @param {string} [error] - `invalid_token`, or none when no token was sent
+ * @returns {import('./errors.js').HttpError}
+ */
+function unauthorized(message, error) {
+  const err = createError(401, message);
+  err.headers = {
+    "WWW-Authenticate": error
+      ? `Bearer error="${error}", error_description="${message}"`
+      : "Bearer",
+  };
+  return err;
+}
+
+/**
+ * Check that a claim matches one of the accepted values
+ * @param {string|string[]|undefined} claim
+ * @param {string|string[]} accepted
+ * @returns {boolean}
+ */
+const matchesClaim = (claim, accepted) =>
+  [claim].flat().some((value) => [accepted].flat().includes(value));
+
+/**
+ * Verify a JWT and return its claims
+ * @param {string} token
+ * @param {AuthOptions} options - Resolved options
+ * @param {number} [now=Date.now()]
+ * @returns {Record<string, any>}
+ * @throws {import('./errors.js').HttpError} 401 for a malformed, forged, expired or
+ *   not-yet-valid token, or one for another issuer/audience
+ */
+export function verifyToken(token, options, now = Date.now()) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw unauthorized("Malformed token", "invalid_token");
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch {
+    throw unauthorized("Malformed token", "invalid_token");
+  }
+  if (!claims || typeof claims !== "object") throw unauthorized("Malformed token", "invalid_token");
+
+  // The key decides the algorithm: a token can't switch an RS256 key to HMAC
+  const data = `${parts[0]}.${parts[1]}`;
+  const signature = Buffer.from(parts[2], "base64url");
+  let valid = false;
+  if (header.alg === "HS256" && options.secret) {
+    const expected = crypto.createHmac(ALGORITHMS.HS256, options.secret).update(data).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === "RS256" && options.publicKey) {
+    valid = crypto.verify(ALGORITHMS.RS256, Buffer.from(data), options.publicKey, signature);
+  } else {
+    throw unauthorized("Unsupported token algorithm", "invalid_token");
+  }
+  if (!valid) throw unauthorized("Invalid token signature", "invalid_token");
+
+  const seconds = now / 1000;
+  const leeway = options.clockTolerance ?? 0;
+  if (typeof claims.exp === "number" && seconds > claims.exp + leeway) {
+    throw unauthorized("Token expired", "invalid_token");
+  }
+  if (typeof claims.nbf === "number" && seconds < claims.nbf - leeway) {
+    throw unauthorized("Token not yet valid", "invalid_token");
+  }
+  if (options.issuer && !matchesClaim(claims.iss, options.issuer)) {
+    throw unauthorized("Invalid token issuer", "invalid_token");
+  }
+  if (options.audience && !matchesClaim(claims.aud, options.audience)) {
+    throw unauthorized("Invalid token audience", "invalid_token");
+  }
+  return claims;
+}
+
+/**
+ * Find the token of a request: `Authorization: Bearer`, then the auth cookie
+ * @param {import('http').IncomingMessage & { cookies?: Record<string, string> }} req
+ * @param {AuthOptions} options
+ * @returns {string|null}
+ */
+function getToken(req, options) {
+  const match = req.headers.authorization?.match(BEARER_RE);
+  if (match) return match[1];
+  return (options.cookie && req.cookies?.[options.cookie]) || null;
+}
+
+/**
+ * Scopes granted by a token: `scope` (space-separated) or `scp` (list)
+ * @param {Record<string, any>} claims
+ * @returns {string[]}
+ */
+const grantedScopes = (claims) =>
+  typeof claims.scope === "string" ? claims.scope.split(" ") : [claims.scp ?? []].flat();
+
+/**
+ * Create the per-request auth check
+ * @param {AuthOptions|undefined} option - Plugin `auth` option
+ * @returns {(req: import('http').IncomingMessage & { user?: Record<string, any> },
+ *   mod: Record<string, any>) => void} Sets `req.user` on routes that require auth
+ * @throws {import('./errors.js').HttpError} 401 without a valid token, 403 when roles or
+ *   scopes are missing
+ */
+export function createAuthenticator(option) {
+  const options = resolveAuthOptions(option);
+  let warned = false;
+
+  return (req, mod) => {
+    const requirement = getRouteAuth(mod, req.method);
+    if (!requirement) return;
+
+    if (!options.secret && !options.publicKey && !warned) {
+      warned = true;
+      console.warn(
+        "⚠️ vite-node-api: routes require auth but no auth.secret/auth.publicKey is configured"
+      );
+    }
+    const token = getToken(req, options);
+    if (!token) throw unauthorized("Authentication required");
+    const claims = verifyToken(token, options);
+
+    const roles = [claims[options.rolesClaim] ?? []].flat();
+    if (requirement.roles?.length && !requirement.roles.some((r) => roles.includes(r))) {
+      throw createError(403, "Insufficient role");
+    }
+    const scopes = grantedScopes(claims);
+    const missing = (requirement.scopes ?? []).filter((s) => !scopes.includes(s));
+    if (missing.length) {
+      const err = createError(403, "Insufficient scope", { missing });
+      err.headers = {
+        "WWW-Authenticate": `Bearer error="insufficient_scope", scope="${requirement.scopes.join(" ")}"`,
+      };
+      throw err;
+    }
+
+    req.user = claims;
+  };
+}
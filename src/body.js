@@ -0,0 +1,212 @@
+import os from "os";
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import busboy from "busboy";
+import fastJsonParse from "fast-json-parse";
+import { createError } from "./errors.js";
+
+/**
+ * Request body parsing shared by the dev server and the production runtime.
+ * JSON is the default; `application/x-www-form-urlencoded` bodies become
+ * plain objects and `multipart/form-data` files are streamed to disk.
+ * @module body
+ */
+
+/**
+ * @typedef {Object} UploadOptions
+ * @property {string} [dir=os.tmpdir()] - Directory uploaded files are streamed to
+ * @property {number} [fileSize=10000000] - Maximum size of one file in bytes (default: 10MB)
+ * @property {number} [totalSize=50000000] - Maximum size of all files in bytes (default: 50MB)
+ * @property {number} [files=10] - Maximum number of files per request
+ */
+
+/**
+ * @typedef {Object} UploadedFile
+ * @property {string} field - Form field name
+ * @property {string} filename - Original file name sent by the client
+ * @property {string} mimeType - Declared MIME type
+ * @property {number} size - Size in bytes
+ * @property {string} path - Temp file path, removed after the response
+ */
+
+/**
+ * @typedef {Object} ParsedBody
+ * @property {any} body - Parsed JSON, or form fields
+ * @property {Record<string, UploadedFile|UploadedFile[]>} [files] - Multipart uploads by field
+ */
+
+export const DEFAULT_UPLOADS = {
+  dir: os.tmpdir(),
+  fileSize: 10_000_000,
+  totalSize: 50_000_000,
+  files: 10,
+};
+
+/**
+ * Add a value to an object, turning repeated keys into arrays
+ * @param {Record<string, any>} target - A null-prototype object, so keys like
+ *   `__proto__` or `constructor` stay plain data
+ * @param {string} key
+ * @param {any} value
+ */
+function append(target, key, value) {
+  if (!Object.hasOwn(target, key)) target[key] = value;
+  else if (Array.isArray(target[key])) target[key].push(value);
+  else target[key] = [target[key], value];
+}
+
+/**
+ * Read the whole body into memory
+ * @param {import('http').IncomingMessage} req
+ * @param {number} limit - Maximum size in bytes
+ * @returns {Promise<Buffer>}
+ * @throws {Error} 413 when the body exceeds the limit
+ */
+async function readBody(req, limit) {
+  const chunks = [];
+  let total = 0;
+  for await (const c of req) {
+    total += c.length;
+    if (total > limit) throw createError(413, "Request body too large");
+    chunks.push(c);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Remove the temp files of a request's uploads
+ * @param {Record<string, UploadedFile|UploadedFile[]>} [files]
+ */
+export function removeUploads(files) {
+  for (const file of Object.values(files || {}).flat()) {
+    fs.rm(file.path, { force: true }, () => {});
+  }
+}
+
+/**
+ * Stream a multipart body: fields into `body`, files into temp files
+ * @param {import('http').IncomingMessage} req
+ * @param {number} limit - Maximum size of all fields in bytes
+ * @param {UploadOptions} uploads
+ * @returns {Promise<ParsedBody>}
+ */
+function parseMultipart(req, limit, uploads) {
+  const { dir, fileSize, totalSize, files: maxFiles } = { ...DEFAULT_UPLOADS, ...uploads };
+  fs.mkdirSync(dir, { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { fileSize, files: maxFiles, fieldSize: limit },
+      });
+    } catch {
+      reject(createError(400, "Invalid multipart body"));
+      return;
+    }
+
+    const body = Object.create(null);
+    const files = Object.create(null);
+    const writes = [];
+    const outs = [];
+    let fieldBytes = 0;
+    let fileBytes = 0;
+    let failed = false;
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(parser);
+      req.resume();
+      for (const out of outs) out.destroy();
+      Promise.allSettled(writes).then(() => {
+        removeUploads(files);
+        reject(err);
+      });
+    };
+
+    parser.on("field", (name, value) => {
+      fieldBytes += Buffer.byteLength(name) + Buffer.byteLength(value);
+      if (fieldBytes > limit) return fail(createError(413, "Request body too large"));
+      append(body, name, value);
+    });
+
+    parser.on("file", (field, stream, info) => {
+      if (failed) return stream.resume();
+
+      const file = {
+        field,
+        filename: info.filename,
+        mimeType: info.mimeType,
+        size: 0,
+        path: path.join(dir, `vite-node-api-${crypto.randomUUID()}`),
+      };
+      append(files, field, file);
+
+      stream.on("data", (chunk) => {
+        file.size += chunk.length;
+        fileBytes += chunk.length;
+        if (fileBytes > totalSize) fail(createError(413, "Uploads too large"));
+      });
+      stream.on("limit", () => fail(createError(413, `File too large: ${info.filename}`)));
+
+      const out = fs.createWriteStream(file.path);
+      outs.push(out);
+      writes.push(
+        new Promise((done, error) => {
+          out.on("close", done);
+          out.on("error", error);
+        })
+      );
+      stream.pipe(out);
+    });
+
+    parser.on("filesLimit", () => fail(createError(413, "Too many files")));
+    parser.on("error", () => fail(createError(400, "Invalid multipart body")));
+    // A client that disconnects mid-upload never lets busboy finish
+    req.on("error", () => fail(createError(400, "Request aborted")));
+    req.on("close", () => {
+      if (!req.complete) fail(createError(400, "Request aborted"));
+    });
+    parser.on("close", () => {
+      if (failed) return;
+      Promise.all(writes).then(
+        () => resolve({ body, files }),
+        (err) => fail(err)
+      );
+    });
+
+    req.pipe(parser);
+  });
+}
+
+/**
+ * Parse a request body by content type
+ * @param {import('http').IncomingMessage} req
+ * @param {{ limit?: number, uploads?: UploadOptions }} [options={}] - `limit` caps
+ *   JSON/urlencoded bodies and multipart fields (default: 1MB)
+ * @returns {Promise<ParsedBody>}
+ * @throws {import("./errors.js").HttpError} 400 (malformed) or 413 (too large)
+ */
+export async function parseBody(req, { limit = 1_000_000, uploads } = {}) {
+  const type = String(req.headers["content-type"] || "").toLowerCase();
+
+  if (type.startsWith("multipart/form-data")) {
+    return parseMultipart(req, limit, uploads);
+  }
+
+  const text = (await readBody(req, limit)).toString();
+
+  if (type.startsWith("application/x-www-form-urlencoded")) {
+    const body = Object.create(null);
+    for (const [key, value] of new URLSearchParams(text)) append(body, key, value);
+    return { body };
+  }
+
+  // Everything else is treated as JSON, as before form support existed
+  const parsed = fastJsonParse(text || "{}");
+  if (parsed.err) throw createError(400, "Invalid JSON body");
+  return { body: parsed.value };
+}
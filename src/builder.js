@@ -1,34 +1,126 @@
 import { build } from "esbuild";
 import path from "path";
 import fs from "fs";
+import zlib from "zlib";
+import { promisify } from "util";
 import fg from "fast-glob";
+import { DECLARATION_GLOBS, ROUTE_GLOB, scanRoutes } from "./router.js";
+import { createRuntimeConfig, writeRuntimeConfig } from "./config.js";
+
+const brotli = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+/** CommonJS globals for bundled ESM, so bundled CJS dependencies keep working */
+const NODE_BANNER = {
+  js: `import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+const require = createRequire(import.meta.url);
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);`,
+};
+
+/** Text-like client assets worth compressing */
+const COMPRESSIBLE_GLOB = "**/*.{js,mjs,css,html,svg,json,txt,xml,map,wasm,webmanifest}";
+
+/** Files smaller than this are sent as-is */
+const MIN_COMPRESS_SIZE = 1024;
+
+/**
+ * Write `.br` and `.gz` siblings for the client build so the production
+ * runtime can serve them without compressing per request.
+ * A variant is only kept when it is smaller than the original.
+ *
+ * @param {string} clientDir - Client build output (dist/client)
+ * @returns {Promise<number>} Number of files compressed
+ */
+export async function precompressAssets(clientDir) {
+  if (!fs.existsSync(clientDir)) return 0;
+
+  const files = await fg(COMPRESSIBLE_GLOB, { cwd: clientDir, absolute: true });
+  let count = 0;
+
+  for (const file of files) {
+    const source = fs.readFileSync(file);
+    if (source.length < MIN_COMPRESS_SIZE) continue;
+
+    const variants = [
+      [".br", await brotli(source, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY },
+      })],
+      [".gz", await gzip(source, { level: zlib.constants.Z_BEST_COMPRESSION })],
+    ];
+    for (const [ext, data] of variants) {
+      if (data.length < source.length) fs.writeFileSync(file + ext, data);
+    }
+    count++;
+  }
+
+  if (count) {
+    console.log(`✅ vite-node-api: precompressed ${count} client assets (.br, .gz)`);
+  }
+  return count;
+}
+
+/**
+ * Bundle a standalone server-side module (e.g. the `logger` sink) into dist/server
+ * @param {string} entry - Absolute path to the module
+ * @param {string} name - Output file name in dist/server
+ * @returns {Promise<string>} Path of the bundled file
+ */
+export async function bundleServerModule(entry, name) {
+  const outfile = path.join("dist/server", name);
+  await build({
+    entryPoints: [entry],
+    outfile,
+    platform: "node",
+    format: "esm",
+    bundle: true,
+    target: "node20",
+    minify: process.env.NODE_ENV === "production",
+    banner: NODE_BANNER,
+  });
+  console.log(`✅ vite-node-api: ${path.relative(process.cwd(), entry)} bundled → ${outfile}`);
+  return outfile;
+}
 
 /**
  * Build backend API directory into dist/server
- * Bundles all .js files from the API directory using esbuild
+ * Bundles all .js/.ts/.mts files from the API directory using esbuild
+ * (TypeScript entries are emitted as .js)
  * All dependencies are bundled for standalone deployment
  *
  * @param {string} apiDir - Absolute path to API directory
- * @returns {Promise<void>}
+ * @param {import('./config.js').RuntimeConfig} [runtimeConfig] - Options written to
+ *   dist/server/config.json for the production runtime (default: plugin defaults)
+ * @returns {Promise<string|null>} Directory of the bundled routes, or null when
+ *   there was nothing to build
  * @throws {Error} If build fails or esbuild encounters errors
  */
-export default async function buildBackend(apiDir) {
+export default async function buildBackend(
+  apiDir,
+  runtimeConfig = createRuntimeConfig({ apiDir })
+) {
   const outDir = "dist/server";
   fs.mkdirSync(outDir, { recursive: true });
 
-  const entryPoints = await fg("**/*.js", {
+  const entryPoints = await fg(ROUTE_GLOB, {
     cwd: apiDir,
     absolute: true,
+    ignore: DECLARATION_GLOBS,
   });
 
   if (!entryPoints.length) {
     console.warn("⚠️ vite-node-api: no API files found to build");
-    return;
+    return null;
   }
 
   try {
     console.log("📦 vite-node-api: building backend...");
 
+    // Fail on conflicting routes (users.js + users.ts) before they overwrite each other
+    await scanRoutes(apiDir);
+
     await build({
       entryPoints,
       outdir: outDir,
@@ -39,14 +131,7 @@ export default async function buildBackend(apiDir) {
       target: "node20",
       minify: process.env.NODE_ENV === "production",
       sourcemap: process.env.NODE_ENV === "development",
-      banner: {
-        js: `import { createRequire } from 'module';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-const require = createRequire(import.meta.url);
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);`
-      },
+      banner: NODE_BANNER,
       // Bundle everything - no external dependencies
     });
 
@@ -62,6 +147,9 @@ const __dirname = dirname(__filename);`
 
     console.log("✅ vite-node-api: backend bundled → dist/server");
 
+    writeRuntimeConfig(outDir, runtimeConfig);
+    console.log("✅ vite-node-api: runtime config → dist/server/config.json");
+
     // Copy .env.production to dist/.env for production runtime
     const envSource = path.resolve(".env.production");
     if (fs.existsSync(envSource)) {
@@ -83,14 +171,7 @@ const __dirname = dirname(__filename);`
         bundle: true,
         target: "node20",
         minify: process.env.NODE_ENV === "production",
-        banner: {
-          js: `import { createRequire } from 'module';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
-const require = createRequire(import.meta.url);
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);`
-        },
+        banner: NODE_BANNER,
         // Bundle everything - standalone executable
       });
       console.log("✅ vite-node-api: runtime bundled → dist/server/entry.mjs");
@@ -98,6 +179,7 @@ const __dirname = dirname(__filename);`
       console.warn("⚠️ vite-node-api: runtime entry.mjs not found!");
     }
 
+    return path.join(outDir, path.basename(apiDir));
   } catch (err) {
     console.error("❌ vite-node-api build error:", err);
     throw err;
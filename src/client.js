@@ -0,0 +1,348 @@
+import { getDeclaredMethods } from "./methods.js";
+import { getRouteSchema, isStatusMap } from "./schema.js";
+
+/**
+ * Typed fetch client generation for `virtual:vite-node-api/client`.
+ * Every route becomes a function on a nested `api` object
+ * (`/api/users/[id]` → `api.users.byId({ id })`) that calls its primary
+ * method (GET when available); other methods hang off it by name
+ * (`api.users.byId.DELETE({ id })`).
+ * @module client
+ */
+
+/**
+ * @typedef {Object} ClientOptions
+ * @property {string|false} [dts="src/vite-node-api-client.d.ts"] - Path of the emitted
+ *   type declarations, or false to skip them
+ */
+
+/**
+ * @typedef {Object} ClientRoute
+ * @property {string[]} keys - Property path on the `api` object
+ * @property {string} path - URL pattern including /api (e.g. "/api/users/[id]")
+ * @property {import('./router.js').Route} route - Source route
+ * @property {string[]} methods - Declared methods, primary method first
+ * @property {Record<string, import('./schema.js').RouteSchema|null>} schemas - Schema per method
+ */
+
+export const CLIENT_MODULE_ID = "virtual:vite-node-api/client";
+export const RESOLVED_CLIENT_MODULE_ID = "\0" + CLIENT_MODULE_ID;
+
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * camelCase a route segment (`create-user` → `createUser`)
+ * @param {string} str
+ * @returns {string}
+ */
+const camelCase = (str) =>
+  str
+    .replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ""))
+    .replace(/^[A-Z]/, (c) => c.toLowerCase());
+
+/**
+ * Property name for a route segment (`[id]` → `byId`, `[...slug]` → `bySlug`)
+ * @param {string} segment
+ * @returns {string}
+ */
+export function toClientKey(segment) {
+  return camelCase(
+    segment.replace(/\[{1,2}(?:\.\.\.)?([^\]]+)\]{1,2}/g, "-by-$1")
+  );
+}
+
+/**
+ * Quote an object key when it is not a valid identifier
+ * @param {string} key
+ * @returns {string}
+ */
+const propertyKey = (key) => (IDENTIFIER_RE.test(key) ? key : JSON.stringify(key));
+
+/**
+ * Load route modules and collect what the client needs to know about them.
+ * Routes that fail to import (e.g. missing env at build time) are skipped.
+ * @param {import('./router.js').Route[]} routes - Routes from the router
+ * @param {(file: string) => Promise<Record<string, any>>} load - Module loader
+ * @returns {Promise<ClientRoute[]>}
+ */
+export async function collectClientRoutes(routes, load) {
+  const clientRoutes = [];
+
+  for (const route of routes) {
+    let mod;
+    try {
+      mod = await load(route.file);
+    } catch (err) {
+      console.warn(
+        `⚠️ vite-node-api: client skips ${route.file}, it failed to load: ${err.message}`
+      );
+      continue;
+    }
+    const methods = getDeclaredMethods(mod);
+    if (!methods.length) continue;
+    if (methods.includes("GET")) methods.unshift(...methods.splice(methods.indexOf("GET"), 1));
+
+    const schemas = {};
+    for (const method of methods) schemas[method] = getRouteSchema(mod, method);
+
+    clientRoutes.push({
+      keys: route.pattern.split("/").filter(Boolean).map(toClientKey),
+      path: "/api" + (route.pattern === "/" ? "" : route.pattern),
+      route,
+      methods,
+      schemas,
+    });
+  }
+
+  return clientRoutes;
+}
+
+/**
+ * Arrange client routes into a tree keyed by property name
+ * @param {ClientRoute[]} clientRoutes
+ * @returns {{ route?: ClientRoute, children: Map<string, Object> }}
+ */
+function buildTree(clientRoutes) {
+  const root = { children: new Map() };
+  for (const clientRoute of clientRoutes) {
+    let node = root;
+    for (const key of clientRoute.keys) {
+      if (!node.children.has(key)) node.children.set(key, { children: new Map() });
+      node = node.children.get(key);
+    }
+    node.route = clientRoute;
+  }
+  return root;
+}
+
+// Runtime helpers inlined into the generated module
+const CLIENT_RUNTIME = `export class ApiError extends Error {
+  constructor(status, body) {
+    super("Request failed with status " + status);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function toUrl(pattern, params, query) {
+  let url = pattern.replace(
+    /\\[\\[\\.\\.\\.([^\\]]+)\\]\\]|\\[\\.\\.\\.([^\\]]+)\\]|\\[([^\\]]+)\\]/g,
+    (_, optional, catchAll, name) => {
+      if (name) return encodeURIComponent(params[name]);
+      return [].concat(params[optional || catchAll] ?? []).map(encodeURIComponent).join("/");
+    }
+  ).replace(/\\/+$/, "");
+
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value === undefined) continue;
+    for (const item of [].concat(value)) search.append(key, String(item));
+  }
+  const qs = search.toString();
+  return qs ? url + "?" + qs : url;
+}
+
+async function request(method, pattern, args = {}, init = {}) {
+  const { query, body, ...params } = args;
+  const headers = new Headers(init.headers);
+  if (body !== undefined) headers.set("Content-Type", "application/json");
+
+  const res = await fetch(toUrl(pattern, params, query), {
+    ...init,
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  const type = res.headers.get("content-type") || "";
+  const data =
+    res.status === 204 ? undefined : type.includes("json") ? await res.json() : await res.text();
+  if (!res.ok) throw new ApiError(res.status, data);
+  return data;
+}
+
+function withChildren(target, children) {
+  for (const [key, value] of Object.entries(children)) {
+    Object.defineProperty(target, key, { value, enumerable: true });
+  }
+  return target;
+}
+
+function endpoint(pattern, methods, children) {
+  const call = (method) => (args, init) => request(method, pattern, args, init);
+  const fn = call(methods[0]);
+  for (const method of methods) fn[method] = call(method);
+  return withChildren(fn, children);
+}
+`;
+
+/**
+ * Generate the JavaScript source of the client module
+ * @param {ClientRoute[]} clientRoutes
+ * @returns {string}
+ */
+export function generateClientCode(clientRoutes) {
+  const emit = (node, indent) => {
+    const pad = "  ".repeat(indent + 1);
+    const children = [...node.children]
+      .map(([key, child]) => `${pad}${propertyKey(key)}: ${emit(child, indent + 1)}`)
+      .join(",\n");
+    const body = children ? `{\n${children},\n${"  ".repeat(indent)}}` : "{}";
+
+    if (!node.route) return body;
+    const { path, methods } = node.route;
+    return `endpoint(${JSON.stringify(path)}, ${JSON.stringify(methods)}, ${body})`;
+  };
+
+  const tree = buildTree(clientRoutes);
+  return `${CLIENT_RUNTIME}\nexport const api = ${emit(tree, 0)};\n`;
+}
+
+/**
+ * Convert a JSON Schema into a TypeScript type expression
+ * @param {Object|undefined} schema
+ * @returns {string}
+ */
+export function schemaToType(schema) {
+  if (!schema || typeof schema !== "object") return "unknown";
+  if ("const" in schema) return JSON.stringify(schema.const);
+  if (schema.enum) return schema.enum.map((v) => JSON.stringify(v)).join(" | ");
+  if (schema.anyOf || schema.oneOf)
+    return (schema.anyOf || schema.oneOf).map((s) => `(${schemaToType(s)})`).join(" | ");
+  if (schema.allOf) return schema.allOf.map((s) => `(${schemaToType(s)})`).join(" & ");
+
+  if (Array.isArray(schema.type)) {
+    return schema.type.map((type) => schemaToType({ ...schema, type })).join(" | ");
+  }
+
+  switch (schema.type) {
+    case "string":
+      return "string";
+    case "number":
+    case "integer":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "null":
+      return "null";
+    case "array":
+      return `Array<${schemaToType(schema.items)}>`;
+    case "object":
+    case undefined: {
+      if (!schema.properties && schema.type === undefined) return "unknown";
+      const required = new Set(schema.required || []);
+      const props = Object.entries(schema.properties || {}).map(
+        ([key, s]) =>
+          `${propertyKey(key)}${required.has(key) ? "" : "?"}: ${schemaToType(s)}`
+      );
+      if (schema.additionalProperties) {
+        const extra =
+          schema.additionalProperties === true
+            ? "unknown"
+            : schemaToType(schema.additionalProperties);
+        props.push(`[key: string]: ${extra}`);
+      }
+      return props.length ? `{ ${props.join("; ")} }` : "Record<string, unknown>";
+    }
+    default:
+      return "unknown";
+  }
+}
+
+/**
+ * Pick the success response schema (200, then any 2xx)
+ * @param {Object} [response] - `schema.response` export
+ * @returns {Object|undefined}
+ */
+function successSchema(response) {
+  if (!response) return undefined;
+  if (!isStatusMap(response)) return response;
+  const key = Object.keys(response).find((k) => k === "200") ||
+    Object.keys(response).find((k) => k.startsWith("2"));
+  return key ? response[key] : undefined;
+}
+
+/**
+ * Build the `(args, init) => Promise<T>` signature for one route method
+ * @param {ClientRoute} clientRoute
+ * @param {string} method
+ * @returns {string}
+ */
+function methodSignature(clientRoute, method) {
+  const { route } = clientRoute;
+  const schema = clientRoute.schemas[method];
+  const props = [];
+  let required = false;
+
+  for (const name of route.names) {
+    const declared = schema?.params?.properties?.[name];
+    if (name === route.catchAll) {
+      const optional = clientRoute.path.includes(`[[...${name}]]`);
+      props.push(`${propertyKey(name)}${optional ? "?" : ""}: Array<string | number>`);
+      required ||= !optional;
+    } else {
+      props.push(
+        `${propertyKey(name)}: ${declared ? schemaToType(declared) : "string | number"}`
+      );
+      required = true;
+    }
+  }
+
+  if (schema?.query) {
+    const queryRequired = schema.query.required?.length > 0;
+    props.push(`query${queryRequired ? "" : "?"}: ${schemaToType(schema.query)}`);
+    required ||= queryRequired;
+  } else {
+    props.push("query?: Record<string, string | number | boolean | undefined>");
+  }
+
+  if (schema?.body) {
+    props.push(`body: ${schemaToType(schema.body)}`);
+    required = true;
+  } else if (!["GET", "HEAD", "DELETE"].includes(method)) {
+    props.push("body?: unknown");
+  }
+
+  const args = `{ ${props.join("; ")} }`;
+  const response = schemaToType(successSchema(schema?.response));
+  return `(args${required ? "" : "?"}: ${args}, init?: RequestInit) => Promise<${response}>`;
+}
+
+/**
+ * Generate type declarations for the client module
+ * @param {ClientRoute[]} clientRoutes
+ * @returns {string}
+ */
+export function generateClientTypes(clientRoutes) {
+  const emit = (node, indent) => {
+    const pad = "  ".repeat(indent + 1);
+    const members = [];
+
+    if (node.route) {
+      const [primary] = node.route.methods;
+      const call = methodSignature(node.route, primary);
+      members.push(`${pad}${call.replace(") => Promise", "): Promise")};`);
+      for (const method of node.route.methods) {
+        members.push(`${pad}${method}: ${methodSignature(node.route, method)};`);
+      }
+    }
+    for (const [key, child] of node.children) {
+      members.push(`${pad}${propertyKey(key)}: ${emit(child, indent + 1)};`);
+    }
+
+    return members.length ? `{\n${members.join("\n")}\n${"  ".repeat(indent)}}` : "{}";
+  };
+
+  const tree = buildTree(clientRoutes);
+  return `// Generated by vite-node-api. Do not edit.
+declare module "${CLIENT_MODULE_ID}" {
+  export class ApiError extends Error {
+    status: number;
+    body: unknown;
+  }
+
+  export const api: ${emit(tree, 1)};
+}
+`;
+}
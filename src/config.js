@@ -0,0 +1,340 @@
+import fs from "fs";
+import path from "path";
+import { reviveCors, serializeCors, resolveCorsOptions } from "./cors.js";
+import { isModulePath } from "./modules.js";
+import { resolveRateLimitOptions } from "./ratelimit.js";
+import { resolveSessionOptions } from "./session.js";
+import { readPemEnv } from "./auth.js";
+
+/**
+ * Runtime config manifest.
+ * The build writes the plugin options the production server needs to
+ * `dist/server/config.json`; `entry.mjs` loads it at startup and lets
+ * environment variables override individual values.
+ * @module config
+ */
+
+/**
+ * @typedef {Object} RuntimeConfig
+ * @property {string} apiDir - Routes directory, relative to dist/server
+ * @property {number} port - Listening port
+ * @property {number} timeout - Request timeout in milliseconds
+ * @property {number} bodyLimit - Maximum JSON/form body size in bytes
+ * @property {Object|null} cors - CORS options as written by {@link import('./cors.js').serializeCors},
+ *   with an origin module relative to dist/server
+ * @property {import('./body.js').UploadOptions} [uploads] - Multipart upload limits
+ * @property {number|"auto"} workers - Worker processes (1 runs without a cluster)
+ * @property {number} drainTimeout - Milliseconds shutdown waits for open requests
+ * @property {false|import('./health.js').HealthOptions} health - Health endpoint paths
+ * @property {false|"pretty"|"json"|string} logger - Access log format, or the bundled
+ *   sink module relative to dist/server
+ * @property {{ signed?: boolean }} cookies - Whether the build configured a cookie secret;
+ *   the secret itself only comes from VITE_NODE_API_COOKIE_SECRET
+ * @property {import('./auth.js').AuthOptions} auth - JWT claims checks; the keys only come
+ *   from VITE_NODE_API_JWT_SECRET / VITE_NODE_API_JWT_PUBLIC_KEY
+ * @property {false|import('./session.js').SessionOptions} session - Session options with a
+ *   store module relative to dist/server
+ * @property {false|Object} rateLimit - Rate limit options with key and store modules
+ *   relative to dist/server
+ */
+
+export const RUNTIME_CONFIG_FILE = "config.json";
+
+/** Bundled `logger` sink module in dist/server */
+export const LOGGER_FILE = "logger.js";
+
+/** Bundled `cors.origin` predicate module in dist/server */
+export const CORS_ORIGIN_FILE = "cors-origin.js";
+
+/** Bundled rate limit `key` module in dist/server */
+export const RATE_LIMIT_KEY_FILE = "rate-limit-key.js";
+
+/** Bundled rate limit `store` module in dist/server */
+export const RATE_LIMIT_STORE_FILE = "rate-limit-store.js";
+
+/** Bundled session `store` module in dist/server */
+export const SESSION_STORE_FILE = "session-store.js";
+
+export const DEFAULT_RUNTIME_CONFIG = {
+  apiDir: "api",
+  port: 4173,
+  timeout: 30_000,
+  bodyLimit: 1_000_000,
+  cors: null,
+  workers: 1,
+  drainTimeout: 10_000,
+  health: {},
+  logger: "json",
+  rateLimit: false,
+  cookies: {},
+  session: false,
+  auth: {},
+};
+
+/**
+ * Numeric environment overrides and the option they replace
+ * @type {Array<[string, (config: RuntimeConfig, value: number) => void]>}
+ */
+const NUMBER_ENV = [
+  ["VITE_NODE_API_TIMEOUT", (c, v) => (c.timeout = v)],
+  ["VITE_NODE_API_BODY_LIMIT", (c, v) => (c.bodyLimit = v)],
+  ["VITE_NODE_API_DRAIN_TIMEOUT", (c, v) => (c.drainTimeout = v)],
+  ["VITE_NODE_API_UPLOAD_FILE_SIZE", (c, v) => (c.uploads = { ...c.uploads, fileSize: v })],
+  ["VITE_NODE_API_UPLOAD_TOTAL_SIZE", (c, v) => (c.uploads = { ...c.uploads, totalSize: v })],
+  ["VITE_NODE_API_UPLOAD_FILES", (c, v) => (c.uploads = { ...c.uploads, files: v })],
+];
+
+/**
+ * Pick the production `logger` value: sink modules are bundled to LOGGER_FILE,
+ * and functions (which cannot be serialized) fall back to JSON lines
+ * @param {any} logger - Plugin `logger` option
+ * @returns {false|"pretty"|"json"|string}
+ */
+function runtimeLogger(logger) {
+  if (isModulePath(logger)) return LOGGER_FILE;
+  if (typeof logger === "function") {
+    console.warn(
+      "⚠️ vite-node-api: logger functions only apply in dev, pass a module path to log in production"
+    );
+    return DEFAULT_RUNTIME_CONFIG.logger;
+  }
+  return logger ?? DEFAULT_RUNTIME_CONFIG.logger;
+}
+
+/**
+ * Serialize the `cors` option: an origin predicate module is bundled to CORS_ORIGIN_FILE
+ * @param {any} cors - Plugin `cors` option
+ * @returns {Object|null}
+ * @throws {TypeError} For an inline predicate function
+ */
+function runtimeCors(cors) {
+  const options = serializeCors(resolveCorsOptions(cors));
+  if (options && isModulePath(options.origin)) options.origin = CORS_ORIGIN_FILE;
+  return options;
+}
+
+/**
+ * Serialize the `rateLimit` option: key and store modules are bundled to
+ * RATE_LIMIT_KEY_FILE / RATE_LIMIT_STORE_FILE, and store objects (which cannot be
+ * serialized) fall back to the default store
+ * @param {any} rateLimit - Plugin `rateLimit` option
+ * @returns {false|Object}
+ * @throws {TypeError} For an inline key function
+ */
+function runtimeRateLimit(rateLimit) {
+  const options = resolveRateLimitOptions(rateLimit);
+  if (!options) return false;
+
+  const { store, ...config } = options;
+  if (typeof config.key === "function") {
+    throw new TypeError(
+      "vite-node-api: rateLimit.key functions can't reach the production server, " +
+        'export the function from a module and pass its path (key: "./server/rate-limit-key.js")'
+    );
+  }
+  if (isModulePath(config.key)) config.key = RATE_LIMIT_KEY_FILE;
+  if (isModulePath(store)) config.store = RATE_LIMIT_STORE_FILE;
+  else if (store && typeof store === "object") {
+    console.warn(
+      "⚠️ vite-node-api: rate limit store objects only apply in dev, pass a module path to use it in production"
+    );
+  } else if (store) config.store = store;
+  return config;
+}
+
+/**
+ * Serialize the `session` option: store modules are bundled to SESSION_STORE_FILE
+ * and store objects (which cannot be serialized) fall back to the memory store
+ * @param {any} session - Plugin `session` option
+ * @returns {false|import('./session.js').SessionOptions}
+ */
+function runtimeSession(session) {
+  const options = resolveSessionOptions(session);
+  if (!options) return false;
+
+  if (isModulePath(options.store)) return { ...options, store: SESSION_STORE_FILE };
+  if (typeof options.store === "object") {
+    console.warn(
+      "⚠️ vite-node-api: session store objects only apply in dev, pass a module path to use it in production"
+    );
+    return { ...options, store: "memory" };
+  }
+  return options;
+}
+
+/**
+ * Keep the cookie secret out of the manifest: it is a deploy artifact, so the
+ * production server reads the secret from VITE_NODE_API_COOKIE_SECRET instead
+ * @param {import('./cookies.js').CookieConfig|undefined} cookies - Plugin `cookies` option
+ * @returns {{ signed?: boolean }}
+ */
+function runtimeCookies(cookies) {
+  if (!cookies?.secret) return {};
+  console.warn(
+    "⚠️ vite-node-api: cookies.secret is not written to dist/server/config.json, set VITE_NODE_API_COOKIE_SECRET for the production server"
+  );
+  return { signed: true };
+}
+
+/**
+ * Keep JWT keys out of the manifest, like the cookie secret: the production
+ * server reads them from VITE_NODE_API_JWT_SECRET / VITE_NODE_API_JWT_PUBLIC_KEY
+ * @param {import('./auth.js').AuthOptions|undefined} auth - Plugin `auth` option
+ * @returns {import('./auth.js').AuthOptions}
+ */
+function runtimeAuth(auth) {
+  const { secret, publicKey, ...config } = auth ?? {};
+  if (secret || publicKey) {
+    console.warn(
+      "⚠️ vite-node-api: auth.secret/auth.publicKey are not written to dist/server/config.json, set VITE_NODE_API_JWT_SECRET or VITE_NODE_API_JWT_PUBLIC_KEY for the production server"
+    );
+  }
+  return config;
+}
+
+/**
+ * Build the serializable runtime config from plugin options
+ * @param {import('./index.js').ViteNodeApiOptions} [options={}]
+ * @returns {RuntimeConfig}
+ */
+export function createRuntimeConfig(options = {}) {
+  const config = {
+    apiDir: path.basename(path.resolve(options.apiDir || "server/api")),
+    port: Number(options.port) || DEFAULT_RUNTIME_CONFIG.port,
+    timeout: options.timeout || DEFAULT_RUNTIME_CONFIG.timeout,
+    bodyLimit: options.bodyLimit || DEFAULT_RUNTIME_CONFIG.bodyLimit,
+    cors: runtimeCors(options.cors),
+    workers: options.workers || DEFAULT_RUNTIME_CONFIG.workers,
+    drainTimeout: options.drainTimeout ?? DEFAULT_RUNTIME_CONFIG.drainTimeout,
+    health: options.health === false ? false : { ...options.health },
+    logger: runtimeLogger(options.logger),
+    rateLimit: runtimeRateLimit(options.rateLimit),
+    cookies: runtimeCookies(options.cookies),
+    session: runtimeSession(options.session),
+    auth: runtimeAuth(options.auth),
+  };
+  if (options.uploads) config.uploads = options.uploads;
+  return config;
+}
+
+/**
+ * Write the runtime config next to the bundled server
+ * @param {string} outDir - Server output directory (dist/server)
+ * @param {RuntimeConfig} config
+ */
+export function writeRuntimeConfig(outDir, config) {
+  fs.writeFileSync(
+    path.join(outDir, RUNTIME_CONFIG_FILE),
+    JSON.stringify(config, null, 2)
+  );
+}
+
+/**
+ * Parse a VITE_NODE_API_CORS override: "true", "false", a JSON object,
+ * or a comma-separated list of origins
+ * @param {string} value
+ * @param {Object|null} current - CORS options from the manifest
+ * @returns {Object|null}
+ */
+function parseCorsEnv(value, current) {
+  if (value === "false") return null;
+  if (value === "true") return current || { origin: "*" };
+  if (value.trim().startsWith("{")) return JSON.parse(value);
+  const origins = value.split(",").map((o) => o.trim()).filter(Boolean);
+  return { ...current, origin: origins.length === 1 ? origins[0] : origins };
+}
+
+/**
+ * Parse a VITE_NODE_API_RATE_LIMIT override: "false", or a request limit
+ * @param {string} value
+ * @param {false|Object} current - Rate limit options from the manifest
+ * @returns {false|Object}
+ */
+function parseRateLimitEnv(value, current) {
+  if (value === "false") return false;
+  const limit = parseInt(value);
+  return limit > 0 ? { ...current, limit } : current;
+}
+
+/**
+ * Rebuild rate limit options written by {@link runtimeRateLimit}
+ * @param {false|Object} rateLimit
+ * @param {string} serverDir - Directory of the bundled key and store modules
+ * @returns {false|import('./ratelimit.js').RateLimitOptions}
+ */
+function reviveRateLimit(rateLimit, serverDir) {
+  if (!rateLimit) return false;
+  const options = { ...rateLimit };
+  if (isModulePath(options.key)) options.key = path.resolve(serverDir, options.key);
+  if (isModulePath(options.store)) options.store = path.resolve(serverDir, options.store);
+  return options;
+}
+
+/**
+ * Load the runtime config written by the build and apply environment overrides
+ * @param {string} serverDir - Directory containing config.json (dist/server)
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {Omit<RuntimeConfig, "cors"|"rateLimit"> & { cors: import('./cors.js').CorsOptions|null,
+ *   rateLimit: false|import('./ratelimit.js').RateLimitOptions }}
+ *   Options for {@link import('./runtime/server.js').createServer}, with `apiDir` resolved
+ */
+export function loadRuntimeConfig(serverDir, env = process.env) {
+  const file = path.join(serverDir, RUNTIME_CONFIG_FILE);
+  const config = {
+    ...DEFAULT_RUNTIME_CONFIG,
+    ...(fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf-8")) : {}),
+  };
+
+  config.port = Number(env.VITE_NODE_API_PORT || env.PORT) || config.port;
+  for (const [name, apply] of NUMBER_ENV) {
+    const value = parseInt(env[name]);
+    if (value > 0) apply(config, value);
+  }
+  if (env.VITE_NODE_API_UPLOAD_DIR) {
+    config.uploads = { ...config.uploads, dir: env.VITE_NODE_API_UPLOAD_DIR };
+  }
+  if (env.VITE_NODE_API_WORKERS) {
+    const workers = env.VITE_NODE_API_WORKERS;
+    config.workers = workers === "auto" ? workers : parseInt(workers) || config.workers;
+  }
+  if (env.VITE_NODE_API_LOG) {
+    config.logger = env.VITE_NODE_API_LOG === "false" ? false : env.VITE_NODE_API_LOG;
+  }
+  if (env.VITE_NODE_API_CORS) {
+    config.cors = parseCorsEnv(env.VITE_NODE_API_CORS, config.cors);
+  }
+  if (env.VITE_NODE_API_COOKIE_SECRET) {
+    config.cookies = { secret: env.VITE_NODE_API_COOKIE_SECRET.split(",") };
+  } else if (config.cookies?.signed) {
+    console.warn(
+      "⚠️ vite-node-api: VITE_NODE_API_COOKIE_SECRET is not set, signed cookies are unavailable"
+    );
+  }
+  if (env.VITE_NODE_API_JWT_SECRET) {
+    config.auth = { ...config.auth, secret: env.VITE_NODE_API_JWT_SECRET };
+  }
+  if (env.VITE_NODE_API_JWT_PUBLIC_KEY) {
+    config.auth = { ...config.auth, publicKey: readPemEnv(env.VITE_NODE_API_JWT_PUBLIC_KEY) };
+  }
+  if (env.VITE_NODE_API_SESSION_DIR && config.session) {
+    config.session = { ...config.session, dir: env.VITE_NODE_API_SESSION_DIR };
+  }
+  if (env.VITE_NODE_API_RATE_LIMIT) {
+    config.rateLimit = parseRateLimitEnv(env.VITE_NODE_API_RATE_LIMIT, config.rateLimit);
+  }
+
+  return {
+    ...config,
+    apiDir: path.resolve(serverDir, config.apiDir),
+    cors: reviveCors(
+      config.cors && isModulePath(config.cors.origin)
+        ? { ...config.cors, origin: path.resolve(serverDir, config.cors.origin) }
+        : config.cors
+    ),
+    rateLimit: reviveRateLimit(config.rateLimit, serverDir),
+    session:
+      config.session && isModulePath(config.session.store)
+        ? { ...config.session, store: path.resolve(serverDir, config.session.store) }
+        : config.session,
+  };
+}
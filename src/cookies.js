@@ -0,0 +1,222 @@
+import crypto from "crypto";
+
+/**
+ * Cookies for API routes, shared by the dev server and the production
+ * runtime. Requests get `req.cookies` and `req.signedCookies`; responses get
+ * `res.setCookie()` and `res.clearCookie()`. Signed values are
+ * `s:<value>.<HMAC-SHA256>` (the cookie-signature format), verified against
+ * one secret or a list for rotation.
+ * @module cookies
+ */
+
+/**
+ * @typedef {Object} CookieOptions
+ * @property {number} [maxAge] - Lifetime in seconds (`Max-Age`)
+ * @property {Date} [expires] - Expiry date (`Expires`)
+ * @property {string} [domain]
+ * @property {string} [path="/"]
+ * @property {boolean} [secure]
+ * @property {boolean} [httpOnly]
+ * @property {true|"Strict"|"Lax"|"None"} [sameSite] - `true` means Strict
+ * @property {boolean} [partitioned] - CHIPS partitioned cookie
+ * @property {"Low"|"Medium"|"High"} [priority]
+ * @property {boolean} [signed] - Sign the value with the cookie secret
+ */
+
+/**
+ * @typedef {Object} CookieConfig
+ * @property {string|string[]} [secret] - Signing secret; with a list, the first signs
+ *   and every one verifies (key rotation). Never written to the build output.
+ */
+
+const SIGNED_PREFIX = "s:";
+
+/** RFC 6265 cookie-name token */
+const NAME_RE = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/** Attribute values must not break out of their attribute */
+const ATTRIBUTE_RE = /^[^;\r\n]*$/;
+
+const SAME_SITE = { true: "Strict", strict: "Strict", lax: "Lax", none: "None" };
+const PRIORITY = { low: "Low", medium: "Medium", high: "High" };
+
+/**
+ * Normalize the cookie secret option to a list
+ * @param {string|string[]|undefined} secret
+ * @returns {string[]}
+ */
+export const resolveSecrets = (secret) => [secret].flat().filter(Boolean);
+
+/**
+ * Decode a cookie value, keeping it as sent when it isn't valid percent-encoding
+ * @param {string} value
+ * @returns {string}
+ */
+function decode(value) {
+  if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Parse a `Cookie` request header. The first of duplicate names wins
+ * (browsers send the most specific path first).
+ * @param {string|undefined} header
+ * @returns {Record<string, string>}
+ */
+export function parseCookies(header) {
+  const cookies = Object.create(null);
+  if (!header) return cookies;
+
+  for (const pair of header.split(";")) {
+    const eq = pair.indexOf("=");
+    if (eq === -1) continue;
+    const name = pair.slice(0, eq).trim();
+    if (name && !(name in cookies)) cookies[name] = decode(pair.slice(eq + 1).trim());
+  }
+  return cookies;
+}
+
+/**
+ * Build a `Set-Cookie` header value
+ * @param {string} name
+ * @param {string} value - Percent-encoded as needed
+ * @param {Omit<CookieOptions, "signed">} [options={}]
+ * @returns {string}
+ * @throws {TypeError} For an invalid name, attribute or option value
+ */
+export function serializeCookie(name, value, options = {}) {
+  if (!NAME_RE.test(name)) throw new TypeError(`Invalid cookie name: ${name}`);
+
+  const attribute = (key, attr) => {
+    const v = String(options[key]);
+    if (!ATTRIBUTE_RE.test(v)) throw new TypeError(`Invalid cookie ${key}: ${v}`);
+    return `; ${attr}=${v}`;
+  };
+
+  let cookie = `${name}=${encodeURIComponent(value)}`;
+  if (options.maxAge != null) {
+    if (!Number.isFinite(options.maxAge)) {
+      throw new TypeError(`Invalid cookie maxAge: ${options.maxAge}`);
+    }
+    cookie += `; Max-Age=${Math.floor(options.maxAge)}`;
+  }
+  if (options.expires) cookie += `; Expires=${options.expires.toUTCString()}`;
+  if (options.domain) cookie += attribute("domain", "Domain");
+  cookie += options.path ? attribute("path", "Path") : "; Path=/";
+  if (options.httpOnly) cookie += "; HttpOnly";
+  if (options.secure) cookie += "; Secure";
+  if (options.partitioned) cookie += "; Partitioned";
+  if (options.priority) {
+    const priority = PRIORITY[String(options.priority).toLowerCase()];
+    if (!priority) throw new TypeError(`Invalid cookie priority: ${options.priority}`);
+    cookie += `; Priority=${priority}`;
+  }
+  if (options.sameSite) {
+    const sameSite = SAME_SITE[String(options.sameSite).toLowerCase()];
+    if (!sameSite) throw new TypeError(`Invalid cookie sameSite: ${options.sameSite}`);
+    cookie += `; SameSite=${sameSite}`;
+  }
+  return cookie;
+}
+
+/**
+ * HMAC signature of a value
+ * @param {string} value
+ * @param {string} secret
+ * @returns {string}
+ */
+const signature = (value, secret) =>
+  crypto.createHmac("sha256", secret).update(value).digest("base64url");
+
+/**
+ * Sign a cookie value
+ * @param {string} value
+ * @param {string} secret
+ * @returns {string} `s:<value>.<signature>`
+ */
+export const signCookie = (value, secret) =>
+  `${SIGNED_PREFIX}${value}.${signature(value, secret)}`;
+
+/**
+ * Verify a signed cookie value
+ * @param {string} signed - `s:<value>.<signature>`
+ * @param {string[]} secrets - Any of them may have signed it
+ * @returns {string|false} The value, or false when the signature doesn't match
+ */
+export function unsignCookie(signed, secrets) {
+  if (!signed.startsWith(SIGNED_PREFIX)) return false;
+  const dot = signed.lastIndexOf(".");
+  if (dot === -1) return false;
+
+  const value = signed.slice(SIGNED_PREFIX.length, dot);
+  const given = Buffer.from(signed.slice(dot + 1));
+  return secrets.some((secret) => {
+    const expected = Buffer.from(signature(value, secret));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  })
+    ? value
+    : false;
+}
+
+/**
+ * Append a `Set-Cookie` header, keeping the ones already set
+ * @param {import('http').ServerResponse} res
+ * @param {string} cookie
+ */
+function appendSetCookie(res, cookie) {
+  const existing = res.getHeader("Set-Cookie");
+  res.setHeader("Set-Cookie", existing ? [existing].flat().concat(cookie) : cookie);
+}
+
+/**
+ * Add `req.cookies`, `req.signedCookies`, `res.setCookie()` and `res.clearCookie()`.
+ * Signed cookies (`s:` prefix) only appear in `req.signedCookies`, as `false`
+ * when their signature doesn't match.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string[]} secrets - From {@link resolveSecrets}
+ */
+export function attachCookies(req, res, secrets) {
+  req.cookies = parseCookies(req.headers.cookie);
+  req.signedCookies = Object.create(null);
+  if (secrets.length) {
+    for (const [name, value] of Object.entries(req.cookies)) {
+      if (!value.startsWith(SIGNED_PREFIX)) continue;
+      req.signedCookies[name] = unsignCookie(value, secrets);
+      delete req.cookies[name];
+    }
+  }
+
+  res.setCookie = (name, value, { signed, ...options } = {}) => {
+    let cookieValue = String(value);
+    if (signed) {
+      if (!secrets.length) {
+        throw new Error("vite-node-api: signed cookies need a cookies.secret option");
+      }
+      cookieValue = signCookie(cookieValue, secrets[0]);
+    }
+    appendSetCookie(res, serializeCookie(name, cookieValue, options));
+    return res;
+  };
+
+  res.clearCookie = (name, { domain, path, secure, sameSite, partitioned } = {}) => {
+    // Browsers only drop a cookie when domain and path match the one they hold
+    appendSetCookie(
+      res,
+      serializeCookie(name, "", {
+        domain,
+        path,
+        secure,
+        sameSite,
+        partitioned,
+        expires: new Date(0),
+        maxAge: 0,
+      })
+    );
+    return res;
+  };
+}
@@ -0,0 +1,180 @@
+import { isModulePath, lazyDefault } from "./modules.js";
+
+/**
+ * CORS handling shared by the dev server and the production runtime.
+ * @module cors
+ */
+
+/**
+ * @typedef {string|RegExp|Array<string|RegExp>|((origin: string, req: import('http').IncomingMessage) => boolean|string|Promise<boolean|string>)} CorsOrigin
+ */
+
+/**
+ * @typedef {Object} CorsOptions
+ * @property {CorsOrigin} [origin="*"] - Allowed origin: "*", a fixed origin, a list
+ *   of origins/RegExps, a RegExp, or a predicate returning true (echo the request
+ *   origin), false, or the origin to send. Predicates for production builds come
+ *   from a module path (`.js`/`.ts`) whose default export is the predicate.
+ * @property {string[]} [methods] - Allowed methods (default: GET,POST,PUT,PATCH,DELETE,OPTIONS)
+ * @property {string[]} [allowedHeaders] - Allowed request headers (default: echo
+ *   Access-Control-Request-Headers, or Content-Type)
+ * @property {string[]} [exposedHeaders] - Response headers readable by the browser
+ * @property {boolean} [credentials=false] - Allow cookies and auth headers
+ * @property {number} [maxAge] - Seconds browsers may cache a preflight response
+ */
+
+export const DEFAULT_CORS_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+
+/**
+ * Normalize the `cors` plugin option
+ * @param {boolean|CorsOptions} [cors]
+ * @param {(file: string) => Promise<Record<string, any>>} [load] - Module loader; when
+ *   given, an origin module path becomes its (lazily loaded) predicate
+ * @returns {CorsOptions|null} Null when CORS is disabled
+ */
+export function resolveCorsOptions(cors, load) {
+  if (!cors) return null;
+  const options = { origin: "*", ...(typeof cors === "object" ? cors : {}) };
+  if (load && isModulePath(options.origin)) options.origin = lazyDefault(options.origin, load);
+  return options;
+}
+
+/**
+ * Append a value to the Vary header without duplicating it
+ * @param {import('http').ServerResponse} res
+ * @param {string} field
+ */
+function vary(res, field) {
+  const current = String(res.getHeader?.("Vary") || "");
+  const fields = current.split(",").map((f) => f.trim()).filter(Boolean);
+  if (fields.includes("*") || fields.some((f) => f.toLowerCase() === field.toLowerCase()))
+    return;
+  res.setHeader("Vary", [...fields, field].join(", "));
+}
+
+/**
+ * Check a request origin against an allow-list entry
+ * @param {string|RegExp} allowed
+ * @param {string} origin
+ * @returns {boolean}
+ */
+const matchesOrigin = (allowed, origin) =>
+  allowed instanceof RegExp ? allowed.test(origin) : allowed === origin;
+
+/**
+ * Decide the Access-Control-Allow-Origin value for a request
+ * @param {CorsOptions} options
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @returns {Promise<string|null>} Header value, or null when the origin is not allowed
+ */
+async function resolveOrigin(options, req, res) {
+  const { origin: allowed, credentials } = options;
+  const origin = req.headers.origin;
+
+  // "*" cannot be combined with credentials, so echo the origin instead
+  if (allowed === "*" && !credentials) return "*";
+  if (typeof allowed === "string" && allowed !== "*") return allowed;
+
+  vary(res, "Origin");
+  if (!origin) return null;
+
+  if (allowed === "*") return origin;
+  if (typeof allowed === "function") {
+    const result = await allowed(origin, req);
+    if (typeof result === "string") return result;
+    return result ? origin : null;
+  }
+  const list = Array.isArray(allowed) ? allowed : [allowed];
+  return list.some((entry) => matchesOrigin(entry, origin)) ? origin : null;
+}
+
+/**
+ * Set CORS headers for a request and answer preflights
+ * @param {CorsOptions} options - Normalized options from {@link resolveCorsOptions}
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @returns {Promise<boolean>} True when the request was an OPTIONS preflight and has been answered
+ */
+export async function applyCors(options, req, res) {
+  const origin = await resolveOrigin(options, req, res);
+
+  if (origin) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    if (options.credentials) res.setHeader("Access-Control-Allow-Credentials", "true");
+  }
+
+  res.setHeader(
+    "Access-Control-Allow-Methods",
+    (options.methods || DEFAULT_CORS_METHODS).join(",")
+  );
+
+  const requested = req.headers["access-control-request-headers"];
+  if (options.allowedHeaders) {
+    res.setHeader("Access-Control-Allow-Headers", options.allowedHeaders.join(","));
+  } else if (requested) {
+    vary(res, "Access-Control-Request-Headers");
+    res.setHeader("Access-Control-Allow-Headers", requested);
+  } else {
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  }
+
+  if (req.method === "OPTIONS") {
+    if (options.maxAge !== undefined) {
+      res.setHeader("Access-Control-Max-Age", String(options.maxAge));
+    }
+    res.setHeader("Content-Length", "0");
+    res.writeHead(204);
+    res.end();
+    return true;
+  }
+
+  if (origin && options.exposedHeaders?.length) {
+    res.setHeader("Access-Control-Expose-Headers", options.exposedHeaders.join(","));
+  }
+  return false;
+}
+
+/**
+ * Convert CORS options to JSON for the production runtime.
+ * RegExps keep their source and flags; an origin module path is kept for the
+ * build to bundle.
+ *
+ * @param {CorsOptions|null} options
+ * @returns {Object|null}
+ * @throws {TypeError} For a predicate function, which can't be serialized
+ */
+export function serializeCors(options) {
+  if (!options) return null;
+
+  const encode = (value) => {
+    if (value instanceof RegExp) return { regexp: value.source, flags: value.flags };
+    if (typeof value === "function") {
+      throw new TypeError(
+        "vite-node-api: cors.origin functions can't reach the production server, " +
+          "export the predicate from a module and pass its path (origin: \"./server/cors-origin.js\")"
+      );
+    }
+    if (Array.isArray(value)) return value.map(encode);
+    return value;
+  };
+  return { ...options, origin: encode(options.origin) };
+}
+
+/**
+ * Rebuild CORS options serialized by {@link serializeCors}
+ * @param {Object|null} json
+ * @returns {CorsOptions|null}
+ */
+export function reviveCors(json) {
+  if (!json) return null;
+
+  const decode = (value) => {
+    if (Array.isArray(value)) return value.map(decode);
+    if (value && typeof value === "object" && "regexp" in value) {
+      return new RegExp(value.regexp, value.flags);
+    }
+    return value;
+  };
+  return { ...json, origin: decode(json.origin) };
+}
@@ -0,0 +1,137 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+
+/**
+ * HTTP errors and error responses, shared by the dev server and the
+ * production runtime. Handlers throw an {@link HttpError} to choose the
+ * status and body; anything else is an unexpected 500 whose message is only
+ * shown in dev. An `_error.js` module in the API directory can reshape
+ * error responses and report errors.
+ * @module errors
+ */
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {number} status - HTTP status code
+ * @property {{ error: string, details?: any }} body - JSON body
+ */
+
+/**
+ * Brand shared by every copy of this module (routes are bundled separately
+ * from the runtime, so `instanceof` cannot be relied on)
+ */
+const HTTP_ERROR = Symbol.for("vite-node-api.HttpError");
+
+/** Error hook module in the API directory (not routable: `_`-prefixed) */
+export const ERROR_FILE_NAME = "_error";
+
+const ERROR_EXTENSIONS = [".js", ".ts", ".mts"];
+
+/**
+ * An error with an HTTP status, safe to show to clients
+ * @example
+ * throw new HttpError(404, "User not found")
+ * throw new HttpError(422, "Invalid order", { field: "quantity" })
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code (4xx/5xx)
+   * @param {string} [message] - Defaults to the status text ("Not Found")
+   * @param {any} [details] - Extra data sent as `details` in the response body
+   */
+  constructor(status, message, details) {
+    super(message || http.STATUS_CODES[status] || "Error");
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+    /** @type {Record<string, string>|undefined} Extra response headers (e.g. WWW-Authenticate) */
+    this.headers = undefined;
+    // 5xx messages may describe internals, so production hides them like other errors
+    this.expose = status < 500;
+    this[HTTP_ERROR] = true;
+  }
+}
+
+/**
+ * Create an {@link HttpError}
+ * @param {number} status - HTTP status code
+ * @param {string} [message]
+ * @param {any} [details]
+ * @returns {HttpError}
+ */
+export const createError = (status, message, details) => new HttpError(status, message, details);
+
+/**
+ * Check for an HttpError from any copy of this module
+ * @param {any} err
+ * @returns {err is HttpError}
+ */
+export const isHttpError = (err) => Boolean(err && err[HTTP_ERROR]);
+
+/**
+ * Build the default response for an error
+ * @param {any} err - Thrown value
+ * @param {{ expose: boolean }} options - `expose` shows messages of unexpected errors (dev)
+ * @returns {ErrorResponse}
+ */
+export function toErrorResponse(err, { expose }) {
+  if (isHttpError(err)) {
+    const body = { error: err.expose || expose ? err.message : http.STATUS_CODES[err.status] };
+    if (err.details !== undefined && (err.expose || expose)) body.details = err.details;
+    return { status: err.status, body };
+  }
+  return {
+    status: 500,
+    body: { error: expose ? (err?.message ?? String(err)) : "Internal Server Error" },
+  };
+}
+
+/**
+ * Create the error responder for a server
+ * @param {Object} options
+ * @param {string} options.apiDir - Directory holding `_error.js`
+ * @param {(file: string) => Promise<Record<string, any>>} options.load - Module loader
+ * @param {boolean} options.expose - Show messages of unexpected errors (dev)
+ * @returns {(err: any, req: import('http').IncomingMessage, res: import('http').ServerResponse) => Promise<void>}
+ *   Sends the error response (unless the response already ended)
+ */
+export function createErrorResponder({ apiDir, load, expose }) {
+  const loadHook = async () => {
+    const file = ERROR_EXTENSIONS.map((ext) => path.join(apiDir, ERROR_FILE_NAME + ext)).find(
+      (f) => fs.existsSync(f)
+    );
+    return file ? (await load(file)).default : null;
+  };
+
+  return async (err, req, res) => {
+    const { status, body } = toErrorResponse(err, { expose });
+    if (status >= 500) {
+      console.error(`❌ vite-node-api: ${req.method} ${req.url} failed:`, err);
+    }
+    if (res.writableEnded) return;
+    // Too late to change the status of a response already streaming
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    res.statusCode = status;
+    if (isHttpError(err) && err.headers) {
+      for (const [name, value] of Object.entries(err.headers)) res.setHeader(name, value);
+    }
+    let result;
+    try {
+      // The hook may report the error, return a body, or answer itself
+      const hook = await loadHook();
+      result = hook ? await hook(err, req, res, { status, body }) : undefined;
+    } catch (hookErr) {
+      console.error("❌ vite-node-api: _error.js failed:", hookErr);
+      res.statusCode = status;
+    }
+    if (res.writableEnded) return;
+
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(result === undefined ? body : result));
+  };
+}
@@ -0,0 +1,185 @@
+import { isForbiddenPath, relativeRouteFile } from "./router.js";
+import { resolveHandler } from "./methods.js";
+import { runMiddleware } from "./middleware.js";
+import { compileSchema, getRouteSchema } from "./schema.js";
+import { attachEventStream, isEventStream } from "./sse.js";
+import { attachResponseHelpers, isSending, sendResult } from "./response.js";
+import { parseBody, removeUploads } from "./body.js";
+import { applyCors } from "./cors.js";
+import { attachCookies } from "./cookies.js";
+
+/**
+ * The /api request pipeline, shared by the dev server and the production
+ * runtime. Each server keeps its own URL, static file and health handling and
+ * hands `/api` requests to the handler created here.
+ * @module handler
+ */
+
+/**
+ * @typedef {Object} ApiHandlerOptions
+ * @property {string} apiDir - Absolute path to the API routes
+ * @property {ReturnType<typeof import('./router.js').createRouter>} router - Route table
+ * @property {(file: string) => Promise<Record<string, any>>} load - Module loader
+ * @property {import('./cors.js').CorsOptions|null} cors - Normalized CORS options
+ * @property {number} bodyLimit - Maximum JSON/form body size in bytes
+ * @property {import('./body.js').UploadOptions} [uploads] - Multipart upload limits
+ * @property {string[]} cookieSecrets - Cookie signing secrets, newest first
+ * @property {ReturnType<typeof import('./session.js').createSessions>} sessions
+ * @property {ReturnType<typeof import('./ratelimit.js').createRateLimiter>} rateLimit
+ * @property {ReturnType<typeof import('./auth.js').createAuthenticator>} authenticate
+ * @property {ReturnType<typeof import('./errors.js').createErrorResponder>} sendError
+ * @property {(err: any) => void} [onError] - Called with errors before they are answered
+ */
+
+/**
+ * @typedef {Object} ApiRequest
+ * @property {string} pathname - Decoded URL path, starting with /api
+ * @property {URLSearchParams} searchParams - Query string
+ * @property {{ route: string|null }} access - Access log context (see startAccessLog)
+ */
+
+/**
+ * Check whether a decoded URL path belongs to the API
+ * @param {string} pathname
+ * @returns {boolean}
+ */
+export const isApiPath = (pathname) => pathname === "/api" || pathname.startsWith("/api/");
+
+/**
+ * Parse and decode a request URL
+ * @param {import('http').IncomingMessage} req
+ * @returns {{ pathname: string, searchParams: URLSearchParams }|null} Null for a
+ *   malformed URL (e.g. a broken percent-encoding), to be answered with 400
+ */
+export function parseRequestUrl(req) {
+  try {
+    const fullUrl = new URL(req.url, `http://${req.headers.host}`);
+    return {
+      pathname: decodeURIComponent(fullUrl.pathname),
+      searchParams: fullUrl.searchParams,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Send a JSON error body
+ * @param {import('http').ServerResponse} res
+ * @param {number} status
+ * @param {string} error
+ */
+function sendJsonError(res, status, error) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ error }));
+}
+
+/**
+ * Create the /api request handler
+ * @param {ApiHandlerOptions} options
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse,
+ *   request: ApiRequest) => Promise<void>} Answers the request, errors included
+ */
+export function createApiHandler({
+  apiDir,
+  router,
+  load,
+  cors,
+  bodyLimit,
+  uploads,
+  cookieSecrets,
+  sessions,
+  rateLimit,
+  authenticate,
+  sendError,
+  onError,
+}) {
+  return async function handleApiRequest(req, res, { pathname, searchParams, access }) {
+    if (cors && (await applyCors(cors, req, res))) return;
+
+    const apiPath = pathname.replace(/^\/api/, "");
+    if (isForbiddenPath(apiPath)) return sendJsonError(res, 403, "Forbidden path");
+
+    try {
+      const match = await router.match(apiPath);
+      if (!match) return sendJsonError(res, 404, "API route not found");
+      access.route = relativeRouteFile(apiDir, match.route.file);
+
+      const mod = await load(match.route.file);
+      attachCookies(req, res, cookieSecrets);
+      sessions?.attach(req, res);
+      await rateLimit(req, res, match.route, mod);
+      const { handler: fn, allow, upgrade } = resolveHandler(mod, req.method);
+
+      if (!fn) {
+        res.setHeader("Allow", allow.join(", "));
+        if (upgrade) {
+          res.setHeader("Upgrade", "websocket");
+          sendJsonError(res, 426, "Upgrade required");
+        } else if (req.method === "OPTIONS") {
+          res.statusCode = 204;
+          res.end();
+        } else {
+          sendJsonError(res, 405, "Method not allowed");
+        }
+        return;
+      }
+
+      // 401/403 before the body is read
+      authenticate(req, mod);
+
+      if (["POST", "PUT", "PATCH"].includes(req.method)) {
+        // Malformed or oversized bodies throw HttpErrors (400/413)
+        const parsed = await parseBody(req, { limit: bodyLimit, uploads });
+        req.body = parsed.body;
+        if (parsed.files) {
+          req.files = parsed.files;
+          // Temp files only live as long as the request
+          res.once("close", () => removeUploads(parsed.files));
+        }
+      }
+
+      req.query = Object.fromEntries(searchParams.entries());
+      req.params = match.params;
+      attachEventStream(req, res);
+      attachResponseHelpers(res);
+
+      const schema = getRouteSchema(mod, req.method);
+      const routeSchema = schema && compileSchema(schema);
+
+      const chain = await runMiddleware(match.route.middleware, load, req, res);
+      if (!chain.done && routeSchema) {
+        const details = routeSchema.validate(req);
+        if (details) {
+          res.statusCode = 400;
+          res.setHeader("Content-Type", "application/json");
+          res.end(JSON.stringify({ error: "Validation failed", details }));
+          return;
+        }
+      }
+
+      const result = chain.done ? chain.result : await fn(req, res);
+      await sessions?.commit(req);
+
+      // Event streams and piped bodies stay open after the handler returns
+      if (res.writableEnded || isEventStream(res) || isSending(res)) return;
+      // createResponse() results, Buffers and streams; anything else is JSON
+      if (sendResult(res, result)) return;
+
+      // Prefer the route's compiled response serializer for the route's own
+      // result (a short-circuiting middleware's value isn't shaped by it); a
+      // status set by the handler or middleware (res.statusCode = 201) is kept
+      const json = chain.done ? null : routeSchema?.serialize(res.statusCode, result ?? {});
+      res.setHeader("Content-Type", "application/json");
+      res.end(json ?? JSON.stringify(result ?? {}));
+    } catch (err) {
+      onError?.(err);
+      if (isEventStream(res)) {
+        res.end();
+        return;
+      }
+      await sendError(err, req, res);
+    }
+  };
+}
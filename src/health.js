@@ -0,0 +1,108 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Built-in liveness and readiness endpoints.
+ * `GET /_health` answers while the process can serve requests; `GET /_ready`
+ * also fails as soon as shutdown starts so load balancers stop routing to it.
+ * Both run user checks exported by `_health.js` in the API directory:
+ *
+ *   export const ready = { database: () => db.ping() };
+ *
+ * A check passes unless it throws or returns false.
+ * @module health
+ */
+
+/**
+ * @typedef {Object} HealthOptions
+ * @property {string} [live="/_health"] - Liveness path
+ * @property {string} [ready="/_ready"] - Readiness path
+ */
+
+/**
+ * @typedef {Record<string, () => any>} HealthChecks
+ */
+
+export const DEFAULT_HEALTH = { live: "/_health", ready: "/_ready" };
+
+/** Checks module in the API directory (not routable: `_`-prefixed) */
+export const HEALTH_FILE_NAME = "_health";
+
+const HEALTH_EXTENSIONS = [".js", ".ts", ".mts"];
+
+/**
+ * Normalize the `health` option
+ * @param {boolean|HealthOptions} [health] - `false` disables the endpoints
+ * @returns {Required<HealthOptions>|null}
+ */
+export function resolveHealthOptions(health) {
+  if (health === false) return null;
+  return { ...DEFAULT_HEALTH, ...(typeof health === "object" ? health : {}) };
+}
+
+/**
+ * Run named checks concurrently
+ * @param {HealthChecks} [checks]
+ * @returns {Promise<{ ok: boolean, results: Record<string, string> }>}
+ *   `results` maps each check to "ok" or its failure message
+ */
+export async function runChecks(checks = {}) {
+  const entries = await Promise.all(
+    Object.entries(checks).map(async ([name, check]) => {
+      try {
+        return [name, (await check()) === false ? "failed" : "ok"];
+      } catch (err) {
+        return [name, err.message || "failed"];
+      }
+    })
+  );
+  return {
+    ok: entries.every(([, result]) => result === "ok"),
+    results: Object.fromEntries(entries),
+  };
+}
+
+/**
+ * Create the handler for the health endpoints
+ * @param {Object} options
+ * @param {Required<HealthOptions>} options.health - Resolved paths
+ * @param {string} options.apiDir - Directory holding `_health.js`
+ * @param {(file: string) => Promise<Record<string, any>>} options.load - Module loader
+ * @param {() => boolean} [options.isDraining] - True once shutdown started
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse, pathname: string) => Promise<boolean>}
+ *   Resolves true when the request was a health check and has been answered
+ */
+export function createHealthHandler({ health, apiDir, load, isDraining = () => false }) {
+  const loadChecks = async () => {
+    const file = HEALTH_EXTENSIONS.map((ext) => path.join(apiDir, HEALTH_FILE_NAME + ext)).find(
+      (f) => fs.existsSync(f)
+    );
+    return file ? load(file) : {};
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Cache-Control": "no-store",
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  return async (req, res, pathname) => {
+    const kind = pathname === health.live ? "live" : pathname === health.ready ? "ready" : null;
+    if (!kind || !["GET", "HEAD"].includes(req.method)) return false;
+
+    if (kind === "ready" && isDraining()) {
+      send(res, 503, { status: "draining" });
+      return true;
+    }
+
+    try {
+      const { ok, results } = await runChecks((await loadChecks())[kind]);
+      send(res, ok ? 200 : 503, { status: ok ? "ok" : "error", checks: results });
+    } catch (err) {
+      send(res, 503, { status: "error", error: err.message });
+    }
+    return true;
+  };
+}
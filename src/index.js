@@ -1,14 +1,37 @@
 import path from "path";
 import fs from "fs";
 import url from "url";
-import buildBackend from "./builder.js";
+import buildBackend, { bundleServerModule, precompressAssets } from "./builder.js";
+import { createRouter, scanRoutes } from "./router.js";
+import { loadModule } from "./loader.js";
+import { createUpgradeHandler } from "./websocket.js";
+import { createApiHandler, isApiPath, parseRequestUrl } from "./handler.js";
+import { resolveCorsOptions } from "./cors.js";
+import {
+  CORS_ORIGIN_FILE,
+  LOGGER_FILE,
+  RATE_LIMIT_KEY_FILE,
+  RATE_LIMIT_STORE_FILE,
+  SESSION_STORE_FILE,
+  createRuntimeConfig,
+} from "./config.js";
+import { createHealthHandler, resolveHealthOptions } from "./health.js";
+import { createErrorResponder } from "./errors.js";
+import { createRateLimiter } from "./ratelimit.js";
+import { resolveSecrets } from "./cookies.js";
+import { createSessions } from "./session.js";
+import { createAuthenticator } from "./auth.js";
+import { isModulePath } from "./modules.js";
+import { resolveLogger, startAccessLog } from "./logger.js";
+import { DEFAULT_OPENAPI_PATH, generateOpenApi } from "./openapi.js";
+import {
+  CLIENT_MODULE_ID,
+  RESOLVED_CLIENT_MODULE_ID,
+  collectClientRoutes,
+  generateClientCode,
+  generateClientTypes,
+} from "./client.js";
 import fastJson from "fast-json-stringify";
-import fastJsonParse from "fast-json-parse";
-
-/**
- * @typedef {Object} CorsOptions
- * @property {string} [origin] - CORS origin (default: "*")
- */
 
 /**
  * @typedef {Object} ViteNodeApiOptions
@@ -16,11 +39,33 @@ import fastJsonParse from "fast-json-parse";
  * @property {number} [port=4173] - Port for production runtime
  * @property {number} [bodyLimit=1000000] - Maximum request body size in bytes (default: 1MB)
  * @property {number} [timeout=30000] - Request timeout in milliseconds (default: 30s)
- * @property {boolean|CorsOptions} [cors] - Enable CORS headers
+ * @property {boolean|import('./cors.js').CorsOptions} [cors] - Enable CORS headers
+ * @property {import('./body.js').UploadOptions} [uploads] - Limits and temp directory
+ *   for multipart/form-data file uploads
+ * @property {number|"auto"} [workers=1] - Production worker processes ("auto": one per CPU)
+ * @property {number} [drainTimeout=10000] - Milliseconds production shutdown waits for
+ *   open requests before closing their connections
+ * @property {boolean|import('./health.js').HealthOptions} [health] - Liveness/readiness
+ *   endpoint paths (false disables them)
+ * @property {false|import('./logger.js').LoggerOption|string} [logger] - Access log: "pretty"
+ *   (dev default), "json" (production default), a function (dev only) or the path of a module
+ *   whose default export receives each entry (dev and production)
+ * @property {import('./cookies.js').CookieConfig} [cookies] - Cookie signing secret (also
+ *   `VITE_NODE_API_COOKIE_SECRET`, comma-separated for rotation)
+ * @property {import('./auth.js').AuthOptions} [auth] - JWT keys and claims checks for
+ *   routes exporting `auth`
+ * @property {boolean|import('./session.js').SessionOptions} [session] - Sessions as
+ *   `await req.session` (off by default)
+ * @property {boolean|import('./ratelimit.js').RateLimitOptions} [rateLimit] - Rate limit for all
+ *   API routes (routes can export their own `rateLimit`, or `false` to opt out)
+ * @property {boolean|import('./openapi.js').OpenApiOptions} [openapi] - Generate an OpenAPI document
+ *   (served in dev, written to dist/openapi.json on build)
+ * @property {false|import('./client.js').ClientOptions} [client] - Typed client served as
+ *   `virtual:vite-node-api/client` (false disables it)
  */
 
 /**
- * Vite plugin for Node.js API routes with JSON-only, single-port backend and frontend.
+ * Vite plugin for Node.js API routes with JSON-first, single-port backend and frontend.
  *
  * @param {ViteNodeApiOptions} [options={}] - Plugin configuration options
  * @returns {import('vite').Plugin} Vite plugin object
@@ -42,9 +87,36 @@ import fastJsonParse from "fast-json-parse";
  */
 export default function viteNodeApi(options = {}) {
   const apiDir = path.resolve(options.apiDir || "server/api");
-  const port = options.port || process.env.PORT || 4173;
   const bodyLimit = options.bodyLimit || 1_000_000;
   const timeout = options.timeout || 30000;
+  // An origin module goes through loadRouteModule, so edits apply without a restart
+  const cors = resolveCorsOptions(options.cors, loadRouteModule);
+  const health = resolveHealthOptions(options.health);
+  const cookieSecrets = resolveSecrets(
+    options.cookies?.secret ?? process.env.VITE_NODE_API_COOKIE_SECRET?.split(",")
+  );
+  // Quiet under test runners unless asked for
+  const loggerOption =
+    options.logger ?? (process.env.NODE_ENV === "test" ? false : "pretty");
+  // A sink module goes through loadRouteModule, so edits apply without a restart
+  const log = isModulePath(loggerOption)
+    ? (entry) =>
+        loadRouteModule(path.resolve(loggerOption))
+          .then((mod) => mod.default(entry))
+          .catch((err) => console.error("❌ vite-node-api: access logger failed:", err))
+    : resolveLogger(loggerOption);
+  const router = createRouter(apiDir);
+  const openapi =
+    options.openapi &&
+    (typeof options.openapi === "object" ? options.openapi : {});
+  const openapiPath = openapi?.path || DEFAULT_OPENAPI_PATH;
+  // Opt-in: generating the client imports every route module
+  const client =
+    Boolean(options.client) &&
+    (typeof options.client === "object" ? options.client : {});
+  const clientDts =
+    client && client.dts !== false &&
+    path.resolve(client.dts || "src/vite-node-api-client.d.ts");
 
   // Create fast-json-stringify instances for common error responses
   const errorStringify = fastJson({
@@ -54,10 +126,65 @@ export default function viteNodeApi(options = {}) {
     }
   });
 
-  // Generic stringify for any object (fallback)
-  const genericStringify = fastJson({
-    type: "object",
-    additionalProperties: true
+  /** @type {import('vite').ViteDevServer|null} */
+  let devServer = null;
+  let isServe = false;
+  // Vite's client output, precompressed on build (see config() below)
+  let clientOutDir = path.resolve("dist/client");
+
+  /**
+   * Import a route or middleware module. Under `vite dev` this goes through
+   * Vite's SSR module graph (aliases, plugins, `import.meta.env`, and reuse of
+   * unchanged modules); elsewhere it falls back to a direct import.
+   * @param {string} file - Absolute file path
+   * @returns {Promise<Record<string, any>>}
+   */
+  function loadRouteModule(file) {
+    return devServer ? devServer.ssrLoadModule(file) : loadModule(file);
+  }
+
+  /**
+   * Write the client type declarations when their content changed
+   * @returns {Promise<void>}
+   */
+  async function writeClientTypes() {
+    if (!clientDts) return;
+    const types = generateClientTypes(
+      await collectClientRoutes(await router.routes(), loadRouteModule)
+    );
+    if (fs.existsSync(clientDts) && fs.readFileSync(clientDts, "utf8") === types) return;
+    fs.mkdirSync(path.dirname(clientDts), { recursive: true });
+    fs.writeFileSync(clientDts, types);
+  }
+
+  const checkHealth =
+    health && createHealthHandler({ health, apiDir, load: loadRouteModule });
+
+  const rateLimit = createRateLimiter(options.rateLimit, loadRouteModule);
+  const authenticate = createAuthenticator(options.auth);
+  const sessions = createSessions(options.session, {
+    secrets: cookieSecrets,
+    load: loadRouteModule,
+  });
+
+  // Dev shows the message of unexpected errors; the production runtime hides it
+  const sendError = createErrorResponder({ apiDir, load: loadRouteModule, expose: true });
+
+  const handleApiRequest = createApiHandler({
+    apiDir,
+    router,
+    load: loadRouteModule,
+    cors,
+    bodyLimit,
+    uploads: options.uploads,
+    cookieSecrets,
+    sessions,
+    rateLimit,
+    authenticate,
+    sendError,
+    onError: (err) => {
+      if (err instanceof Error) devServer?.ssrFixStacktrace(err);
+    },
   });
 
   /**
@@ -67,105 +194,43 @@ export default function viteNodeApi(options = {}) {
    * @param {Function} next - Next middleware function
    */
   async function handler(req, res, next) {
-    if (!req.url.startsWith("/api")) return next();
-
-    if (options.cors) {
-      const corsOpt =
-        typeof options.cors === "object" ? options.cors : { origin: "*" };
-      res.setHeader("Access-Control-Allow-Origin", corsOpt.origin || "*");
-      res.setHeader(
-        "Access-Control-Allow-Methods",
-        "GET,POST,PUT,PATCH,DELETE,OPTIONS"
-      );
-      res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-      if (req.method === "OPTIONS") {
-        res.writeHead(204);
-        res.end();
-        return;
-      }
-    }
-
-    req.setTimeout(timeout, () => {
-      if (!res.writableEnded) {
-        res.statusCode = 408;
+    if (openapi && req.url.split("?")[0] === openapiPath) {
+      try {
+        const doc = await generateOpenApi(await router.routes(), loadRouteModule, openapi);
         res.setHeader("Content-Type", "application/json");
-        res.end(errorStringify({ error: "Request timeout" }));
+        res.end(JSON.stringify(doc));
+      } catch (err) {
+        res.statusCode = 500;
+        res.setHeader("Content-Type", "application/json");
+        res.end(errorStringify({ error: err.message }));
       }
-    });
-
-    const fullUrl = new URL(req.url, `http://${req.headers.host}`);
-    const pathname = decodeURIComponent(fullUrl.pathname);
-    const apiPath = pathname.replace(/^\/api/, "");
-    const filePath = path.resolve(apiDir, "." + apiPath + ".js");
-
-    const safePath = path.normalize(filePath);
-    if (!safePath.startsWith(apiDir)) {
-      res.statusCode = 403;
-      res.setHeader("Content-Type", "application/json");
-      res.end(errorStringify({ error: "Forbidden path" }));
       return;
     }
 
-    if (!fs.existsSync(safePath)) {
-      res.statusCode = 404;
+    if (checkHealth && (await checkHealth(req, res, req.url.split("?")[0]))) return;
+
+    const requestUrl = parseRequestUrl(req);
+    // Malformed URLs outside /api are left to Vite
+    if (!requestUrl) {
+      if (!isApiPath(req.url.split("?")[0])) return next();
+      res.statusCode = 400;
       res.setHeader("Content-Type", "application/json");
-      res.end(errorStringify({ error: "API route not found" }));
+      res.end(errorStringify({ error: "Bad request" }));
       return;
     }
+    if (!isApiPath(requestUrl.pathname)) return next();
 
-    try {
-      if (["POST", "PUT", "PATCH"].includes(req.method)) {
-        const chunks = [];
-        let total = 0;
-        for await (const c of req) {
-          total += c.length;
-          if (total > bodyLimit) {
-            res.statusCode = 413;
-            res.setHeader("Content-Type", "application/json");
-            res.end(errorStringify({ error: "Request body too large" }));
-            return;
-          }
-          chunks.push(c);
-        }
-
-        const bodyStr = Buffer.concat(chunks).toString() || "{}";
-        const parsed = fastJsonParse(bodyStr);
-
-        if (parsed.err) {
-          res.statusCode = 400;
-          res.setHeader("Content-Type", "application/json");
-          res.end(errorStringify({ error: "Invalid JSON body" }));
-          return;
-        }
-
-        req.body = parsed.value;
-      }
+    const access = startAccessLog(req, res, log);
 
-      req.query = Object.fromEntries(fullUrl.searchParams.entries());
-
-      // Convert Windows path to file:// URL for ESM import
-      const fileUrl = url.pathToFileURL(safePath).href;
-      const mod = await import(fileUrl + "?t=" + Date.now());
-      const fn = mod.default || mod;
-      const result = await fn(req, res);
-
-      if (!res.writableEnded) {
-        res.setHeader("Content-Type", "application/json");
-        // Use generic stringify for response (handles any object structure)
-        try {
-          res.end(genericStringify(result ?? {}));
-        } catch {
-          // Fallback to regular JSON.stringify if schema mismatch
-          res.end(JSON.stringify(result ?? {}));
-        }
-      }
-    } catch (err) {
+    req.setTimeout(timeout, () => {
       if (!res.writableEnded) {
-        res.statusCode = 500;
+        res.statusCode = 408;
         res.setHeader("Content-Type", "application/json");
-        res.end(errorStringify({ error: err.message }));
+        res.end(errorStringify({ error: "Request timeout" }));
       }
-    }
+    });
+
+    await handleApiRequest(req, res, { ...requestUrl, access });
   }
 
   return {
@@ -180,16 +245,108 @@ export default function viteNodeApi(options = {}) {
       };
     },
 
+    configResolved(config) {
+      isServe = config.command === "serve";
+      clientOutDir = path.resolve(config.root || "", config.build?.outDir || "dist/client");
+    },
+
+    resolveId(id) {
+      if (client && id === CLIENT_MODULE_ID) return RESOLVED_CLIENT_MODULE_ID;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_CLIENT_MODULE_ID) return;
+      return generateClientCode(
+        await collectClientRoutes(await router.routes(), loadRouteModule)
+      );
+    },
+
+    async buildStart() {
+      if (client) await writeClientTypes();
+    },
+
     configureServer(server) {
+      // Servers without SSR loading (e.g. a bare connect app) keep direct imports
+      if (typeof server.ssrLoadModule === "function") devServer = server;
+
+      // Refresh the route table (and the client generated from it) when
+      // route files are added, removed or edited
+      const refresh = (event) => (file) => {
+        if (!path.resolve(file).startsWith(apiDir)) return;
+        if (event !== "change") router.invalidate();
+        if (!client) return;
+
+        const mod = server.moduleGraph?.getModuleById(RESOLVED_CLIENT_MODULE_ID);
+        if (mod) server.moduleGraph.invalidateModule(mod);
+        if (event !== "change") server.ws?.send({ type: "full-reload" });
+        writeClientTypes().catch((err) =>
+          console.error(`❌ vite-node-api: client types failed: ${err.message}`)
+        );
+      };
+      server.watcher?.on("add", refresh("add"));
+      server.watcher?.on("unlink", refresh("unlink"));
+      server.watcher?.on("change", refresh("change"));
+
+      // WebSocket routes share Vite's HTTP server; HMR upgrades are left to Vite
+      server.httpServer?.on(
+        "upgrade",
+        createUpgradeHandler({
+          router,
+          load: loadRouteModule,
+          rateLimit,
+          authenticate,
+          cookieSecrets,
+        })
+      );
+
       server.middlewares.use(handler);
       console.log(`✅ vite-node-api: /api/* routes ready on Vite dev server`);
     },
 
     async closeBundle() {
-      process.env.VITE_NODE_API_PORT = port;
-      process.env.VITE_NODE_API_TIMEOUT = timeout;
+      // Vite also closes the bundle when the dev server shuts down
+      if (isServe) return;
+
       process.env.NODE_ENV = process.env.NODE_ENV || "production";
-      await buildBackend(apiDir);
+      // Options reach the separately started runtime through dist/server/config.json
+      const apiOutDir = await buildBackend(
+        apiDir,
+        createRuntimeConfig({ ...options, apiDir })
+      );
+      if (isModulePath(options.logger)) {
+        await bundleServerModule(path.resolve(options.logger), LOGGER_FILE);
+      }
+      if (isModulePath(options.cors?.origin)) {
+        await bundleServerModule(path.resolve(options.cors.origin), CORS_ORIGIN_FILE);
+      }
+      if (isModulePath(options.session?.store)) {
+        await bundleServerModule(path.resolve(options.session.store), SESSION_STORE_FILE);
+      }
+      if (isModulePath(options.rateLimit?.key)) {
+        await bundleServerModule(path.resolve(options.rateLimit.key), RATE_LIMIT_KEY_FILE);
+      }
+      if (isModulePath(options.rateLimit?.store)) {
+        await bundleServerModule(path.resolve(options.rateLimit.store), RATE_LIMIT_STORE_FILE);
+      }
+      await precompressAssets(clientOutDir);
+
+      if (openapi && apiOutDir) {
+        // Read method exports and schemas from the bundled, self-contained routes
+        const doc = await generateOpenApi(
+          await scanRoutes(apiOutDir),
+          (file) => import(url.pathToFileURL(path.resolve(file)).href),
+          openapi
+        );
+        fs.writeFileSync(
+          path.join("dist", "openapi.json"),
+          JSON.stringify(doc, null, 2)
+        );
+        console.log("✅ vite-node-api: OpenAPI document → dist/openapi.json");
+      }
     },
   };
 }
+
+export { HttpError, createError, isHttpError } from "./errors.js";
+export { consumeRateLimit } from "./ratelimit.js";
+export { createResponse, isResponse } from "./response.js";
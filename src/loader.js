@@ -0,0 +1,68 @@
+import path from "path";
+import fs from "fs";
+import url from "url";
+import { build } from "esbuild";
+
+/**
+ * Route and middleware loading outside Vite's module graph (builds, and dev
+ * servers without `ssrLoadModule`).
+ * JavaScript is imported directly; TypeScript is bundled with esbuild
+ * (relative imports inlined, packages left external) and imported from
+ * a short-lived file under node_modules so bare imports still resolve.
+ * @module loader
+ */
+
+const TS_RE = /\.m?ts$/;
+
+// Inside node_modules so the Vite watcher ignores it and packages resolve from the project
+const CACHE_DIR = path.resolve("node_modules/.vite-node-api");
+
+let counter = 0;
+
+/**
+ * Check whether a module needs transpiling
+ * @param {string} file - File path
+ * @returns {boolean}
+ */
+export const isTypeScript = (file) => TS_RE.test(file);
+
+/**
+ * Transpile and import a TypeScript module
+ * @param {string} file - Absolute file path
+ * @returns {Promise<Record<string, any>>}
+ */
+async function importTypeScript(file) {
+  const result = await build({
+    entryPoints: [file],
+    bundle: true,
+    write: false,
+    platform: "node",
+    format: "esm",
+    target: "node20",
+    packages: "external",
+    sourcemap: "inline",
+    logLevel: "silent",
+  });
+
+  const name = path.basename(file).replace(TS_RE, "");
+  const outFile = path.join(CACHE_DIR, `${name}.${process.pid}.${counter++}.mjs`);
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+  fs.writeFileSync(outFile, result.outputFiles[0].contents);
+
+  try {
+    return await import(url.pathToFileURL(outFile).href);
+  } finally {
+    fs.rmSync(outFile, { force: true });
+  }
+}
+
+/**
+ * Import a route or middleware module, bypassing the ESM cache so edits apply
+ * @param {string} file - Absolute file path
+ * @returns {Promise<Record<string, any>>}
+ */
+export function loadModule(file) {
+  if (isTypeScript(file)) return importTypeScript(file);
+  // Convert Windows path to file:// URL for ESM import
+  return import(url.pathToFileURL(file).href + "?t=" + Date.now());
+}
@@ -0,0 +1,130 @@
+import crypto from "crypto";
+
+/**
+ * Access logging with request IDs, shared by the dev server and the
+ * production runtime. Every logged request gets `req.id` (from an incoming
+ * `X-Request-Id` or generated) echoed as the `X-Request-Id` response header.
+ * @module logger
+ */
+
+/**
+ * @typedef {Object} AccessLogEntry
+ * @property {string} time - ISO timestamp of the request start
+ * @property {string} id - Request ID
+ * @property {string} method - HTTP method
+ * @property {string} path - Request path with query string
+ * @property {string|null} route - Matched route file relative to the API directory
+ * @property {number} status - Response status code
+ * @property {number} duration - Milliseconds until the response ended
+ * @property {number} bytes - Response body bytes
+ */
+
+/**
+ * @typedef {"pretty"|"json"|((entry: AccessLogEntry) => any)} LoggerOption
+ */
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+/** Accepted incoming IDs: short, printable, no spaces */
+const REQUEST_ID_RE = /^[\w.:@/+=-]{1,200}$/;
+
+/**
+ * Use the client's request ID when it looks sane, otherwise generate one
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+export function getRequestId(req) {
+  const incoming = req.headers["x-request-id"];
+  return typeof incoming === "string" && REQUEST_ID_RE.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+}
+
+/**
+ * Format bytes for the pretty log
+ * @param {number} bytes
+ * @returns {string}
+ */
+const formatBytes = (bytes) =>
+  bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
+
+/**
+ * One line per request for terminals
+ * @param {AccessLogEntry} entry
+ * @returns {string}
+ */
+export function formatPretty(entry) {
+  const icon = entry.status >= 500 ? "❌" : entry.status >= 400 ? "⚠️" : "✅";
+  const route = entry.route ? ` → ${entry.route}` : "";
+  return `${icon} ${entry.method} ${entry.path} ${entry.status} ${entry.duration}ms ${formatBytes(entry.bytes)}${route} [${entry.id}]`;
+}
+
+/**
+ * Turn the `logger` option into a sink
+ * @param {false|LoggerOption|undefined} logger
+ * @returns {((entry: AccessLogEntry) => void)|null} Null when logging is off
+ */
+export function resolveLogger(logger) {
+  if (!logger) return null;
+  if (typeof logger === "function") return logger;
+  if (logger === "json") return (entry) => process.stdout.write(JSON.stringify(entry) + "\n");
+  if (logger === "pretty") return (entry) => console.log(formatPretty(entry));
+  throw new Error(`Unknown vite-node-api logger: ${logger}`);
+}
+
+/**
+ * Assign the request ID and log the request once its response ends
+ * @param {import('http').IncomingMessage & { id?: string }} req
+ * @param {import('http').ServerResponse} res
+ * @param {((entry: AccessLogEntry) => void)|null} log - Sink, or null to only assign the ID
+ * @returns {{ route: string|null }} Set `route` once the request matched a file
+ */
+export function startAccessLog(req, res, log) {
+  const context = { route: null };
+  req.id = getRequestId(req);
+  res.setHeader(REQUEST_ID_HEADER, req.id);
+  if (!log) return context;
+
+  const time = new Date();
+  const start = process.hrtime.bigint();
+  let bytes = 0;
+
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== "function") {
+      bytes += Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : undefined);
+    }
+  };
+
+  const write = res.write;
+  if (write) {
+    res.write = function (chunk, encoding, ...rest) {
+      count(chunk, encoding);
+      return write.call(this, chunk, encoding, ...rest);
+    };
+  }
+
+  const end = res.end;
+  res.end = function (chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    const result = end.call(this, chunk, encoding, ...rest);
+    res.end = end;
+
+    try {
+      log({
+        time: time.toISOString(),
+        id: req.id,
+        method: req.method,
+        path: req.url,
+        route: context.route,
+        status: res.statusCode,
+        duration: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+        bytes,
+      });
+    } catch (err) {
+      console.error("❌ vite-node-api: access logger failed:", err);
+    }
+    return result;
+  };
+
+  return context;
+}
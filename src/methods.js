@@ -0,0 +1,86 @@
+/**
+ * HTTP method dispatch for route modules.
+ * A route may export named handlers (`GET`, `POST`, ...) and/or a default
+ * handler that receives every method not exported by name.
+ * @module methods
+ */
+
+/** HTTP methods that may be exported as named route handlers */
+export const HTTP_METHODS = [
+  "GET",
+  "HEAD",
+  "POST",
+  "PUT",
+  "PATCH",
+  "DELETE",
+  "OPTIONS",
+];
+
+/**
+ * @typedef {Object} ResolvedHandler
+ * @property {Function} [handler] - Handler to invoke for the request method
+ * @property {string[]} allow - Methods the route answers (for the Allow header)
+ * @property {boolean} [upgrade] - True when the route only accepts WebSocket upgrades here
+ */
+
+/**
+ * List the methods a route module answers
+ * @param {Record<string, any>} mod - Imported route module
+ * @returns {string[]} Method names, always including OPTIONS
+ */
+export function getAllowedMethods(mod) {
+  const allow = HTTP_METHODS.filter((m) => typeof mod[m] === "function");
+  if (allow.includes("GET") && !allow.includes("HEAD")) allow.push("HEAD");
+  if (!allow.includes("OPTIONS")) allow.push("OPTIONS");
+  return HTTP_METHODS.filter((m) => allow.includes(m));
+}
+
+/**
+ * List the methods a route declares, for documentation and client generation.
+ * Named exports are used when present; a default export answers every method,
+ * so default-only routes declare `meta.methods` or are assumed to be GET.
+ *
+ * @param {Record<string, any>} mod - Imported route module
+ * @returns {string[]}
+ */
+export function getDeclaredMethods(mod) {
+  const named = getAllowedMethods(mod).filter(
+    (m) => m !== "OPTIONS" && m !== "HEAD"
+  );
+  if (named.length) return named;
+  // WebSocket-only routes answer no plain HTTP methods
+  if (typeof mod.default !== "function" && mod.websocket) return [];
+  return mod.meta?.methods || ["GET"];
+}
+
+/**
+ * Pick the handler for a request method.
+ * Resolution order: named export → GET for HEAD → default export.
+ * When no handler applies, `handler` is undefined and the caller should
+ * answer OPTIONS with 204 or anything else with 405, using `allow`
+ * (or 426 when `upgrade` is set: a plain GET to a WebSocket route).
+ *
+ * @param {Record<string, any>} mod - Imported route module
+ * @param {string} method - Request method
+ * @returns {ResolvedHandler}
+ * @throws {Error} If the module exports no handler at all
+ */
+export function resolveHandler(mod, method) {
+  const fallback = typeof mod.default === "function" ? mod.default : null;
+  const named = HTTP_METHODS.some((m) => typeof mod[m] === "function");
+  const websocket = Boolean(mod.websocket);
+
+  if (!fallback && !named && !websocket) {
+    throw new Error("Route module has no default export or method handlers");
+  }
+
+  const allow = getAllowedMethods(mod);
+
+  if (typeof mod[method] === "function") return { handler: mod[method], allow };
+  if (method === "HEAD" && typeof mod.GET === "function")
+    return { handler: mod.GET, allow };
+  if (fallback) return { handler: fallback, allow };
+  if (websocket && method === "GET") return { allow, upgrade: true };
+
+  return { allow };
+}
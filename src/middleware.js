@@ -0,0 +1,36 @@
+/**
+ * Directory-scoped `_middleware.js` chain.
+ * A middleware module default-exports `(req, res) => any`. It may enrich
+ * `req` and return nothing to continue, or short-circuit the chain by
+ * returning a value (sent as the JSON response) or ending `res` itself.
+ * @module middleware
+ */
+
+/**
+ * @typedef {Object} MiddlewareResult
+ * @property {boolean} done - True when a middleware short-circuited the chain
+ * @property {any} [result] - Value returned by the short-circuiting middleware
+ */
+
+/**
+ * Run middleware files in order until one short-circuits
+ * @param {string[]} files - Middleware files, outermost first
+ * @param {(file: string) => Promise<Record<string, any>>} load - Module loader
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @returns {Promise<MiddlewareResult>}
+ * @throws {Error} If a middleware file has no default export
+ */
+export async function runMiddleware(files, load, req, res) {
+  for (const file of files) {
+    const mod = await load(file);
+    if (typeof mod.default !== "function") {
+      throw new Error(`Middleware ${file} has no default export`);
+    }
+
+    const result = await mod.default(req, res);
+    if (res.writableEnded) return { done: true };
+    if (result !== undefined) return { done: true, result };
+  }
+  return { done: false };
+}
@@ -0,0 +1,30 @@
+import path from "path";
+
+/**
+ * User modules named by plugin options (predicates, stores, sinks).
+ * Functions can't be written to `dist/server/config.json`, so options that
+ * take code accept a module path instead: dev loads it through the route
+ * loader, and the build bundles it into dist/server.
+ * @module modules
+ */
+
+/** A module path rather than a plain string value (an origin, a store name) */
+const MODULE_PATH_RE = /\.m?[jt]s$/;
+
+/**
+ * Check whether an option value names a module
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isModulePath = (value) => typeof value === "string" && MODULE_PATH_RE.test(value);
+
+/**
+ * Wrap a module's default export, loading it on first call
+ * @param {string} file - Module path (relative to the working directory)
+ * @param {(file: string) => Promise<Record<string, any>>} load - Module loader
+ * @returns {(...args: any[]) => Promise<any>}
+ */
+export const lazyDefault = (file, load) => {
+  const absolute = path.resolve(file);
+  return async (...args) => (await load(absolute)).default(...args);
+};
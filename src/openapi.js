@@ -0,0 +1,164 @@
+import { getDeclaredMethods } from "./methods.js";
+import { getRouteSchema, isStatusMap } from "./schema.js";
+
+/**
+ * OpenAPI 3.1 document generation from the file-based route tree.
+ * Operations are derived from method exports, `schema` and `meta` exports.
+ * @module openapi
+ */
+
+/**
+ * @typedef {Object} OpenApiOptions
+ * @property {string} [path="/api/_openapi.json"] - Dev server path serving the document
+ * @property {{ title?: string, version?: string, description?: string }} [info] - Document info
+ * @property {Array<{ url: string, description?: string }>} [servers] - Server list
+ */
+
+/**
+ * @typedef {Object} RouteMeta
+ * @property {string} [summary]
+ * @property {string} [description]
+ * @property {string[]} [tags]
+ * @property {string} [operationId]
+ * @property {boolean} [deprecated]
+ * @property {string[]} [methods] - Methods a default-export-only route answers
+ */
+
+export const DEFAULT_OPENAPI_PATH = "/api/_openapi.json";
+
+const META_FIELDS = ["summary", "description", "tags", "operationId", "deprecated"];
+
+/**
+ * Convert a route pattern into OpenAPI paths (`/users/[id]` → `/api/users/{id}`).
+ * Optional catch-alls produce both the bare and the parameterized path.
+ *
+ * @param {string} pattern - Route pattern from the router
+ * @returns {string[]}
+ */
+export function toOpenApiPaths(pattern) {
+  const base = ("/api" + pattern).replace(/\/$/, "");
+  const optional = base.match(/^(.*)\/\[\[\.\.\.([^\]]+)\]\]$/);
+  if (optional) return [optional[1] || "/api", `${optional[1]}/{${optional[2]}}`];
+  return [base.replace(/\[(?:\.\.\.)?([^\]]+)\]/g, "{$1}")];
+}
+
+/**
+ * Pick route metadata for a method (same per-method convention as `schema`)
+ * @param {Record<string, any>} mod - Imported route module
+ * @param {string} method
+ * @returns {RouteMeta}
+ */
+function getRouteMeta(mod, method) {
+  const meta = mod.meta;
+  if (!meta || typeof meta !== "object") return {};
+  return meta[method] || meta;
+}
+
+/**
+ * Build the responses object for an operation
+ * @param {import('./schema.js').RouteSchema|null} schema
+ * @returns {Object}
+ */
+function buildResponses(schema) {
+  const json = (s) => ({ content: { "application/json": { schema: s } } });
+  const responses = {};
+  const response = schema?.response;
+
+  if (!response) {
+    responses[200] = { description: "Successful response" };
+  } else if (isStatusMap(response)) {
+    for (const [status, s] of Object.entries(response)) {
+      responses[status.toUpperCase()] = { description: `${status} response`, ...json(s) };
+    }
+  } else {
+    responses[200] = { description: "Successful response", ...json(response) };
+  }
+
+  if (schema?.body || schema?.query || schema?.params) {
+    responses[400] ??= { description: "Validation failed" };
+  }
+  return responses;
+}
+
+/**
+ * Build an OpenAPI operation for one method of a route
+ * @param {import('./router.js').Route} route
+ * @param {string} path - OpenAPI path the operation is registered under
+ * @param {Record<string, any>} mod - Imported route module
+ * @param {string} method
+ * @returns {Object}
+ */
+function buildOperation(route, path, mod, method) {
+  const schema = getRouteSchema(mod, method);
+  const meta = getRouteMeta(mod, method);
+  const operation = {};
+
+  for (const field of META_FIELDS) {
+    if (meta[field] !== undefined) operation[field] = meta[field];
+  }
+
+  const parameters = [];
+  for (const [, name] of path.matchAll(/\{([^}]+)\}/g)) {
+    const catchAll = name === route.catchAll;
+    parameters.push({
+      name,
+      in: "path",
+      required: true,
+      schema: schema?.params?.properties?.[name] || { type: "string" },
+      ...(catchAll && { description: "One or more path segments joined by /" }),
+    });
+  }
+
+  const query = schema?.query;
+  for (const [name, s] of Object.entries(query?.properties || {})) {
+    parameters.push({
+      name,
+      in: "query",
+      required: query.required?.includes(name) || false,
+      schema: s,
+    });
+  }
+
+  if (parameters.length) operation.parameters = parameters;
+
+  if (schema?.body) {
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: schema.body } },
+    };
+  }
+
+  operation.responses = buildResponses(schema);
+  return operation;
+}
+
+/**
+ * Generate an OpenAPI 3.1 document for a set of routes
+ * @param {import('./router.js').Route[]} routes - Routes from the router
+ * @param {(file: string) => Promise<Record<string, any>>} load - Module loader
+ * @param {OpenApiOptions} [options={}]
+ * @returns {Promise<Object>} OpenAPI document
+ */
+export async function generateOpenApi(routes, load, options = {}) {
+  const paths = {};
+
+  for (const route of routes) {
+    const mod = await load(route.file);
+    const methods = getDeclaredMethods(mod);
+    if (!methods.length) continue;
+
+    for (const path of toOpenApiPaths(route.pattern)) {
+      paths[path] ??= {};
+      for (const method of methods) {
+        paths[path][method.toLowerCase()] = buildOperation(route, path, mod, method);
+      }
+    }
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: { title: "API", version: "1.0.0", ...options.info },
+    ...(options.servers && { servers: options.servers }),
+    paths,
+  };
+}
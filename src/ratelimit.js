@@ -0,0 +1,288 @@
+import nodeCluster from "cluster";
+import path from "path";
+import { createError } from "./errors.js";
+import { isModulePath, lazyDefault } from "./modules.js";
+
+/**
+ * Rate limiting for API routes, shared by the dev server and the production
+ * runtime. A global `rateLimit` option applies to every route; a route can
+ * export its own `rateLimit` (counted separately) or `false` to opt out.
+ * Counters live in a store: in memory by default, in the cluster primary
+ * when the workers were started by `startCluster`, or in a user module (e.g. Redis).
+ * @module ratelimit
+ */
+
+/**
+ * @typedef {"fixed-window"|"token-bucket"} RateLimitAlgorithm
+ */
+
+/**
+ * @typedef {Object} RateLimitRule
+ * @property {RateLimitAlgorithm} algorithm
+ * @property {number} limit - Requests per window (bucket capacity for token-bucket)
+ * @property {number} window - Window length in milliseconds (time to refill a bucket)
+ */
+
+/**
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed - Whether the request may proceed
+ * @property {number} remaining - Requests left in the window
+ * @property {number} reset - Milliseconds until the window resets (bucket is full)
+ * @property {number} retryAfter - Milliseconds until a denied request may retry
+ */
+
+/**
+ * @typedef {Object} RateLimitStore
+ * @property {(key: string, rule: RateLimitRule) => RateLimitResult|Promise<RateLimitResult>} consume
+ *   Count one request for `key` (see {@link consumeRateLimit} for the algorithms)
+ */
+
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {RateLimitAlgorithm} [algorithm="fixed-window"]
+ * @property {number} [limit=100]
+ * @property {number} [window=60000]
+ * @property {"ip"|string|((req: import('http').IncomingMessage) => string|null|undefined|Promise<string|null|undefined>)} [key="ip"]
+ *   Client key; requests whose key is null or undefined are not limited. A module path
+ *   (`.js`/`.ts`) whose default export is the key function is bundled for production;
+ *   inline functions only apply in dev
+ * @property {"memory"|"cluster"|string|RateLimitStore} [store] - A built-in store, a store
+ *   module path (bundled for production) or a store object (dev only). Defaults to
+ *   "cluster" in workers forked by `startCluster` and "memory" otherwise
+ */
+
+export const DEFAULT_RATE_LIMIT = {
+  algorithm: "fixed-window",
+  limit: 100,
+  window: 60_000,
+  key: "ip",
+};
+
+const ALGORITHMS = ["fixed-window", "token-bucket"];
+
+/** IPC message type between cluster workers and the primary's store */
+export const RATE_LIMIT_MESSAGE = "vite-node-api:rate-limit";
+
+/**
+ * Set on workers forked by `startCluster`, whose primary answers rate limit
+ * messages (other process managers, e.g. PM2, fork cluster workers too)
+ */
+export const CLUSTER_WORKER_ENV = "VITE_NODE_API_CLUSTER_WORKER";
+
+/** Milliseconds a worker waits for the primary before counting on its own */
+export const CLUSTER_STORE_TIMEOUT = 1000;
+
+/** Expired counters are dropped at most this often */
+const SWEEP_INTERVAL = 60_000;
+
+/**
+ * Normalize the `rateLimit` option
+ * @param {boolean|RateLimitOptions|undefined} rateLimit
+ * @returns {RateLimitOptions|null} Null when disabled
+ * @throws {Error} For an unknown algorithm
+ */
+export function resolveRateLimitOptions(rateLimit) {
+  if (!rateLimit) return null;
+  const options = { ...DEFAULT_RATE_LIMIT, ...(rateLimit === true ? {} : rateLimit) };
+  if (!ALGORITHMS.includes(options.algorithm)) {
+    throw new Error(`Unknown vite-node-api rate limit algorithm: ${options.algorithm}`);
+  }
+  return options;
+}
+
+/**
+ * Apply one request to a counter. Pure, so custom stores can keep the state
+ * wherever they like and share the algorithms.
+ *
+ * - `fixed-window`: at most `limit` requests per `window`, counted from the first
+ * - `token-bucket`: bursts of up to `limit`, refilled evenly over `window`
+ *
+ * @param {Object|undefined} state - State returned by the previous call for this key
+ * @param {RateLimitRule} rule
+ * @param {number} [now=Date.now()]
+ * @returns {RateLimitResult & { state: Object, expires: number }} `expires` is when
+ *   the state equals a fresh one and can be dropped
+ */
+export function consumeRateLimit(state, { algorithm, limit, window }, now = Date.now()) {
+  if (algorithm === "token-bucket") {
+    const rate = limit / window;
+    const available = state ? Math.min(limit, state.tokens + (now - state.time) * rate) : limit;
+    const allowed = available >= 1;
+    const tokens = allowed ? available - 1 : available;
+    const reset = Math.ceil((limit - tokens) / rate);
+    return {
+      state: { tokens, time: now },
+      expires: now + reset,
+      allowed,
+      remaining: Math.floor(tokens),
+      reset,
+      retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / rate),
+    };
+  }
+
+  const current = state && now < state.resetAt ? state : { count: 0, resetAt: now + window };
+  const count = current.count + 1;
+  const allowed = count <= limit;
+  const reset = current.resetAt - now;
+  return {
+    state: { count, resetAt: current.resetAt },
+    expires: current.resetAt,
+    allowed,
+    remaining: Math.max(0, limit - count),
+    reset,
+    retryAfter: allowed ? 0 : reset,
+  };
+}
+
+/**
+ * In-process store (per process: each cluster worker counts on its own)
+ * @returns {RateLimitStore}
+ */
+export function createMemoryStore() {
+  /** @type {Map<string, { state: Object, expires: number }>} */
+  const entries = new Map();
+  let swept = Date.now();
+
+  return {
+    consume(key, rule) {
+      const now = Date.now();
+      if (now - swept >= SWEEP_INTERVAL) {
+        for (const [k, entry] of entries) if (entry.expires <= now) entries.delete(k);
+        swept = now;
+      }
+      const { state, expires, ...result } = consumeRateLimit(entries.get(key)?.state, rule, now);
+      entries.set(key, { state, expires });
+      return result;
+    },
+  };
+}
+
+/**
+ * Store for cluster workers: counters live in the primary (see
+ * {@link createClusterStoreHost}) so the limit holds across workers.
+ * A request the primary doesn't answer within `timeout` is counted in a
+ * memory store instead; a primary that never answered is not asked again.
+ * @param {NodeJS.Process} [proc=process] - Worker process with an IPC channel
+ * @param {{ timeout?: number }} [options]
+ * @returns {RateLimitStore}
+ */
+export function createClusterStore(proc = process, { timeout = CLUSTER_STORE_TIMEOUT } = {}) {
+  const pending = new Map();
+  const fallback = createMemoryStore();
+  let nextId = 0;
+  let answered = false;
+  let detached = typeof proc.send !== "function";
+
+  proc.on("message", (message) => {
+    if (message?.type !== RATE_LIMIT_MESSAGE || !pending.has(message.id)) return;
+    answered = true;
+    pending.get(message.id)(message.result);
+    pending.delete(message.id);
+  });
+
+  return {
+    consume(key, rule) {
+      if (detached) return fallback.consume(key, rule);
+      return new Promise((resolve) => {
+        const id = ++nextId;
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          if (!answered && !detached) {
+            detached = true;
+            console.warn(
+              "⚠️ vite-node-api: the cluster primary doesn't answer rate limit checks, counting per worker"
+            );
+          }
+          resolve(fallback.consume(key, rule));
+        }, timeout);
+        pending.set(id, (result) => {
+          clearTimeout(timer);
+          resolve(result);
+        });
+        proc.send({ type: RATE_LIMIT_MESSAGE, id, key, rule });
+      });
+    },
+  };
+}
+
+/**
+ * Answer rate limit requests from cluster workers in the primary process
+ * @param {RateLimitStore} [store=createMemoryStore()]
+ * @returns {(worker: import('cluster').Worker, message: any) => Promise<void>} Worker message listener
+ */
+export function createClusterStoreHost(store = createMemoryStore()) {
+  return async (worker, message) => {
+    if (message?.type !== RATE_LIMIT_MESSAGE) return;
+    const result = await store.consume(message.key, message.rule);
+    if (worker.isConnected?.() !== false) {
+      worker.send({ type: RATE_LIMIT_MESSAGE, id: message.id, result });
+    }
+  };
+}
+
+/**
+ * Turn the `store` option into a store
+ * @param {RateLimitOptions["store"]} store
+ * @param {(file: string) => Promise<Record<string, any>>} load - Module loader
+ * @returns {Promise<RateLimitStore>}
+ */
+async function resolveStore(store, load) {
+  if (store && typeof store === "object") return store;
+  if (isModulePath(store)) return (await load(path.resolve(store))).default;
+  if (store === "cluster" || (!store && nodeCluster.isWorker && process.env[CLUSTER_WORKER_ENV])) {
+    return createClusterStore();
+  }
+  return createMemoryStore();
+}
+
+/**
+ * Client address of a request
+ * @param {import('http').IncomingMessage} req
+ * @returns {string}
+ */
+const clientIp = (req) => req.socket?.remoteAddress || "unknown";
+
+/**
+ * Create the per-request rate limit check
+ * @param {boolean|RateLimitOptions|undefined} option - Global `rateLimit` option
+ * @param {(file: string) => Promise<Record<string, any>>} load - Module loader (key and
+ *   store modules)
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse,
+ *   route: import('./router.js').Route, mod: Record<string, any>) => Promise<void>}
+ *   Sets the `RateLimit-*` headers
+ * @throws {import('./errors.js').HttpError} 429 with `Retry-After` once the limit is hit
+ */
+export function createRateLimiter(option, load) {
+  const global = resolveRateLimitOptions(option);
+  if (global && isModulePath(global.key)) global.key = lazyDefault(global.key, load);
+  let store = null;
+
+  return async (req, res, route, mod) => {
+    // Routes may opt out, or opt in when there is no global limit
+    if (mod.rateLimit === false || (!global && !mod.rateLimit)) return;
+    const options = mod.rateLimit
+      ? resolveRateLimitOptions({ ...global, ...mod.rateLimit })
+      : global;
+
+    const key = typeof options.key === "function" ? await options.key(req) : clientIp(req);
+    if (key == null) return;
+
+    store ??= resolveStore(global?.store ?? options.store, load).catch((err) => {
+      store = null;
+      throw err;
+    });
+    // A route with its own rule counts separately from the global limit
+    const scope = mod.rateLimit ? route.pattern : "*";
+    const { algorithm, limit, window } = options;
+    const result = await (await store).consume(`${scope}:${key}`, { algorithm, limit, window });
+
+    res.setHeader("RateLimit-Policy", `${limit};w=${Math.ceil(window / 1000)}`);
+    res.setHeader("RateLimit-Limit", String(limit));
+    res.setHeader("RateLimit-Remaining", String(result.remaining));
+    res.setHeader("RateLimit-Reset", String(Math.ceil(result.reset / 1000)));
+    if (!result.allowed) {
+      res.setHeader("Retry-After", String(Math.ceil(result.retryAfter / 1000)));
+      throw createError(429, "Too many requests");
+    }
+  };
+}
@@ -0,0 +1,163 @@
+import { Readable, pipeline } from "stream";
+
+/**
+ * Response helpers for API routes, shared by the dev server and the
+ * production runtime. JSON stays the default for returned values; handlers
+ * can also use `res.status()`, `res.json()`, `res.send()` and
+ * `res.redirect()`, or return a response made with {@link createResponse}
+ * for text, binary and streamed bodies.
+ * @module response
+ */
+
+/**
+ * @typedef {string|Buffer|Uint8Array|import('stream').Readable|Record<string, any>|any[]|number|boolean|null|undefined} ResponseBody
+ */
+
+/**
+ * @typedef {Object} ResponseInit
+ * @property {number} [status] - Status code (default: the current `res.statusCode`)
+ * @property {Record<string, string|number|string[]>} [headers]
+ * @property {ResponseBody} [body] - Sent like {@link send}
+ */
+
+/** Registry symbol, for the same reason as `HTTP_ERROR` in errors.js */
+const RESPONSE = Symbol.for("vite-node-api.Response");
+
+/** Set once a helper started answering, so the returned value is not sent too */
+const SENDING = Symbol("vite-node-api.sending");
+
+const TEXT_TYPE = "text/plain; charset=utf-8";
+const BINARY_TYPE = "application/octet-stream";
+const JSON_TYPE = "application/json";
+
+/**
+ * Create a response a handler can return
+ * @example
+ * return createResponse({
+ *   headers: { "Content-Type": "text/csv", "Content-Disposition": 'attachment; filename="users.csv"' },
+ *   body: csv,
+ * })
+ * @param {ResponseInit} init
+ * @returns {ResponseInit}
+ */
+export const createResponse = ({ status, headers, body } = {}) => ({
+  [RESPONSE]: true,
+  status,
+  headers,
+  body,
+});
+
+/**
+ * Check for a response from {@link createResponse}, from any copy of this module
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isResponse = (value) => Boolean(value && value[RESPONSE]);
+
+/**
+ * Check whether a response helper already started answering
+ * @param {import('http').ServerResponse} res
+ * @returns {boolean}
+ */
+export const isSending = (res) => Boolean(res[SENDING]);
+
+/**
+ * Check whether a value is a raw (non-JSON) body
+ * @param {any} value
+ * @returns {boolean}
+ */
+const isRaw = (value) => value instanceof Uint8Array || value instanceof Readable;
+
+/**
+ * Set a header unless the handler already chose one
+ * @param {import('http').ServerResponse} res
+ * @param {string} name
+ * @param {string} value
+ */
+const defaultHeader = (res, name, value) => {
+  if (!res.hasHeader(name)) res.setHeader(name, value);
+};
+
+/**
+ * Send a body with a Content-Type matching it: strings as text, Buffers and
+ * streams as binary, everything else as JSON. A Content-Type set before wins.
+ * @param {import('http').ServerResponse} res
+ * @param {ResponseBody} body
+ */
+export function send(res, body) {
+  res[SENDING] = true;
+
+  if (body instanceof Readable) {
+    defaultHeader(res, "Content-Type", BINARY_TYPE);
+    pipeline(body, res, (err) => {
+      if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error("❌ vite-node-api: response stream failed:", err);
+      }
+    });
+    return;
+  }
+  if (body == null) {
+    res.end();
+    return;
+  }
+
+  let chunk;
+  if (typeof body === "string") {
+    defaultHeader(res, "Content-Type", TEXT_TYPE);
+    chunk = body;
+  } else if (body instanceof Uint8Array) {
+    defaultHeader(res, "Content-Type", BINARY_TYPE);
+    chunk = body;
+  } else {
+    defaultHeader(res, "Content-Type", JSON_TYPE);
+    chunk = JSON.stringify(body);
+  }
+  res.setHeader("Content-Length", Buffer.byteLength(chunk));
+  res.end(chunk);
+}
+
+/**
+ * Send a returned value if it isn't plain JSON data: a {@link createResponse}
+ * result, a Buffer or a stream
+ * @param {import('http').ServerResponse} res
+ * @param {any} result - Handler return value
+ * @returns {boolean} Whether the value was sent
+ */
+export function sendResult(res, result) {
+  if (isResponse(result)) {
+    if (result.status) res.statusCode = result.status;
+    for (const [name, value] of Object.entries(result.headers ?? {})) res.setHeader(name, value);
+    send(res, result.body);
+    return true;
+  }
+  if (isRaw(result)) {
+    send(res, result);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Add `res.status()`, `res.json()`, `res.send()` and `res.redirect()`
+ * @param {import('http').ServerResponse} res
+ */
+export function attachResponseHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+
+  res.json = (value) => {
+    res.setHeader("Content-Type", JSON_TYPE);
+    send(res, value ?? null);
+  };
+
+  res.send = (body) => send(res, body);
+
+  res.redirect = (location, status = 302) => {
+    if (status < 300 || status > 399) throw new RangeError(`Invalid redirect status: ${status}`);
+    res.statusCode = status;
+    res.setHeader("Location", encodeURI(location).replace(/%25([0-9A-Fa-f]{2})/g, "%$1"));
+    send(res, null);
+  };
+}
@@ -0,0 +1,302 @@
+import path from "path";
+import fg from "fast-glob";
+
+/**
+ * Shared file-based route resolution.
+ * Used by both the Vite dev middleware and the production runtime so that
+ * a route resolves identically in `vite dev` and `node dist/server/entry.mjs`.
+ * @module router
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {string} file - Absolute path to the route module
+ * @property {string} pattern - Route pattern relative to /api (e.g. "/users/[id]")
+ * @property {RegExp} regex - Compiled matcher for request paths
+ * @property {string[]} names - Dynamic parameter names in order of appearance
+ * @property {string|null} catchAll - Name of the trailing catch-all param, if any
+ * @property {number[]} ranks - Per-segment specificity (see SEGMENT_RANK)
+ * @property {string[]} [middleware] - `_middleware.js` files to run first, outermost first
+ */
+
+/**
+ * @typedef {Object} RouteMatch
+ * @property {Route} route - Matched route
+ * @property {Record<string, string|string[]>} params - Dynamic route parameters
+ */
+
+/** Route, middleware and helper modules (`.ts`/`.mts` are transpiled by esbuild) */
+export const ROUTE_GLOB = "**/*.{js,ts,mts}";
+
+/** Type declarations matched by ROUTE_GLOB that are never modules */
+export const DECLARATION_GLOBS = ["**/*.d.ts", "**/*.d.mts"];
+
+/** Directory-scoped middleware file name without extension (never routable itself) */
+export const MIDDLEWARE_NAME = "_middleware";
+
+const EXTENSION_RE = /\.(?:js|ts|mts)$/;
+
+const PARAM_RE = /\[([^\]]+)\]/g;
+const CATCH_ALL_RE = /^\[\.\.\.([^\]]+)\]$/;
+const OPTIONAL_CATCH_ALL_RE = /^\[\[\.\.\.([^\]]+)\]\]$/;
+
+/**
+ * Segment specificity, lower wins: static > partial dynamic (post-[id])
+ * > dynamic ([id]) > catch-all ([...slug]) > optional catch-all ([[...slug]])
+ */
+const SEGMENT_RANK = {
+  static: 0,
+  partial: 1,
+  dynamic: 2,
+  catchAll: 3,
+  optionalCatchAll: 4,
+};
+
+/**
+ * Escape a literal string for use inside a RegExp
+ * @param {string} str
+ * @returns {string}
+ */
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Compile a route file into a route definition
+ * @param {string} apiDir - Absolute path to API directory
+ * @param {string} file - Absolute path to the route file
+ * @returns {Route}
+ * @throws {Error} If a catch-all segment is not the last segment
+ */
+export function createRoute(apiDir, file) {
+  const rel = path
+    .relative(apiDir, file)
+    .replace(/\\/g, "/")
+    .replace(EXTENSION_RE, "");
+
+  // users/index.js answers /users, a root index.js answers /api itself
+  const segments = rel.split("/");
+  if (segments[segments.length - 1] === "index") segments.pop();
+
+  const names = [];
+  const ranks = [];
+  let catchAll = null;
+
+  const source = segments
+    .map((segment, index) => {
+      const optional = segment.match(OPTIONAL_CATCH_ALL_RE);
+      const required = segment.match(CATCH_ALL_RE);
+
+      if (optional || required) {
+        if (index !== segments.length - 1) {
+          throw new Error(
+            `Catch-all segment "${segment}" must be the last segment in ${rel}`
+          );
+        }
+        catchAll = (optional || required)[1];
+        names.push(catchAll);
+        ranks.push(SEGMENT_RANK[optional ? "optionalCatchAll" : "catchAll"]);
+        return optional ? "(?:/(.+?))?" : "/(.+?)";
+      }
+
+      // Dynamic params may fill a whole segment ([id]) or part of it (post-[id])
+      const parts = segment.split(PARAM_RE);
+      if (parts.length === 1) ranks.push(SEGMENT_RANK.static);
+      else if (parts.length === 3 && !parts[0] && !parts[2])
+        ranks.push(SEGMENT_RANK.dynamic);
+      else ranks.push(SEGMENT_RANK.partial);
+
+      return (
+        "/" +
+        parts
+          .map((part, i) => {
+            if (i % 2 === 0) return escapeRegex(part);
+            names.push(part);
+            return "([^/]+)";
+          })
+          .join("")
+      );
+    })
+    .join("");
+
+  return {
+    file,
+    pattern: "/" + segments.join("/"),
+    regex: new RegExp("^" + source + "/?$"),
+    names,
+    catchAll,
+    ranks,
+  };
+}
+
+/**
+ * Order two routes by specificity.
+ * Segments are compared left to right; the first more specific segment wins,
+ * then the shorter route, then the pattern alphabetically so the order never
+ * depends on file system traversal.
+ *
+ * @param {Route} a
+ * @param {Route} b
+ * @returns {number}
+ */
+export function compareRoutes(a, b) {
+  const length = Math.min(a.ranks.length, b.ranks.length);
+  for (let i = 0; i < length; i++) {
+    if (a.ranks[i] !== b.ranks[i]) return a.ranks[i] - b.ranks[i];
+  }
+  if (a.ranks.length !== b.ranks.length)
+    return a.ranks.length - b.ranks.length;
+  return a.pattern < b.pattern ? -1 : a.pattern > b.pattern ? 1 : 0;
+}
+
+/**
+ * Collect the `_middleware` files that apply to a route file:
+ * one per folder from the API root down to the file's own folder.
+ *
+ * @param {string} apiDir - Absolute path to API directory
+ * @param {string} file - Absolute path to the route file
+ * @param {Map<string, string>} available - Middleware file per normalized folder
+ * @returns {string[]} Middleware files, outermost first
+ */
+function findMiddleware(apiDir, file, available) {
+  const rel = path.relative(apiDir, path.dirname(file));
+  let dir = path.normalize(apiDir);
+  const dirs = [dir];
+  for (const part of rel ? rel.split(/[\\/]/) : []) {
+    dir = path.join(dir, part);
+    dirs.push(dir);
+  }
+  return dirs.filter((d) => available.has(d)).map((d) => available.get(d));
+}
+
+/**
+ * Index middleware files by folder
+ * @param {string[]} files - Absolute paths of `_middleware` files
+ * @returns {Map<string, string>}
+ * @throws {Error} If a folder has more than one (_middleware.js + _middleware.ts)
+ */
+function indexMiddleware(files) {
+  const byDir = new Map();
+  for (const file of files) {
+    const dir = path.dirname(path.normalize(file));
+    if (byDir.has(dir)) {
+      throw new Error(`Duplicate API middleware: ${byDir.get(dir)} and ${file}`);
+    }
+    byDir.set(dir, file);
+  }
+  return byDir;
+}
+
+/**
+ * Discover all route files in the API directory, most specific first
+ * (e.g. `/users/me.js` before `/users/[id].js` before `/users/[...path].js`).
+ *
+ * @param {string} apiDir - Absolute path to API directory
+ * @returns {Promise<Route[]>}
+ * @throws {Error} If two files resolve to the same route (users.js + users/index.js,
+ *   users.js + users.ts)
+ */
+export async function scanRoutes(apiDir) {
+  // Files prefixed with "_" (middleware, shared helpers) are never routable
+  const files = await fg(ROUTE_GLOB, {
+    cwd: apiDir,
+    absolute: true,
+    ignore: ["**/_*", ...DECLARATION_GLOBS],
+  });
+  const middleware = indexMiddleware(
+    await fg(`**/${MIDDLEWARE_NAME}.{js,ts,mts}`, { cwd: apiDir, absolute: true })
+  );
+
+  const routes = files
+    .map((file) => ({
+      ...createRoute(apiDir, file),
+      middleware: findMiddleware(apiDir, file, middleware),
+    }))
+    .sort(compareRoutes);
+
+  const seen = new Map();
+  for (const route of routes) {
+    const existing = seen.get(route.pattern);
+    if (existing) {
+      throw new Error(
+        `Duplicate API route ${route.pattern}: ${existing.file} and ${route.file}`
+      );
+    }
+    seen.set(route.pattern, route);
+  }
+
+  return routes;
+}
+
+/**
+ * Find the route matching a request path
+ * @param {Route[]} routes - Routes from {@link scanRoutes}
+ * @param {string} apiPath - Decoded request path without the /api prefix
+ * @returns {RouteMatch|null}
+ */
+export function matchRoute(routes, apiPath) {
+  for (const route of routes) {
+    const match = route.regex.exec(apiPath);
+    if (match) {
+      const params = {};
+      route.names.forEach((name, i) => {
+        const value = match[i + 1];
+        // Catch-all params are delivered as arrays ([] when optional and absent)
+        params[name] =
+          route.catchAll && i === route.names.length - 1
+            ? value
+              ? value.split("/")
+              : []
+            : value;
+      });
+      return { route, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Route file relative to the API directory with forward slashes (e.g. "users/[id].js")
+ * @param {string} apiDir - Absolute path to API directory
+ * @param {string} file - Absolute path to the route file
+ * @returns {string}
+ */
+export const relativeRouteFile = (apiDir, file) =>
+  path.relative(apiDir, file).replace(/\\/g, "/");
+
+/**
+ * Check whether a decoded request path tries to escape the API directory
+ * @param {string} apiPath - Decoded request path without the /api prefix
+ * @returns {boolean}
+ */
+export function isForbiddenPath(apiPath) {
+  return apiPath.split(/[\\/]/).includes("..");
+}
+
+/**
+ * Create a lazily scanned, cached router for an API directory
+ * @param {string} apiDir - Absolute path to API directory
+ * @returns {{ routes: () => Promise<Route[]>, match: (apiPath: string) => Promise<RouteMatch|null>, invalidate: () => void }}
+ */
+export function createRouter(apiDir) {
+  let routes = null;
+
+  return {
+    /** Current route table, most specific first */
+    routes() {
+      // Don't cache a failed scan (e.g. a misplaced catch-all) so fixing the file recovers
+      routes ??= scanRoutes(apiDir).catch((err) => {
+        routes = null;
+        throw err;
+      });
+      return routes;
+    },
+
+    async match(apiPath) {
+      return matchRoute(await this.routes(), apiPath);
+    },
+
+    /** Drop the cached route table (e.g. when files are added or removed) */
+    invalidate() {
+      routes = null;
+    },
+  };
+}
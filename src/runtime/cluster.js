@@ -0,0 +1,179 @@
+/**
+ * Cluster mode for the production runtime.
+ * The primary process forks one worker per CPU (or a fixed count), restarts
+ * crashed workers with exponential backoff and replaces workers one by one on
+ * SIGHUP so a new build can be rolled out without dropping the port.
+ * The primary also keeps the rate limit counters shared by the workers.
+ * @module runtime/cluster
+ */
+
+import nodeCluster from "cluster";
+import os from "os";
+import { CLUSTER_WORKER_ENV, createClusterStoreHost } from "../ratelimit.js";
+
+/**
+ * @typedef {Object} BackoffOptions
+ * @property {number} [initial=100] - Delay before the first restart in milliseconds
+ * @property {number} [max=30000] - Upper bound for the restart delay
+ * @property {number} [stable=10000] - A worker running this long resets the backoff
+ */
+
+/**
+ * @typedef {Object} ClusterOptions
+ * @property {number} workers - Number of workers to keep running
+ * @property {import('cluster').Cluster} [cluster] - Cluster module (for tests)
+ * @property {BackoffOptions} [backoff]
+ * @property {boolean} [handleSignals=true] - Install SIGHUP/SIGTERM/SIGINT handlers
+ */
+
+/**
+ * @typedef {Object} ClusterController
+ * @property {() => import('cluster').Worker[]} workers - Running workers
+ * @property {() => Promise<void>} restart - Rolling restart, one worker at a time
+ * @property {() => Promise<void>} shutdown - Stop all workers without restarting them
+ */
+
+export const DEFAULT_BACKOFF = { initial: 100, max: 30_000, stable: 10_000 };
+
+/**
+ * Resolve the `workers` option to a process count
+ * @param {number|string} [workers] - A count, or "auto" for one per CPU
+ * @returns {number} At least 1
+ */
+export function resolveWorkerCount(workers) {
+  if (workers === "auto") return os.availableParallelism?.() ?? os.cpus().length;
+  const count = parseInt(workers);
+  return count > 0 ? count : 1;
+}
+
+/**
+ * Wait for a worker to exit
+ * @param {import('cluster').Worker} worker
+ * @returns {Promise<void>}
+ */
+const exited = (worker) =>
+  worker.isDead?.() ? Promise.resolve() : new Promise((resolve) => worker.once("exit", resolve));
+
+/**
+ * Ask a worker to drain its connections and exit (see RuntimeServer#shutdown)
+ * @param {import('cluster').Worker} worker
+ */
+const stop = (worker) => worker.process.kill("SIGTERM");
+
+/**
+ * Fork the workers and supervise them from the primary process
+ * @param {ClusterOptions} options
+ * @returns {ClusterController}
+ */
+export function startCluster({
+  workers: count,
+  cluster = nodeCluster,
+  backoff = {},
+  handleSignals = true,
+}) {
+  const { initial, max, stable } = { ...DEFAULT_BACKOFF, ...backoff };
+  /** @type {Set<import('cluster').Worker>} */
+  const active = new Set();
+  /** Workers being replaced or stopped on purpose */
+  const retiring = new WeakSet();
+  const timers = new Set();
+  let failures = 0;
+  let stopping = false;
+  let restarting = null;
+  // Outlives individual workers so limits survive crashes and rolling restarts
+  const rateLimits = createClusterStoreHost();
+
+  const fork = () => {
+    // Tells the workers' rate limiter that this primary keeps the counters
+    const worker = cluster.fork({ [CLUSTER_WORKER_ENV]: "1" });
+    const startedAt = Date.now();
+    active.add(worker);
+    worker.on("message", (message) => rateLimits(worker, message));
+
+    worker.once("exit", (code, signal) => {
+      active.delete(worker);
+      if (stopping || retiring.has(worker)) return;
+
+      // Only crashes in quick succession grow the delay
+      if (Date.now() - startedAt >= stable) failures = 0;
+      const delay = Math.min(initial * 2 ** failures, max);
+      failures++;
+
+      console.warn(
+        `⚠️ vite-node-api: worker ${worker.process.pid} exited (${signal || code}), restarting in ${delay}ms`
+      );
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        if (!stopping) fork();
+      }, delay);
+      timers.add(timer);
+    });
+    return worker;
+  };
+
+  /**
+   * Replace one worker: start its successor and retire it once the successor listens
+   * @param {import('cluster').Worker} old
+   */
+  const replace = async (old) => {
+    const next = fork();
+    const ready = await new Promise((resolve) => {
+      next.once("listening", () => resolve(true));
+      next.once("exit", () => resolve(false));
+    });
+    if (!ready) throw new Error(`worker ${next.process.pid} exited before listening`);
+
+    retiring.add(old);
+    stop(old);
+    await exited(old);
+  };
+
+  const controller = {
+    workers: () => [...active],
+
+    restart() {
+      // A second SIGHUP during a rollout joins the one in progress
+      restarting ??= (async () => {
+        console.log(`🔄 vite-node-api: rolling restart of ${active.size} workers`);
+        try {
+          for (const worker of [...active]) {
+            if (stopping) break;
+            await replace(worker);
+          }
+          console.log("✅ vite-node-api: rolling restart complete");
+        } catch (err) {
+          console.error(`❌ vite-node-api: rolling restart aborted: ${err.message}`);
+        } finally {
+          restarting = null;
+        }
+      })();
+      return restarting;
+    },
+
+    async shutdown() {
+      stopping = true;
+      for (const timer of timers) clearTimeout(timer);
+      timers.clear();
+      const workers = [...active];
+      for (const worker of workers) stop(worker);
+      await Promise.all(workers.map(exited));
+    },
+  };
+
+  for (let i = 0; i < count; i++) fork();
+  console.log(`✅ vite-node-api: cluster started with ${count} workers`);
+
+  if (handleSignals) {
+    process.on("SIGHUP", () => controller.restart());
+    for (const signal of ["SIGTERM", "SIGINT"]) {
+      process.on(signal, async () => {
+        console.log(`🛑 ${signal} received, stopping workers...`);
+        await controller.shutdown();
+        console.log("✅ Cluster stopped gracefully");
+        process.exit(0);
+      });
+    }
+  }
+
+  return controller;
+}
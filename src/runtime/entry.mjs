@@ -1,16 +1,18 @@
 /**
- * Production runtime server for vite-node-api
- * Serves both API routes and static frontend files on a single port.
+ * Production runtime entry for vite-node-api
+ * Loads environment variables and starts the single-port server.
  * Supports dynamic routes (e.g. /api/user/[id].js → req.params.id)
  * @module runtime/entry
  */
 
-import http from "http";
+import cluster from "cluster";
 import fs from "fs";
 import path from "path";
 import url from "url";
-import mime from "mime-types";
-import fg from "fast-glob";
+import { createServer } from "./server.js";
+import { resolveWorkerCount, startCluster } from "./cluster.js";
+import { loadRuntimeConfig } from "../config.js";
+import { isModulePath } from "../modules.js";
 
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
 
@@ -30,172 +32,37 @@ if (fs.existsSync(envPath)) {
   console.log("✅ Loaded environment variables from .env");
 }
 
-const PORT = process.env.VITE_NODE_API_PORT || process.env.PORT || 4173;
-const TIMEOUT = parseInt(process.env.VITE_NODE_API_TIMEOUT) || 30_000;
+// Plugin options from the build (dist/server/config.json), env variables win
+const config = loadRuntimeConfig(__dirname);
 
 const clientDir = path.join(__dirname, "../client");
-const apiDir = path.join(__dirname, "./api");
+const workers = resolveWorkerCount(config.workers);
 
-if (!fs.existsSync(clientDir)) {
+if (cluster.isPrimary && !fs.existsSync(clientDir)) {
   console.warn("⚠️ dist/client not found. Running in API-only mode.");
 }
 
-let routeCache = null;
-
-/**
- * Build and cache dynamic route patterns
- * @returns {Promise<Array>} Array of route patterns with regex and param names
- */
-async function getRouteCache() {
-  if (!routeCache) {
-    const files = await fg("**/*.js", { cwd: apiDir, absolute: true });
-    routeCache = files.map((f) => {
-      const rel = path.relative(apiDir, f).replace(/\\/g, "/");
-      const pattern = rel.replace(/\[([^\]]+)\]/g, "([^/]+)");
-      const regex = new RegExp("^" + pattern.replace(/\.js$/, "") + "$");
-      const names = [...rel.matchAll(/\[([^\]]+)\]/g)].map((m) => m[1]);
-      return { file: f, regex, names };
-    });
-  }
-  return routeCache;
-}
-
-/**
- * Get MIME type for a file
- * @param {string} f - File path
- * @returns {string} MIME type
- */
-const getMime = (f) => mime.lookup(f) || "application/octet-stream";
-
-/**
- * Parse JSON request body with size limit
- * @param {import('http').IncomingMessage} req
- * @param {number} [limit=1000000]
- * @returns {Promise<Object>}
- */
-async function parseBody(req, limit = 1_000_000) {
-  const chunks = [];
-  let total = 0;
-  for await (const c of req) {
-    total += c.length;
-    if (total > limit) throw new Error("Request body too large");
-    chunks.push(c);
-  }
-  return chunks.length
-    ? JSON.parse(Buffer.concat(chunks).toString() || "{}")
-    : {};
-}
-
-const server = http.createServer(async (req, res) => {
-  try {
-    req.setTimeout(TIMEOUT, () => {
-      if (!res.writableEnded) {
-        res.writeHead(408, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ error: "Request timeout" }));
-      }
-    });
-
-    const fullUrl = new URL(req.url, `http://${req.headers.host}`);
-    const pathname = decodeURIComponent(fullUrl.pathname);
-
-    if (pathname.startsWith("/api/")) {
-      const apiPath = pathname.replace(/^\/api/, "");
-      let filePath = path.resolve(apiDir, "." + apiPath + ".js");
-      let params = {};
-
-      if (!fs.existsSync(filePath)) {
-        const routes = await getRouteCache();
-        for (const route of routes) {
-          const match = apiPath.match(route.regex);
-          if (match) {
-            filePath = route.file;
-            route.names.forEach((n, i) => (params[n] = match[i + 1]));
-            break;
-          }
-        }
-      }
-
-      const safePath = path.normalize(filePath);
-      if (!safePath.startsWith(apiDir)) {
-        res.writeHead(403, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ error: "Forbidden path" }));
-        return;
-      }
-
-      if (!fs.existsSync(safePath)) {
-        res.writeHead(404, { "Content-Type": "application/json" });
-        res.end(JSON.stringify({ error: "API route not found" }));
-        return;
-      }
-
-      try {
-        if (["POST", "PUT", "PATCH"].includes(req.method))
-          req.body = await parseBody(req);
-
-        req.query = Object.fromEntries(fullUrl.searchParams.entries());
-        req.params = params;
-
-        // Convert Windows path to file:// URL for ESM import
-        const fileUrl = url.pathToFileURL(safePath).href;
-        const mod = await import(fileUrl);
-        const fn = mod.default || mod;
-        const result = await fn(req, res);
-
-        if (!res.writableEnded) {
-          res.writeHead(200, { "Content-Type": "application/json" });
-          res.end(JSON.stringify(result ?? {}));
-        }
-      } catch (err) {
-        res.writeHead(err.message.includes("too large") ? 413 : 500, {
-          "Content-Type": "application/json",
-        });
-        res.end(JSON.stringify({ error: err.message }));
-      }
-      return;
-    }
-
-    if (!fs.existsSync(clientDir)) {
-      res.writeHead(404);
-      res.end("Not Found");
-      return;
-    }
-
-    let file = path.join(clientDir, pathname);
-    if (pathname === "/" || !fs.existsSync(file))
-      file = path.join(clientDir, "index.html");
-
-    const resolved = path.resolve(file);
-    const safeClientPath = path.normalize(resolved);
-    if (!safeClientPath.startsWith(clientDir)) {
-      res.writeHead(403);
-      res.end("Forbidden");
-      return;
-    }
-
-    if (!fs.existsSync(safeClientPath)) {
-      res.writeHead(404);
-      res.end("Not Found");
-      return;
-    }
-
-    res.writeHead(200, { "Content-Type": getMime(safeClientPath) });
-    fs.createReadStream(safeClientPath).pipe(res);
-  } catch (err) {
-    res.writeHead(500, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ error: err.message }));
-  }
-});
-
-server.listen(PORT, () => {
-  console.log(`✅ vite-node-api running at http://localhost:${PORT}`);
-});
+if (cluster.isPrimary && workers > 1) {
+  // Workers re-run this file and share the port through the primary
+  startCluster({ workers });
+} else {
+  // A bundled sink module replaces the built-in formats
+  const logger = isModulePath(config.logger)
+    ? (await import(url.pathToFileURL(path.join(__dirname, config.logger)).href)).default
+    : config.logger;
+  const server = createServer({ ...config, clientDir, logger });
+  const worker = cluster.isWorker ? ` (worker ${process.pid})` : "";
+
+  server.listen(config.port, () => {
+    console.log(`✅ vite-node-api running at http://localhost:${config.port}${worker}`);
+  });
 
-for (const signal of ["SIGTERM", "SIGINT"]) {
-  process.on(signal, () => {
-    console.log(`🛑 ${signal} received, shutting down...`);
-    server.close(() => {
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.on(signal, async () => {
+      console.log(`🛑 ${signal} received, draining connections...`);
+      await server.shutdown(config.drainTimeout);
       console.log("✅ Server closed gracefully");
       process.exit(0);
     });
-  });
+  }
 }
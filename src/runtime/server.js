@@ -0,0 +1,188 @@
+/**
+ * Production HTTP server for vite-node-api
+ * Serves both API routes and static frontend files on a single port.
+ * Route resolution and the /api request pipeline are shared with the dev
+ * server (see ../router.js and ../handler.js).
+ * @module runtime/server
+ */
+
+import http from "http";
+import url from "url";
+import { createRouter } from "../router.js";
+import { createApiHandler, isApiPath, parseRequestUrl } from "../handler.js";
+import { createUpgradeHandler } from "../websocket.js";
+import { resolveCorsOptions } from "../cors.js";
+import { createHealthHandler, resolveHealthOptions } from "../health.js";
+import { resolveLogger, startAccessLog } from "../logger.js";
+import { createErrorResponder } from "../errors.js";
+import { createRateLimiter } from "../ratelimit.js";
+import { resolveSecrets } from "../cookies.js";
+import { createSessions } from "../session.js";
+import { createAuthenticator } from "../auth.js";
+import { createStaticHandler } from "./static.js";
+
+/**
+ * @typedef {Object} RuntimeServerOptions
+ * @property {string} apiDir - Absolute path to bundled API routes
+ * @property {string} clientDir - Absolute path to built frontend files
+ * @property {number} [timeout=30000] - Request timeout in milliseconds
+ * @property {number} [bodyLimit=1000000] - Maximum JSON/form body size in bytes
+ * @property {import('../body.js').UploadOptions} [uploads] - Multipart upload limits
+ * @property {boolean|import('../cors.js').CorsOptions} [cors] - CORS headers for /api routes
+ * @property {boolean|import('../health.js').HealthOptions} [health] - Liveness/readiness
+ *   endpoints (false disables them)
+ * @property {false|import('../logger.js').LoggerOption} [logger] - Access log format or sink
+ *   (default: none)
+ * @property {boolean|import('../ratelimit.js').RateLimitOptions} [rateLimit] - Rate limit for
+ *   /api routes (routes can export their own `rateLimit`)
+ * @property {import('../cookies.js').CookieConfig} [cookies] - Cookie signing secret
+ * @property {boolean|import('../session.js').SessionOptions} [session] - Sessions (off by default)
+ * @property {import('../auth.js').AuthOptions} [auth] - JWT keys for routes exporting `auth`
+ */
+
+/**
+ * @typedef {import('http').Server & { shutdown: (drainTimeout?: number) => Promise<void> }} RuntimeServer
+ */
+
+export const DEFAULT_DRAIN_TIMEOUT = 10_000;
+
+/**
+ * Import a bundled route or middleware module
+ * @param {string} file - Absolute file path
+ * @returns {Promise<Record<string, any>>}
+ */
+const loadModule = (file) =>
+  // Convert Windows path to file:// URL for ESM import
+  import(url.pathToFileURL(file).href);
+
+/**
+ * Create the production HTTP server (not yet listening), including
+ * WebSocket upgrades for routes exporting `websocket` and a graceful
+ * `shutdown(drainTimeout)`
+ * @param {RuntimeServerOptions} options
+ * @returns {RuntimeServer}
+ */
+export function createServer({
+  apiDir,
+  clientDir,
+  timeout = 30_000,
+  bodyLimit = 1_000_000,
+  uploads,
+  cors: corsOption,
+  health: healthOption,
+  logger,
+  rateLimit: rateLimitOption,
+  cookies,
+  session,
+  auth,
+}) {
+  const router = createRouter(apiDir);
+  const cors = resolveCorsOptions(corsOption, loadModule);
+  const health = resolveHealthOptions(healthOption);
+  const serveStatic = createStaticHandler(clientDir);
+  const log = resolveLogger(logger);
+  const rateLimit = createRateLimiter(rateLimitOption, loadModule);
+  const cookieSecrets = resolveSecrets(cookies?.secret);
+  const authenticate = createAuthenticator(auth);
+  const sessions = createSessions(session, { secrets: cookieSecrets, load: loadModule });
+  let draining = false;
+  let closing = null;
+  /** Responses in progress, told to close their connection once shutdown starts */
+  const responses = new Set();
+
+  const checkHealth =
+    health &&
+    createHealthHandler({ health, apiDir, load: loadModule, isDraining: () => draining });
+  // Unexpected errors are logged with their stack but answered without their message
+  const sendError = createErrorResponder({ apiDir, load: loadModule, expose: false });
+  const handleApiRequest = createApiHandler({
+    apiDir,
+    router,
+    load: loadModule,
+    cors,
+    bodyLimit,
+    uploads,
+    cookieSecrets,
+    sessions,
+    rateLimit,
+    authenticate,
+    sendError,
+  });
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      // Don't keep connections alive once shutdown started
+      if (draining) res.setHeader("Connection", "close");
+      responses.add(res);
+      res.once("close", () => responses.delete(res));
+
+      req.setTimeout(timeout, () => {
+        if (!res.writableEnded) {
+          res.writeHead(408, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ error: "Request timeout" }));
+        }
+      });
+
+      const requestUrl = parseRequestUrl(req);
+      if (!requestUrl) {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "Bad request" }));
+        return;
+      }
+      const { pathname } = requestUrl;
+
+      if (checkHealth && (await checkHealth(req, res, pathname))) return;
+
+      const access = startAccessLog(req, res, log);
+
+      if (isApiPath(pathname)) {
+        await handleApiRequest(req, res, { ...requestUrl, access });
+        return;
+      }
+
+      await serveStatic(req, res, pathname);
+    } catch (err) {
+      await sendError(err, req, res);
+    }
+  });
+
+  const upgrade = createUpgradeHandler({
+    router,
+    load: loadModule,
+    rateLimit,
+    authenticate,
+    cookieSecrets,
+  });
+  server.on("upgrade", upgrade);
+
+  /**
+   * Fail readiness, stop accepting connections and let in-flight requests
+   * finish; whatever is still open after `drainTimeout` is closed
+   * @param {number} [drainTimeout=10000] - Milliseconds to wait for requests
+   * @returns {Promise<void>} Resolves once all connections are closed
+   */
+  server.shutdown = (drainTimeout = DEFAULT_DRAIN_TIMEOUT) => {
+    closing ??= new Promise((resolve) => {
+      draining = true;
+      upgrade.closeClients();
+      for (const res of responses) {
+        if (!res.headersSent) res.setHeader("Connection", "close");
+      }
+
+      const timer = setTimeout(() => {
+        server.closeAllConnections();
+        upgrade.closeClients(true);
+        resolve();
+      }, drainTimeout);
+
+      server.close(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+      server.closeIdleConnections();
+    });
+    return closing;
+  };
+
+  return server;
+}
@@ -0,0 +1,215 @@
+/**
+ * Static file serving for the built frontend (dist/client).
+ * Serves precompressed `.br`/`.gz` siblings written by the build, strong
+ * ETags with `If-None-Match`, Cache-Control by file kind and byte ranges.
+ * @module runtime/static
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import mime from "mime-types";
+
+/** Precompressed variants in order of preference */
+const ENCODINGS = [
+  { name: "br", ext: ".br" },
+  { name: "gzip", ext: ".gz" },
+];
+
+/** Vite's content-hashed build output, safe to cache forever */
+const IMMUTABLE = "public, max-age=31536000, immutable";
+const REVALIDATE = "no-cache";
+
+/**
+ * Get MIME type for a file
+ * @param {string} f - File path
+ * @returns {string} MIME type
+ */
+const getMime = (f) => mime.lookup(f) || "application/octet-stream";
+
+/**
+ * Stat a path, returning null unless it is a regular file
+ * @param {string} file
+ * @returns {fs.Stats|null}
+ */
+function statFile(file) {
+  try {
+    const stat = fs.statSync(file);
+    return stat.isFile() ? stat : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse Accept-Encoding into the set of acceptable codings
+ * @param {string} [header]
+ * @returns {Set<string>}
+ */
+function acceptedEncodings(header = "") {
+  const accepted = new Set();
+  for (const part of header.split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+    if (name && (!q || parseFloat(q.slice(2)) > 0)) accepted.add(name);
+  }
+  return accepted;
+}
+
+/**
+ * Check If-None-Match against the current ETag (weak comparison, RFC 9110)
+ * @param {string} header
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function matchesEtag(header, etag) {
+  if (header.trim() === "*") return true;
+  return header.split(",").some((tag) => tag.trim().replace(/^W\//, "") === etag);
+}
+
+/**
+ * Parse a single `bytes=` range
+ * @param {string} header
+ * @param {number} size
+ * @returns {{ start: number, end: number }|null|-1} Range, null to ignore
+ *   the header (serve the whole file), or -1 when unsatisfiable
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  // Multiple or malformed ranges: fall back to a full response
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return -1;
+  return { start, end };
+}
+
+/**
+ * Create the static file handler for a client build directory
+ * @param {string} clientDir - Absolute path to built frontend files
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse, pathname: string) => Promise<void>}
+ */
+export function createStaticHandler(clientDir) {
+  /** @type {Map<string, { key: string, etag: Promise<string> }>} */
+  const etags = new Map();
+
+  /**
+   * Strong ETag from the file contents, cached until size or mtime change
+   * @param {string} file
+   * @param {fs.Stats} stat
+   * @returns {Promise<string>}
+   */
+  const getEtag = (file, stat) => {
+    const key = `${stat.size}-${stat.mtimeMs}`;
+    const cached = etags.get(file);
+    if (cached?.key === key) return cached.etag;
+
+    const etag = new Promise((resolve, reject) => {
+      const hash = crypto.createHash("sha1");
+      fs.createReadStream(file)
+        .on("data", (chunk) => hash.update(chunk))
+        .on("end", () => resolve(`"${hash.digest("base64url")}"`))
+        .on("error", reject);
+    });
+    etags.set(file, { key, etag });
+    etag.catch(() => etags.delete(file));
+    return etag;
+  };
+
+  return async (req, res, pathname) => {
+    if (!fs.existsSync(clientDir)) {
+      res.writeHead(404);
+      res.end("Not Found");
+      return;
+    }
+
+    let file = path.join(clientDir, pathname);
+    if (pathname === "/" || !statFile(file)) file = path.join(clientDir, "index.html");
+
+    const safeClientPath = path.normalize(path.resolve(file));
+    if (!safeClientPath.startsWith(clientDir)) {
+      res.writeHead(403);
+      res.end("Forbidden");
+      return;
+    }
+
+    const stat = statFile(safeClientPath);
+    if (!stat) {
+      res.writeHead(404);
+      res.end("Not Found");
+      return;
+    }
+
+    const relative = path.relative(clientDir, safeClientPath).split(path.sep).join("/");
+    const etag = await getEtag(safeClientPath, stat);
+
+    // Byte ranges are served from the uncompressed file
+    const rangeHeader = req.headers.range;
+    const ifRange = req.headers["if-range"];
+    const useRange = rangeHeader && (!ifRange || ifRange === etag);
+
+    let encoding = null;
+    let servedPath = safeClientPath;
+    let size = stat.size;
+    const variants = ENCODINGS.filter((e) => statFile(safeClientPath + e.ext));
+    if (!useRange && variants.length) {
+      const accepted = acceptedEncodings(req.headers["accept-encoding"]);
+      encoding = variants.find((e) => accepted.has(e.name)) || null;
+      if (encoding) {
+        servedPath = safeClientPath + encoding.ext;
+        size = statFile(servedPath).size;
+      }
+    }
+
+    const headers = {
+      "Content-Type": getMime(safeClientPath),
+      "Cache-Control": relative.startsWith("assets/") ? IMMUTABLE : REVALIDATE,
+      "Accept-Ranges": "bytes",
+      // Each encoding is its own representation and needs its own strong ETag
+      ETag: encoding ? `${etag.slice(0, -1)}-${encoding.name}"` : etag,
+    };
+    if (variants.length) headers.Vary = "Accept-Encoding";
+    if (encoding) headers["Content-Encoding"] = encoding.name;
+
+    const ifNoneMatch = req.headers["if-none-match"];
+    if (ifNoneMatch && matchesEtag(ifNoneMatch, headers.ETag)) {
+      delete headers["Content-Type"];
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    let range = null;
+    if (useRange) {
+      range = parseRange(rangeHeader, size);
+      if (range === -1) {
+        res.writeHead(416, { ...headers, "Content-Range": `bytes */${size}` });
+        res.end();
+        return;
+      }
+    }
+
+    if (range) {
+      headers["Content-Range"] = `bytes ${range.start}-${range.end}/${size}`;
+      headers["Content-Length"] = range.end - range.start + 1;
+    } else {
+      headers["Content-Length"] = size;
+    }
+
+    res.writeHead(range ? 206 : 200, headers);
+    if (req.method === "HEAD") {
+      res.end();
+      return;
+    }
+    fs.createReadStream(servedPath, range || undefined).pipe(res);
+  };
+}
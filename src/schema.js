@@ -0,0 +1,148 @@
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import fastJson from "fast-json-stringify";
+import { HTTP_METHODS } from "./methods.js";
+
+/**
+ * Per-route JSON Schema validation and response serialization.
+ * A route exports `schema = { body, query, params, response }`, or one such
+ * object per method (`schema = { GET: {...}, POST: {...} }`).
+ * @module schema
+ */
+
+/**
+ * @typedef {Object} RouteSchema
+ * @property {Object} [body] - JSON Schema for the parsed request body
+ * @property {Object} [query] - JSON Schema for query parameters (values coerced)
+ * @property {Object} [params] - JSON Schema for route parameters (values coerced)
+ * @property {Object} [response] - Response schema, or a map of status code
+ *   (`200`, `2xx`, `default`) to schema
+ */
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} field - Failing field (e.g. "body.email", "query.limit")
+ * @property {string} message - Human readable reason
+ */
+
+/**
+ * @typedef {Object} CompiledSchema
+ * @property {(req: Object) => ValidationError[]|null} validate - Validate (and coerce) request input
+ * @property {(status: number, data: any) => string|null} serialize - Serialize a response,
+ *   or null when no response schema applies to the status
+ */
+
+const REQUEST_PARTS = ["params", "query", "body"];
+
+// Query strings and params are always strings, so they are coerced to the
+// declared types; bodies are parsed JSON and validated as-is.
+const ajv = addFormats(new Ajv({ allErrors: true, useDefaults: true }));
+const coercingAjv = addFormats(
+  new Ajv({ allErrors: true, useDefaults: true, coerceTypes: "array" })
+);
+
+/** @type {WeakMap<Object, CompiledSchema>} */
+const compiled = new WeakMap();
+
+/**
+ * Pick the schema for a request method from a route module
+ * @param {Record<string, any>} mod - Imported route module
+ * @param {string} method - Request method
+ * @returns {RouteSchema|null}
+ */
+export function getRouteSchema(mod, method) {
+  const schema = mod.schema;
+  if (!schema || typeof schema !== "object") return null;
+
+  if (HTTP_METHODS.some((m) => m in schema)) {
+    return schema[method] || (method === "HEAD" && schema.GET) || null;
+  }
+  return schema;
+}
+
+/**
+ * Convert an Ajv error into a field/message pair
+ * @param {string} part - Request part ("body", "query", "params")
+ * @param {import('ajv').ErrorObject} error
+ * @returns {ValidationError}
+ */
+function toValidationError(part, error) {
+  const segments = error.instancePath.split("/").filter(Boolean);
+  if (error.keyword === "required") segments.push(error.params.missingProperty);
+  if (error.keyword === "additionalProperties")
+    segments.push(error.params.additionalProperty);
+  return { field: [part, ...segments].join("."), message: error.message };
+}
+
+/**
+ * Check whether a response schema is a map of status codes to schemas
+ * @param {Object} response - `schema.response` export
+ * @returns {boolean}
+ */
+export function isStatusMap(response) {
+  const keys = Object.keys(response);
+  return (
+    keys.length > 0 && keys.every((k) => /^([1-5](\d\d|xx)|default)$/.test(k))
+  );
+}
+
+/**
+ * Find the response schema for a status code
+ * @param {Object} response - Response schema or status map
+ * @param {number} status
+ * @returns {Object|null}
+ */
+function pickResponseSchema(response, status) {
+  if (!isStatusMap(response)) return status >= 200 && status < 300 ? response : null;
+
+  return (
+    response[status] ||
+    response[`${String(status)[0]}xx`] ||
+    response.default ||
+    null
+  );
+}
+
+/**
+ * Compile (and cache) validators and serializers for a route schema
+ * @param {RouteSchema} schema
+ * @returns {CompiledSchema}
+ */
+export function compileSchema(schema) {
+  const cached = compiled.get(schema);
+  if (cached) return cached;
+
+  const validators = REQUEST_PARTS.filter((part) => schema[part]).map((part) => [
+    part,
+    (part === "body" ? ajv : coercingAjv).compile(schema[part]),
+  ]);
+
+  /** @type {Map<Object, Function>} */
+  const serializers = new Map();
+
+  const result = {
+    validate(req) {
+      const errors = [];
+      for (const [part, validator] of validators) {
+        if (!validator(req[part] ?? {})) {
+          errors.push(...validator.errors.map((e) => toValidationError(part, e)));
+        }
+      }
+      return errors.length ? errors : null;
+    },
+
+    serialize(status, data) {
+      if (!schema.response) return null;
+      const responseSchema = pickResponseSchema(schema.response, status);
+      if (!responseSchema) return null;
+
+      if (!serializers.has(responseSchema)) {
+        serializers.set(responseSchema, fastJson(responseSchema));
+      }
+      return serializers.get(responseSchema)(data);
+    },
+  };
+
+  compiled.set(schema, result);
+  return result;
+}
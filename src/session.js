@@ -0,0 +1,349 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { isModulePath } from "./modules.js";
+
+/**
+ * Sessions for API routes, shared by the dev server and the production
+ * runtime. `await req.session` loads the session on first use; after the
+ * handler returns it is saved only if its data changed, and the session
+ * cookie (signed when a cookie secret is set) is sent with the response.
+ * @module session
+ */
+
+/**
+ * @typedef {Object} SessionStore
+ * @property {(id: string) => Promise<Record<string, any>|undefined>|Record<string, any>|undefined} get
+ *   Session data, or undefined when missing or expired
+ * @property {(id: string, data: Record<string, any>, ttl: number) => any} set - Save data for `ttl` ms
+ * @property {(id: string) => any} destroy
+ * @property {(id: string, ttl: number) => any} [touch] - Extend an unchanged session
+ *   (falls back to `set`)
+ */
+
+/**
+ * @typedef {Object} SessionOptions
+ * @property {string} [name="sid"] - Cookie name
+ * @property {number} [maxAge=86400] - Lifetime in seconds
+ * @property {boolean} [rolling=true] - Each request that loads the session extends it
+ * @property {import('./cookies.js').CookieOptions} [cookie] - Session cookie attributes
+ * @property {"memory"|"file"|string|SessionStore} [store="memory"] - A built-in store,
+ *   a store module path (bundled for production) or a store object (dev only)
+ * @property {string} [dir] - Directory of the file store
+ */
+
+export const DEFAULT_SESSION = {
+  name: "sid",
+  maxAge: 86_400,
+  rolling: true,
+  store: "memory",
+  cookie: { httpOnly: true, sameSite: "lax", path: "/" },
+};
+
+/** Default directory of the file store */
+export const DEFAULT_SESSION_DIR = path.join(os.tmpdir(), "vite-node-api-sessions");
+
+/** 24 random bytes, base64url: also safe as a file name */
+const SESSION_ID_RE = /^[\w-]{32}$/;
+
+/** Expired sessions are dropped at most this often */
+const SWEEP_INTERVAL = 10 * 60_000;
+
+const STATE = Symbol("vite-node-api.session");
+
+/**
+ * Normalize the `session` option
+ * @param {boolean|SessionOptions|undefined} session
+ * @returns {SessionOptions|null} Null when disabled
+ */
+export function resolveSessionOptions(session) {
+  if (!session) return null;
+  const options = session === true ? {} : session;
+  return {
+    ...DEFAULT_SESSION,
+    ...options,
+    cookie: { ...DEFAULT_SESSION.cookie, ...options.cookie },
+  };
+}
+
+const createSessionId = () => crypto.randomBytes(24).toString("base64url");
+
+/**
+ * In-process store (per process: cluster workers don't share it)
+ * @returns {SessionStore}
+ */
+export function createMemorySessionStore() {
+  /** @type {Map<string, { data: string, expires: number }>} */
+  const sessions = new Map();
+  let swept = Date.now();
+
+  const sweep = (now) => {
+    if (now - swept < SWEEP_INTERVAL) return;
+    for (const [id, entry] of sessions) if (entry.expires <= now) sessions.delete(id);
+    swept = now;
+  };
+
+  return {
+    get(id) {
+      const entry = sessions.get(id);
+      if (!entry) return undefined;
+      if (entry.expires <= Date.now()) {
+        sessions.delete(id);
+        return undefined;
+      }
+      // A copy, so unsaved changes never leak into the store
+      return JSON.parse(entry.data);
+    },
+    set(id, data, ttl) {
+      const now = Date.now();
+      sweep(now);
+      sessions.set(id, { data: JSON.stringify(data), expires: now + ttl });
+    },
+    destroy(id) {
+      sessions.delete(id);
+    },
+    touch(id, ttl) {
+      const entry = sessions.get(id);
+      if (entry) entry.expires = Date.now() + ttl;
+    },
+  };
+}
+
+/**
+ * One JSON file per session, shared by cluster workers on the same machine
+ * and kept across restarts
+ * @param {{ dir?: string }} [options={}]
+ * @returns {SessionStore}
+ */
+export function createFileSessionStore({ dir = DEFAULT_SESSION_DIR } = {}) {
+  const fsp = fs.promises;
+  let swept = 0;
+  let ready = null;
+
+  const file = (id) => {
+    // Ids come from cookies: never let one name a path outside the directory
+    if (!SESSION_ID_RE.test(id)) throw new Error(`Invalid session id: ${id}`);
+    return path.join(dir, `${id}.json`);
+  };
+  const read = async (id) => {
+    try {
+      return JSON.parse(await fsp.readFile(file(id), "utf-8"));
+    } catch (err) {
+      if (err.code === "ENOENT" || err instanceof SyntaxError) return undefined;
+      throw err;
+    }
+  };
+  const write = async (id, entry) => {
+    ready ??= fsp.mkdir(dir, { recursive: true });
+    await ready;
+    // Write then rename, so a concurrent read never sees half a file
+    const tmp = `${file(id)}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(entry));
+    await fsp.rename(tmp, file(id));
+  };
+  const sweep = async (now) => {
+    if (now - swept < SWEEP_INTERVAL) return;
+    swept = now;
+    for (const name of await fsp.readdir(dir).catch(() => [])) {
+      const id = name.replace(/\.json$/, "");
+      if (!SESSION_ID_RE.test(id)) continue;
+      const entry = await read(id);
+      if (entry && entry.expires <= now) await fsp.rm(file(id), { force: true });
+    }
+  };
+
+  return {
+    async get(id) {
+      if (!SESSION_ID_RE.test(id)) return undefined;
+      const entry = await read(id);
+      if (!entry) return undefined;
+      if (entry.expires <= Date.now()) {
+        await fsp.rm(file(id), { force: true });
+        return undefined;
+      }
+      return entry.data;
+    },
+    async set(id, data, ttl) {
+      const now = Date.now();
+      await write(id, { data, expires: now + ttl });
+      sweep(now).catch((err) => console.error("❌ vite-node-api: session sweep failed:", err));
+    },
+    async destroy(id) {
+      await fsp.rm(file(id), { force: true });
+    },
+    async touch(id, ttl) {
+      const entry = await read(id);
+      if (entry) await write(id, { ...entry, expires: Date.now() + ttl });
+    },
+  };
+}
+
+/**
+ * A loaded session: its own enumerable properties are the session data
+ */
+export class Session {
+  /**
+   * @param {string} id
+   * @param {Record<string, any>|undefined} data - Stored data, undefined for a new session
+   * @param {SessionStore} store
+   */
+  constructor(id, data, store) {
+    Object.defineProperty(this, STATE, {
+      value: {
+        id,
+        store,
+        isNew: !data,
+        snapshot: JSON.stringify(data ?? {}),
+        regenerated: false,
+        destroyed: false,
+      },
+    });
+    Object.assign(this, data);
+  }
+
+  /** Session id (changes on {@link Session#regenerate}) */
+  get id() {
+    return this[STATE].id;
+  }
+
+  /** Whether the session was created by this request */
+  get isNew() {
+    return this[STATE].isNew;
+  }
+
+  /**
+   * Move the data to a new id and drop the old one. Call after login (or any
+   * privilege change) so an id planted before authentication is worthless.
+   * @returns {Promise<void>}
+   */
+  async regenerate() {
+    const state = this[STATE];
+    if (!state.isNew) await state.store.destroy(state.id);
+    state.id = createSessionId();
+    state.regenerated = true;
+  }
+
+  /**
+   * Delete the session and expire its cookie
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    const state = this[STATE];
+    if (!state.isNew) await state.store.destroy(state.id);
+    for (const key of Object.keys(this)) delete this[key];
+    state.destroyed = true;
+  }
+}
+
+/**
+ * Resolve the session store option
+ * @param {SessionOptions} options
+ * @param {(file: string) => Promise<Record<string, any>>} load - Module loader
+ * @returns {Promise<SessionStore>}
+ */
+async function resolveStore({ store, dir }, load) {
+  if (store && typeof store === "object") return store;
+  if (isModulePath(store)) return (await load(path.resolve(store))).default;
+  if (store === "file") return createFileSessionStore({ dir });
+  if (store !== "memory") throw new Error(`Unknown vite-node-api session store: ${store}`);
+  return createMemorySessionStore();
+}
+
+/**
+ * Create the session layer
+ * @param {boolean|SessionOptions|undefined} option - Plugin `session` option
+ * @param {Object} context
+ * @param {string[]} context.secrets - Cookie secrets (the id cookie is signed when set)
+ * @param {(file: string) => Promise<Record<string, any>>} context.load - Module loader
+ * @returns {{ attach: (req: any, res: any) => void, commit: (req: any) => Promise<void> }|null}
+ *   `attach` adds `req.session` (after cookies are attached); `commit` saves it once the
+ *   handler returned. Null when sessions are off.
+ */
+export function createSessions(option, { secrets, load }) {
+  const options = resolveSessionOptions(option);
+  if (!options) return null;
+
+  const ttl = options.maxAge * 1000;
+  const signed = secrets.length > 0;
+  let store = null;
+  const getStore = () =>
+    (store ??= resolveStore(options, load).catch((err) => {
+      store = null;
+      throw err;
+    }));
+
+  /**
+   * Whether the session changed since it was loaded
+   * @param {Session} session
+   */
+  const isModified = (session) => JSON.stringify(session) !== session[STATE].snapshot;
+
+  /**
+   * Send, refresh or expire the session cookie while headers can still change
+   * @param {import('http').ServerResponse} res
+   * @param {Session} session
+   */
+  const writeCookie = (res, session) => {
+    const state = session[STATE];
+    if (state.destroyed) {
+      if (!state.isNew) res.clearCookie(options.name, options.cookie);
+      return;
+    }
+    const changed = isModified(session);
+    // Anonymous visitors get no cookie until something is stored for them
+    if ((state.isNew || state.regenerated) && !changed && !Object.keys(session).length) return;
+    if (state.isNew || state.regenerated || changed || options.rolling) {
+      res.setCookie(options.name, state.id, { ...options.cookie, maxAge: options.maxAge, signed });
+    }
+  };
+
+  return {
+    attach(req, res) {
+      const id = signed ? req.signedCookies[options.name] : req.cookies[options.name];
+      const context = { session: null, promise: null };
+      req[STATE] = context;
+
+      Object.defineProperty(req, "session", {
+        configurable: true,
+        enumerable: true,
+        get() {
+          context.promise ??= (async () => {
+            const sessions = await getStore();
+            const data = id ? await sessions.get(id) : undefined;
+            // Unknown ids are never adopted: a new session gets a fresh id
+            context.session = new Session(data ? id : createSessionId(), data, sessions);
+            return context.session;
+          })();
+          return context.promise;
+        },
+      });
+
+      // Headers go out on the first writeHead, explicit or implicit (res.end)
+      const writeHead = res.writeHead;
+      res.writeHead = function (...args) {
+        res.writeHead = writeHead;
+        if (context.session) writeCookie(res, context.session);
+        return writeHead.apply(this, args);
+      };
+    },
+
+    async commit(req) {
+      const context = req[STATE];
+      if (!context?.promise) return;
+      const session = await context.promise;
+      const state = session[STATE];
+      if (state.destroyed) return;
+
+      if (state.isNew || state.regenerated || isModified(session)) {
+        if (!Object.keys(session).length && state.isNew) return;
+        await state.store.set(state.id, { ...session }, ttl);
+        state.snapshot = JSON.stringify(session);
+      } else if (options.rolling) {
+        await (state.store.touch
+          ? state.store.touch(state.id, ttl)
+          : state.store.set(state.id, { ...session }, ttl));
+      }
+    },
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * Server-Sent Events for API routes.
+ * A handler calls `res.sse()` to switch the response into an event stream;
+ * the stream is exempt from the request timeout and cleans up when the
+ * client disconnects.
+ * @module sse
+ */
+
+/**
+ * @typedef {Object} EventStreamOptions
+ * @property {number} [heartbeat=15000] - Interval of keep-alive comments in ms (0 disables)
+ * @property {number} [retry] - Reconnection delay sent to the client in ms
+ */
+
+/**
+ * @typedef {Object} EventOptions
+ * @property {string} [event] - Event name (`addEventListener(event, ...)` on the client)
+ * @property {string|number} [id] - Event id, echoed back as `Last-Event-ID` on reconnect
+ * @property {number} [retry] - Reconnection delay in ms
+ */
+
+const EVENT_STREAM = Symbol("vite-node-api.eventStream");
+
+export const DEFAULT_HEARTBEAT = 15_000;
+
+/**
+ * Strip line breaks from single-line SSE fields (event, id)
+ * @param {string|number} value
+ * @returns {string}
+ */
+const field = (value) => String(value).replace(/[\r\n]/g, "");
+
+/**
+ * Check whether a response has been switched to an event stream
+ * @param {import('http').ServerResponse} res
+ * @returns {boolean}
+ */
+export const isEventStream = (res) => Boolean(res[EVENT_STREAM]);
+
+/**
+ * Switch a response into a Server-Sent Events stream
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {EventStreamOptions} [options={}]
+ * @returns {EventStream}
+ */
+export function createEventStream(req, res, options = {}) {
+  if (res[EVENT_STREAM]) return res[EVENT_STREAM];
+
+  const stream = new EventStream(req, res, options);
+  res[EVENT_STREAM] = stream;
+  return stream;
+}
+
+/**
+ * Add `res.sse()` to a response
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ */
+export function attachEventStream(req, res) {
+  res.sse = (options) => createEventStream(req, res, options);
+}
+
+/**
+ * An open Server-Sent Events stream
+ */
+export class EventStream {
+  /**
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   * @param {EventStreamOptions} options
+   */
+  constructor(req, res, { heartbeat = DEFAULT_HEARTBEAT, retry } = {}) {
+    this.res = res;
+    /** Id of the last event the client received before reconnecting */
+    this.lastEventId = req.headers["last-event-id"] || null;
+    this.closed = false;
+
+    const controller = new AbortController();
+    /** Aborted when the stream closes (client disconnect or close()) */
+    this.signal = controller.signal;
+
+    // Long-lived by design: the request timeout must not end it
+    req.setTimeout?.(0);
+
+    res.writeHead(res.statusCode || 200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders?.();
+    if (retry !== undefined) res.write(`retry: ${Number(retry)}\n\n`);
+
+    const timer =
+      heartbeat > 0 ? setInterval(() => this.comment(""), heartbeat) : null;
+    timer?.unref?.();
+
+    this._cleanup = () => {
+      if (this.closed) return;
+      this.closed = true;
+      clearInterval(timer);
+      controller.abort();
+    };
+    res.on?.("close", this._cleanup);
+  }
+
+  /**
+   * Send an event. Non-string data is JSON-encoded.
+   * @param {any} data
+   * @param {EventOptions} [options={}]
+   * @returns {boolean} False when the client is gone or the buffer is full
+   */
+  send(data, { event, id, retry } = {}) {
+    if (this.closed) return false;
+
+    let message = "";
+    if (event !== undefined) message += `event: ${field(event)}\n`;
+    if (id !== undefined) message += `id: ${field(id)}\n`;
+    if (retry !== undefined) message += `retry: ${Number(retry)}\n`;
+
+    const text = typeof data === "string" ? data : JSON.stringify(data ?? null);
+    for (const line of text.split(/\r\n|\r|\n/)) message += `data: ${line}\n`;
+
+    return this.res.write(message + "\n");
+  }
+
+  /**
+   * Send a comment line (ignored by clients, keeps proxies from timing out)
+   * @param {string} text
+   * @returns {boolean}
+   */
+  comment(text) {
+    if (this.closed) return false;
+    return this.res.write(`:${text ? " " + field(text) : ""}\n\n`);
+  }
+
+  /**
+   * Register cleanup to run when the stream closes
+   * @param {() => void} fn
+   */
+  onClose(fn) {
+    if (this.closed) fn();
+    else this.signal.addEventListener("abort", () => fn(), { once: true });
+  }
+
+  /**
+   * End the stream from the server side
+   */
+  close() {
+    if (this.closed) return;
+    this._cleanup();
+    this.res.end();
+  }
+}
@@ -0,0 +1,164 @@
+import http from "http";
+import { WebSocketServer } from "ws";
+import { isForbiddenPath } from "./router.js";
+import { isApiPath, parseRequestUrl } from "./handler.js";
+import { runMiddleware } from "./middleware.js";
+import { isHttpError } from "./errors.js";
+import { attachCookies } from "./cookies.js";
+
+/**
+ * File-based WebSocket routes.
+ * A route module exports `websocket = { open, message, close, error }` to
+ * accept upgrades at its own URL (`server/api/chat.js` → `ws://host/api/chat`).
+ * Upgrades outside /api are left alone so Vite's HMR socket keeps working.
+ * Before accepting, an upgrade goes through the route's rate limit, its `auth`
+ * requirement and the folder's `_middleware.js` files like an HTTP request; a
+ * 429, a 401/403 or a short-circuiting middleware refuses it.
+ * @module websocket
+ */
+
+/**
+ * @typedef {Object} WebSocketHandlers
+ * @property {(ws: import('ws').WebSocket, req: import('http').IncomingMessage) => any} [open]
+ * @property {(ws: import('ws').WebSocket, data: string|Buffer, req: import('http').IncomingMessage) => any} [message] -
+ *   Text frames arrive as strings, binary frames as Buffers
+ * @property {(ws: import('ws').WebSocket, code: number, reason: string, req: import('http').IncomingMessage) => any} [close]
+ * @property {(ws: import('ws').WebSocket, err: Error, req: import('http').IncomingMessage) => any} [error]
+ */
+
+/**
+ * @typedef {Object} UpgradeHandlerOptions
+ * @property {ReturnType<typeof import('./router.js').createRouter>} router - Route table
+ * @property {(file: string) => Promise<Record<string, any>>} load - Module loader
+ * @property {ReturnType<typeof import('./ratelimit.js').createRateLimiter>} rateLimit
+ * @property {ReturnType<typeof import('./auth.js').createAuthenticator>} authenticate
+ * @property {string[]} cookieSecrets - Cookie signing secrets, newest first
+ */
+
+/**
+ * Get the WebSocket handlers exported by a route module
+ * @param {Record<string, any>} mod - Imported route module
+ * @returns {WebSocketHandlers|null}
+ */
+export function getWebSocketHandlers(mod) {
+  const ws = mod.websocket;
+  return ws && typeof ws === "object" ? ws : null;
+}
+
+/** Headers of a refusal that `reject` writes itself */
+const OWN_HEADERS = ["connection", "content-type", "content-length"];
+
+/**
+ * Refuse an upgrade with a plain HTTP response and drop the socket
+ * @param {import('stream').Duplex} socket
+ * @param {number} status
+ * @param {string} message
+ * @param {Record<string, string|number|string[]>} [headers] - Extra headers (e.g. `Retry-After`)
+ */
+function reject(socket, status, message, headers = {}) {
+  if (socket.destroyed) return;
+  const body = JSON.stringify({ error: message });
+  const extra = Object.entries(headers)
+    .filter(([name]) => !OWN_HEADERS.includes(name.toLowerCase()))
+    .flatMap(([name, value]) => [value].flat().map((v) => `${name}: ${v}\r\n`))
+    .join("");
+  socket.end(
+    `HTTP/1.1 ${status} ${message}\r\n` +
+      extra +
+      "Connection: close\r\n" +
+      "Content-Type: application/json\r\n" +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n` +
+      body
+  );
+}
+
+/**
+ * Invoke a handler callback, reporting (not throwing) its errors
+ * @param {WebSocketHandlers} handlers
+ * @param {import('ws').WebSocket} ws
+ * @param {import('http').IncomingMessage} req
+ * @param {() => any} fn - Callback invocation
+ */
+async function run(handlers, ws, req, fn) {
+  try {
+    await fn();
+  } catch (err) {
+    if (handlers.error) handlers.error(ws, err, req);
+    else console.error(`❌ vite-node-api: WebSocket ${req.url}:`, err);
+    ws.close(1011, "Internal error");
+  }
+}
+
+/**
+ * Create an `upgrade` listener for an HTTP server. Its `closeClients(force)`
+ * closes open sockets with 1001 Going Away, or terminates them when `force` is set.
+ * @param {UpgradeHandlerOptions} options
+ * @returns {((req: import('http').IncomingMessage, socket: import('stream').Duplex, head: Buffer) => Promise<void>) & { closeClients: (force?: boolean) => void }}
+ */
+export function createUpgradeHandler({ router, load, rateLimit, authenticate, cookieSecrets }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  const handleUpgrade = async (req, socket, head) => {
+    // A rejection here would be unhandled: upgrade listeners aren't awaited
+    const requestUrl = parseRequestUrl(req);
+    if (!requestUrl) return reject(socket, 400, "Bad request");
+    const { pathname, searchParams } = requestUrl;
+    // Not ours (e.g. Vite's HMR socket)
+    if (!isApiPath(pathname)) return;
+
+    const apiPath = pathname.replace(/^\/api/, "");
+    if (isForbiddenPath(apiPath)) return reject(socket, 403, "Forbidden path");
+
+    // Collects the headers and status set by the rate limit and middleware;
+    // the socket only gets a response when the upgrade is refused
+    const res = new http.ServerResponse(req);
+    try {
+      const match = await router.match(apiPath);
+      const mod = match && (await load(match.route.file));
+      const handlers = mod && getWebSocketHandlers(mod);
+      if (!handlers) return reject(socket, 404, "WebSocket route not found");
+
+      req.query = Object.fromEntries(searchParams.entries());
+      req.params = match.params;
+      attachCookies(req, res, cookieSecrets);
+      await rateLimit(req, res, match.route, mod);
+      // 401/403 (with WWW-Authenticate) like the route's HTTP handlers
+      authenticate(req, mod);
+
+      const chain = await runMiddleware(match.route.middleware, load, req, res);
+      if (chain.done) {
+        const status = res.statusCode >= 400 ? res.statusCode : 403;
+        return reject(socket, status, http.STATUS_CODES[status], res.getHeaders());
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.on("message", (data, isBinary) => {
+          if (!handlers.message) return;
+          const payload = isBinary ? data : data.toString();
+          run(handlers, ws, req, () => handlers.message(ws, payload, req));
+        });
+        ws.on("close", (code, reason) => {
+          if (!handlers.close) return;
+          run(handlers, ws, req, () => handlers.close(ws, code, reason.toString(), req));
+        });
+        ws.on("error", (err) => handlers.error?.(ws, err, req));
+
+        if (handlers.open) run(handlers, ws, req, () => handlers.open(ws, req));
+      });
+    } catch (err) {
+      if (isHttpError(err)) {
+        return reject(socket, err.status, err.message, { ...res.getHeaders(), ...err.headers });
+      }
+      console.error(`❌ vite-node-api: WebSocket upgrade ${req.url} failed:`, err);
+      reject(socket, 500, "Internal Server Error");
+    }
+  };
+
+  handleUpgrade.closeClients = (force = false) => {
+    for (const ws of wss.clients) {
+      if (force) ws.terminate();
+      else ws.close(1001, "Server shutting down");
+    }
+  };
+  return handleUpgrade;
+}
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import crypto from "crypto";
+import viteNodeApi from "../src/index.js";
+import { verifyToken } from "../src/auth.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "auth-api");
+const clientDir = path.join(testApiDir, "no-client");
+
+const fixtures = {
+  "profile.js": `
+    export const auth = true;
+    export default (req) => ({ sub: req.user.sub })`,
+  "admin.js": `
+    export const auth = { roles: ["admin", "owner"] };
+    export default () => ({ ok: true })`,
+  "reports.js": `
+    export const auth = { GET: { scopes: ["reports:read"] }, POST: { scopes: ["reports:write"] } };
+    export const GET = () => ({ reports: [] });
+    export const POST = (req) => ({ created: req.body })`,
+  "public.js": `export default (req) => ({ user: req.user ?? null })`,
+};
+
+const secret = "hs256-test-secret";
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: "spki", format: "pem" },
+  privateKeyEncoding: { type: "pkcs8", format: "pem" },
+});
+
+/** Sign a JWT with HS256 (secret) or RS256 (private key) */
+function sign(claims, { alg = "HS256", key } = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const data = `${encode({ alg, typ: "JWT" })}.${encode(claims)}`;
+  const signature =
+    alg === "RS256"
+      ? crypto.sign("RSA-SHA256", Buffer.from(data), key ?? privateKey)
+      : crypto.createHmac("sha256", key ?? secret).update(data).digest();
+  return `${data}.${signature.toString("base64url")}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+const auth = { secret, publicKey, cookie: "token", issuer: "https://auth.test" };
+const claims = (extra) => ({ sub: "user-1", iss: "https://auth.test", exp: now() + 60, ...extra });
+
+describe("JWT authentication", () => {
+  const servers = {};
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    servers.dev = await startDev(viteNodeApi({ apiDir: testApiDir, client: false, auth }));
+    servers.production = await startRuntime({ apiDir: testApiDir, clientDir, auth });
+  });
+
+  afterAll(async () => {
+    await servers.dev.close();
+    await servers.production.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  it("should honor nbf and exp with clock tolerance", () => {
+    const token = sign(claims({ nbf: now() + 5 }));
+    expect(() => verifyToken(token, auth)).toThrow("Token not yet valid");
+    expect(verifyToken(token, { ...auth, clockTolerance: 10 }).sub).toBe("user-1");
+    expect(() => verifyToken(sign(claims({ exp: now() - 5 })), auth)).toThrow("Token expired");
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const request = (url, token, init = {}) =>
+      servers[mode].request(url, {
+        ...init,
+        headers: { ...init.headers, ...(token && { Authorization: `Bearer ${token}` }) },
+      });
+
+    it("should require a token", async () => {
+      const res = await request("/api/profile");
+      expect(res.status).toBe(401);
+      expect(res.headers["www-authenticate"]).toBe("Bearer");
+      expect(res.body).toEqual({ error: "Authentication required" });
+    });
+
+    it("should verify HS256 and RS256 tokens into req.user", async () => {
+      expect((await request("/api/profile", sign(claims()))).body).toEqual({ sub: "user-1" });
+      const rs256 = sign(claims({ sub: "user-2" }), { alg: "RS256" });
+      expect((await request("/api/profile", rs256)).body).toEqual({ sub: "user-2" });
+    });
+
+    it("should read the token from the configured cookie", async () => {
+      const res = await request("/api/profile", null, {
+        headers: { Cookie: `token=${sign(claims())}` },
+      });
+      expect(res).toMatchObject({ status: 200, body: { sub: "user-1" } });
+    });
+
+    it.each([
+      ["expired", sign(claims({ exp: now() - 1 })), "Token expired"],
+      ["forged", sign(claims(), { key: "guessed" }), "Invalid token signature"],
+      [
+        "unsigned",
+        sign(claims()).replace(/^[^.]+/, Buffer.from('{"alg":"none"}').toString("base64url")),
+        "Unsupported token algorithm",
+      ],
+      ["foreign", sign(claims({ iss: "https://evil.test" })), "Invalid token issuer"],
+      ["malformed", "not-a-jwt", "Malformed token"],
+    ])("should reject %s tokens", async (_, token, message) => {
+      const res = await request("/api/profile", token);
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({ error: message });
+      expect(res.headers["www-authenticate"]).toContain('error="invalid_token"');
+    });
+
+    it("should require one of the roles", async () => {
+      expect((await request("/api/admin", sign(claims({ roles: ["user"] })))).status).toBe(403);
+      expect((await request("/api/admin", sign(claims({ roles: ["owner"] })))).status).toBe(200);
+    });
+
+    it("should require every scope of the method", async () => {
+      const reader = sign(claims({ scope: "reports:read profile" }));
+      expect((await request("/api/reports", reader)).status).toBe(200);
+
+      const res = await request("/api/reports", reader, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: "{}",
+      });
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ error: "Insufficient scope", details: { missing: ["reports:write"] } });
+      expect(res.headers["www-authenticate"]).toContain('error="insufficient_scope"');
+
+      const writer = sign(claims({ scp: ["reports:write"] }));
+      const created = await request("/api/reports", writer, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: '{"title":"Q3"}',
+      });
+      expect(created.body).toEqual({ created: { title: "Q3" } });
+    });
+
+    it("should answer 401 before reading the body", async () => {
+      const res = await request("/api/reports", null, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: "{broken",
+      });
+      expect(res.status).toBe(401);
+    });
+
+    it("should leave routes without auth alone", async () => {
+      expect((await request("/api/public", sign(claims()))).body).toEqual({ user: null });
+    });
+  });
+});
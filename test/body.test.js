@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "body-api");
+const uploadDir = path.join(__dirname, "..", "test-fixtures", "body-uploads");
+
+const fixtures = {
+  "echo.js": `
+    import fs from "fs";
+
+    export const POST = (req) => {
+      const files = Object.fromEntries(
+        Object.entries(req.files || {}).map(([field, file]) => [
+          field,
+          [].concat(file).map((f) => ({
+            filename: f.filename,
+            mimeType: f.mimeType,
+            size: f.size,
+            content: fs.readFileSync(f.path, "utf8"),
+            path: f.path,
+          })),
+        ])
+      );
+      return { body: req.body, files };
+    };
+  `,
+  "keys.js": `
+    export const POST = (req) => ({
+      prototype: Object.getPrototypeOf(req.body),
+      entries: Object.entries(req.body),
+    });
+  `,
+};
+
+/** Poll until a condition holds (or give up after ~1s) */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+const uploads = { dir: uploadDir, fileSize: 1000, totalSize: 1500, files: 3 };
+
+describe("Body parsing", () => {
+  const servers = {};
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    servers.dev = await startDev(viteNodeApi({ apiDir: testApiDir, uploads }));
+    servers.production = await startRuntime({
+      apiDir: testApiDir,
+      clientDir: path.join(testApiDir, "no-client"),
+      uploads,
+    });
+  });
+
+  afterAll(async () => {
+    await servers.dev.close();
+    await servers.production.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const post = (body, headers) =>
+      servers[mode].request("/api/echo", { method: "POST", body, headers });
+
+    it("should parse urlencoded forms, repeated keys as arrays", async () => {
+      const res = await post("name=Ada&tag=a&tag=b", {
+        "Content-Type": "application/x-www-form-urlencoded",
+      });
+      expect(res.status).toBe(200);
+      expect(res.body.body).toEqual({ name: "Ada", tag: ["a", "b"] });
+    });
+
+    it("should keep __proto__ and constructor fields as plain data", async () => {
+      const expected = { prototype: null, entries: [["constructor", "x"], ["__proto__", "z"]] };
+      const form = await servers[mode].request("/api/keys", {
+        method: "POST",
+        body: "constructor=x&__proto__=z",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      });
+      expect(form.body).toEqual(expected);
+
+      const multipart = new FormData();
+      multipart.append("constructor", "x");
+      multipart.append("__proto__", "z");
+      const res = await servers[mode].request("/api/keys", { method: "POST", body: multipart });
+      expect(res.body).toEqual(expected);
+    });
+
+    it("should stream multipart files to disk and expose them as req.files", async () => {
+      const form = new FormData();
+      form.append("title", "Report");
+      form.append("doc", new Blob(["hello"], { type: "text/plain" }), "a.txt");
+      form.append("doc", new Blob(["world!"], { type: "text/plain" }), "b.txt");
+
+      const res = await post(form);
+      expect(res.status).toBe(200);
+      expect(res.body.body).toEqual({ title: "Report" });
+      expect(res.body.files.doc).toEqual([
+        expect.objectContaining({ filename: "a.txt", mimeType: "text/plain", size: 5, content: "hello" }),
+        expect.objectContaining({ filename: "b.txt", size: 6, content: "world!" }),
+      ]);
+      expect(path.dirname(res.body.files.doc[0].path)).toBe(uploadDir);
+    });
+
+    it("should remove temp files after the response", async () => {
+      const form = new FormData();
+      form.append("doc", new Blob(["temp"]), "t.txt");
+      const res = await post(form);
+
+      const file = res.body.files.doc[0].path;
+      for (let i = 0; i < 50 && fs.existsSync(file); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      expect(fs.existsSync(file)).toBe(false);
+    });
+
+    it("should reject files over the per-file limit with 413", async () => {
+      const form = new FormData();
+      form.append("doc", new Blob(["x".repeat(1001)]), "big.txt");
+      const res = await post(form);
+      expect(res.status).toBe(413);
+      expect(res.body).toEqual({ error: "File too large: big.txt" });
+    });
+
+    it("should reject uploads over the total limit with 413", async () => {
+      const form = new FormData();
+      form.append("a", new Blob(["x".repeat(800)]), "a.txt");
+      form.append("b", new Blob(["x".repeat(800)]), "b.txt");
+      const res = await post(form);
+      expect(res.status).toBe(413);
+      expect(res.body).toEqual({ error: "Uploads too large" });
+    });
+
+    it("should reject too many files with 413", async () => {
+      const form = new FormData();
+      for (let i = 0; i < 4; i++) form.append("doc", new Blob(["x"]), `${i}.txt`);
+      const res = await post(form);
+      expect(res.status).toBe(413);
+      expect(res.body).toEqual({ error: "Too many files" });
+    });
+
+    it("should remove temp files when the client aborts an upload", async () => {
+      await waitFor(() => fs.readdirSync(uploadDir).length === 0);
+      const { hostname, port } = new URL(servers[mode].url);
+      const req = http.request({
+        hostname,
+        port,
+        path: "/api/echo",
+        method: "POST",
+        headers: { "Content-Type": "multipart/form-data; boundary=x", "Content-Length": 10_000 },
+      });
+      req.on("error", () => {});
+      req.write(
+        '--x\r\nContent-Disposition: form-data; name="doc"; filename="a.txt"\r\n\r\n' +
+          "x".repeat(500)
+      );
+      await waitFor(() => fs.readdirSync(uploadDir).length > 0);
+      expect(fs.readdirSync(uploadDir)).toHaveLength(1);
+
+      req.destroy();
+      await waitFor(() => fs.readdirSync(uploadDir).length === 0);
+      expect(fs.readdirSync(uploadDir)).toEqual([]);
+    });
+
+    it("should still parse JSON and reject malformed JSON with 400", async () => {
+      const ok = await post(JSON.stringify({ a: 1 }), { "Content-Type": "application/json" });
+      expect(ok.body.body).toEqual({ a: 1 });
+
+      const bad = await post("{nope", { "Content-Type": "application/json" });
+      expect(bad.status).toBe(400);
+      expect(bad.body).toEqual({ error: "Invalid JSON body" });
+    });
+  });
+
+  it("should leave no temp files behind after rejected uploads", async () => {
+    for (let i = 0; i < 50 && fs.readdirSync(uploadDir).length; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(fs.readdirSync(uploadDir)).toEqual([]);
+  });
+});
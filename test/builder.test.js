@@ -1,5 +1,7 @@
 import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
-import buildBackend from "../src/builder.js";
+import buildBackend, { bundleServerModule } from "../src/builder.js";
+import { createRuntimeConfig, loadRuntimeConfig } from "../src/config.js";
+import { startRuntime } from "./helpers.js";
 import fs from "fs";
 import path from "path";
 
@@ -54,6 +56,45 @@ describe("buildBackend", () => {
     expect(fs.existsSync(path.join(outDir, "builder-test-api", "test.js"))).toBe(true);
   });
 
+  it("should write a runtime config pointing at the bundled routes", async () => {
+    fs.writeFileSync(
+      path.join(testApiDir, "echo.js"),
+      "export const POST = (req) => ({ received: req.body });"
+    );
+    await buildBackend(
+      testApiDir,
+      createRuntimeConfig({ apiDir: testApiDir, bodyLimit: 10, cors: true })
+    );
+
+    const config = loadRuntimeConfig(path.resolve(outDir), {});
+    expect(config.apiDir).toBe(path.resolve(outDir, "builder-test-api"));
+
+    const runtime = await startRuntime({
+      ...config,
+      clientDir: path.join(testApiDir, "no-client"),
+    });
+    const res = await runtime.request("/api/echo", {
+      method: "POST",
+      body: JSON.stringify({ message: "too long" }),
+    });
+    await runtime.close();
+    expect(res.status).toBe(413);
+    expect(res.headers["access-control-allow-origin"]).toBe("*");
+  });
+
+  it("should bundle a standalone server module", async () => {
+    const sink = path.join(testApiDir, "..", "builder-sink.ts");
+    fs.writeFileSync(sink, "export default (entry: { id: string }) => `logged ${entry.id}`;");
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    const outfile = await bundleServerModule(sink, "logger.js");
+    console.log.mockRestore();
+    fs.rmSync(sink);
+
+    const mod = await import(path.resolve(outfile));
+    expect(mod.default({ id: "42" })).toBe("logged 42");
+  });
+
   it("should warn when no API files found", async () => {
     const emptyDir = path.resolve("test-fixtures/builder-empty");
     if (fs.existsSync(emptyDir)) {
@@ -84,4 +125,40 @@ describe("buildBackend", () => {
 
     await expect(buildBackend(testApiDir)).rejects.toThrow();
   });
+
+  it("should bundle TypeScript routes and helpers as .js", async () => {
+    fs.writeFileSync(
+      path.join(testApiDir, "_greet.ts"),
+      "export const greet = (name: string): string => `hi ${name}`;"
+    );
+    fs.writeFileSync(
+      path.join(testApiDir, "greet.ts"),
+      `import { greet } from "./_greet";
+      export const GET = (req: { query: { name: string } }) => ({ message: greet(req.query.name) });`
+    );
+    fs.writeFileSync(path.join(testApiDir, "types.d.ts"), "export type Id = string;");
+
+    const routesDir = await buildBackend(testApiDir);
+    expect(fs.existsSync(path.join(routesDir, "greet.js"))).toBe(true);
+    expect(fs.existsSync(path.join(routesDir, "types.js"))).toBe(false);
+
+    const runtime = await startRuntime({
+      apiDir: path.resolve(routesDir),
+      clientDir: path.join(testApiDir, "no-client"),
+    });
+    const res = await runtime.request("/api/greet?name=Ada");
+    await runtime.close();
+    expect(res.body).toEqual({ message: "hi Ada" });
+  });
+
+  it("should reject a .js and .ts file for the same route", async () => {
+    fs.writeFileSync(
+      path.join(testApiDir, "test.ts"),
+      "export default () => ({ message: 'ts' });"
+    );
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(buildBackend(testApiDir)).rejects.toThrow("Duplicate API route /test");
+    console.error.mockRestore();
+  });
 });
@@ -0,0 +1,248 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, jest } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import {
+  CLIENT_MODULE_ID,
+  RESOLVED_CLIENT_MODULE_ID,
+  collectClientRoutes,
+  generateClientCode,
+  generateClientTypes,
+  schemaToType,
+  toClientKey,
+} from "../src/client.js";
+import { scanRoutes } from "../src/router.js";
+import { startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import url from "url";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "client-api");
+const clientFile = path.join(__dirname, "..", "test-fixtures", "client.mjs");
+
+const fixtures = {
+  "index.js": `export default () => ({ root: true })`,
+  "create-user.js": `
+    export const schema = {
+      body: {
+        type: "object",
+        required: ["name"],
+        properties: { name: { type: "string" }, age: { type: "integer" } },
+      },
+      response: { type: "object", properties: { id: { type: "integer" } } },
+    };
+    export const POST = (req, res) => {
+      res.statusCode = 201;
+      return { id: 1, name: req.body.name };
+    };
+  `,
+  "users/index.js": `export const GET = (req) => ({ query: req.query })`,
+  "users/[id].js": `
+    export const schema = {
+      GET: { params: { type: "object", properties: { id: { type: "integer" } } } },
+    };
+    export const GET = (req) => ({ id: req.params.id });
+    export const DELETE = (req, res) => {
+      res.statusCode = 404;
+      return { error: "No user " + req.params.id };
+    };
+  `,
+  "docs/[[...slug]].js": `export default (req) => ({ slug: req.params.slug })`,
+};
+
+const load = (file) => import(url.pathToFileURL(file).href);
+
+describe("Typed client", () => {
+  let clientRoutes;
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    clientRoutes = await collectClientRoutes(await scanRoutes(testApiDir), load);
+  });
+
+  afterAll(() => {
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+    fs.rmSync(clientFile, { force: true });
+  });
+
+  describe("toClientKey", () => {
+    it("should name segments as camelCase properties", () => {
+      expect(toClientKey("users")).toBe("users");
+      expect(toClientKey("create-user")).toBe("createUser");
+      expect(toClientKey("[id]")).toBe("byId");
+      expect(toClientKey("[...slug]")).toBe("bySlug");
+      expect(toClientKey("[[...path]]")).toBe("byPath");
+      expect(toClientKey("report-[year]")).toBe("reportByYear");
+    });
+  });
+
+  describe("schemaToType", () => {
+    it("should convert JSON schemas to TypeScript types", () => {
+      expect(
+        schemaToType({
+          type: "object",
+          required: ["id"],
+          properties: {
+            id: { type: "integer" },
+            tags: { type: "array", items: { type: "string" } },
+            role: { enum: ["admin", "user"] },
+          },
+        })
+      ).toBe('{ id: number; tags?: Array<string>; role?: "admin" | "user" }');
+      expect(schemaToType({ type: ["string", "null"] })).toBe("string | null");
+      expect(schemaToType(undefined)).toBe("unknown");
+    });
+  });
+
+  describe("generateClientTypes", () => {
+    it("should declare the virtual module with typed endpoints", () => {
+      const types = generateClientTypes(clientRoutes);
+      expect(types).toContain(`declare module "${CLIENT_MODULE_ID}"`);
+      expect(types).toContain(
+        "createUser: {\n      (args: { query?: Record<string, string | number | boolean | undefined>; " +
+          "body: { name: string; age?: number } }, init?: RequestInit): Promise<{ id?: number }>;"
+      );
+      expect(types).toMatch(/byId: \{\n\s+\(args: \{ id: number;/);
+      expect(types).toMatch(/DELETE: \(args: \{ id: string \| number;/);
+      expect(types).toMatch(/bySlug: \{\n\s+\(args\?: \{ slug\?: Array<string \| number>;/);
+    });
+  });
+
+  describe("generated client", () => {
+    let runtime;
+    let api;
+    let ApiError;
+
+    beforeAll(async () => {
+      runtime = await startRuntime({
+        apiDir: testApiDir,
+        clientDir: path.join(testApiDir, "no-client"),
+      });
+      fs.writeFileSync(clientFile, generateClientCode(clientRoutes));
+      ({ api, ApiError } = await import(url.pathToFileURL(clientFile).href));
+
+      // Resolve the client's relative URLs against the test server
+      const fetch = globalThis.fetch;
+      jest
+        .spyOn(globalThis, "fetch")
+        .mockImplementation((input, init) => fetch(runtime.url + input, init));
+    });
+
+    afterEach(() => {
+      globalThis.fetch.mock.calls.length = 0;
+    });
+
+    afterAll(async () => {
+      jest.restoreAllMocks();
+      await runtime.close();
+    });
+
+    it("should call the root route through api()", async () => {
+      expect(await api()).toEqual({ root: true });
+    });
+
+    it("should substitute params and encode query strings", async () => {
+      expect(await api.users.byId({ id: 7 })).toEqual({ id: 7 });
+      expect(await api.users({ query: { tag: ["a", "b"], page: 2 } })).toEqual({
+        query: { tag: "b", page: "2" },
+      });
+      expect(globalThis.fetch.mock.calls[1][0]).toBe("/api/users?tag=a&tag=b&page=2");
+    });
+
+    it("should send JSON bodies with the route's primary method", async () => {
+      expect(await api.createUser({ body: { name: "Ada" } })).toEqual({ id: 1 });
+      const [, init] = globalThis.fetch.mock.calls[0];
+      expect(init.method).toBe("POST");
+      expect(init.headers.get("content-type")).toBe("application/json");
+    });
+
+    it("should expose other methods by name and throw ApiError on failure", async () => {
+      const err = await api.users.byId.DELETE({ id: 3 }).catch((e) => e);
+      expect(err).toBeInstanceOf(ApiError);
+      expect(err.status).toBe(404);
+      expect(err.body).toEqual({ error: "No user 3" });
+    });
+
+    it("should join catch-all segments and drop empty optional ones", async () => {
+      expect(await api.docs.bySlug({ slug: ["a", "b"] })).toEqual({ slug: ["a", "b"] });
+      expect(await api.docs.bySlug()).toEqual({ slug: [] });
+      expect(globalThis.fetch.mock.calls[1][0]).toBe("/api/docs");
+    });
+  });
+
+  describe("plugin", () => {
+    const dts = path.join(__dirname, "..", "test-fixtures", "client-types", "api.d.ts");
+
+    afterAll(() => {
+      fs.rmSync(path.dirname(dts), { recursive: true, force: true });
+    });
+
+    it("should resolve and load the virtual module", async () => {
+      const plugin = viteNodeApi({ apiDir: testApiDir, client: { dts: false } });
+      expect(plugin.resolveId(CLIENT_MODULE_ID)).toBe(RESOLVED_CLIENT_MODULE_ID);
+      expect(plugin.resolveId("other")).toBeUndefined();
+
+      const code = await plugin.load(RESOLVED_CLIENT_MODULE_ID);
+      expect(code).toContain('endpoint("/api/users/[id]", ["GET","DELETE"]');
+    });
+
+    it("should not resolve the module when disabled", () => {
+      const plugin = viteNodeApi({ apiDir: testApiDir, client: false });
+      expect(plugin.resolveId(CLIENT_MODULE_ID)).toBeUndefined();
+    });
+
+    it("should be off unless enabled", async () => {
+      const plugin = viteNodeApi({ apiDir: testApiDir });
+      expect(plugin.resolveId(CLIENT_MODULE_ID)).toBeUndefined();
+      await plugin.buildStart();
+      expect(fs.existsSync(path.resolve("src/vite-node-api-client.d.ts"))).toBe(false);
+    });
+
+    it("should skip routes that fail to load", async () => {
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const routes = await scanRoutes(testApiDir);
+      const failing = routes.find((route) => route.pattern === "/create-user");
+      const collected = await collectClientRoutes(routes, (file) =>
+        file === failing.file ? Promise.reject(new Error("DATABASE_URL is not set")) : load(file)
+      );
+      expect(collected.map((r) => r.path)).not.toContain("/api/create-user");
+      expect(collected).toHaveLength(clientRoutes.length - 1);
+      expect(warn.mock.calls[0][0]).toContain("DATABASE_URL is not set");
+      warn.mockRestore();
+    });
+
+    it("should write type declarations on build start", async () => {
+      const plugin = viteNodeApi({ apiDir: testApiDir, client: { dts } });
+      await plugin.buildStart();
+      expect(fs.readFileSync(dts, "utf8")).toContain("createUser");
+    });
+
+    it("should regenerate the client when route files are added", async () => {
+      const plugin = viteNodeApi({ apiDir: testApiDir, client: { dts } });
+      const listeners = {};
+      const mod = {};
+      const server = {
+        watcher: { on: (event, fn) => (listeners[event] = fn) },
+        moduleGraph: {
+          getModuleById: jest.fn(() => mod),
+          invalidateModule: jest.fn(),
+        },
+        ws: { send: jest.fn() },
+        middlewares: { use() {} },
+      };
+      jest.spyOn(console, "log").mockImplementation(() => {});
+      plugin.configureServer(server);
+
+      const file = path.join(testApiDir, "orders.js");
+      fs.writeFileSync(file, `export default () => []`);
+      listeners.add(file);
+
+      expect(server.moduleGraph.invalidateModule).toHaveBeenCalledWith(mod);
+      expect(server.ws.send).toHaveBeenCalledWith({ type: "full-reload" });
+      expect(await plugin.load(RESOLVED_CLIENT_MODULE_ID)).toContain('"/api/orders"');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(fs.readFileSync(dts, "utf8")).toContain("orders:");
+
+      fs.rmSync(file);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import { EventEmitter } from "events";
+import os from "os";
+import { resolveWorkerCount, startCluster } from "../src/runtime/cluster.js";
+import { CLUSTER_WORKER_ENV } from "../src/ratelimit.js";
+
+/**
+ * In-memory stand-in for node:cluster recording what happens to workers
+ * @returns {{ cluster: Object, events: string[], forked: Array<EventEmitter> }}
+ */
+function createFakeCluster() {
+  const events = [];
+  const forked = [];
+  let pid = 100;
+
+  const cluster = {
+    fork(env) {
+      const worker = new EventEmitter();
+      worker.env = env;
+      worker.process = {
+        pid: ++pid,
+        kill(signal) {
+          events.push(`${signal} ${worker.process.pid}`);
+          setImmediate(() => worker.crash(0));
+        },
+      };
+      worker.dead = false;
+      worker.isDead = () => worker.dead;
+      worker.crash = (code = 1) => {
+        worker.dead = true;
+        worker.emit("exit", code, null);
+      };
+      events.push(`fork ${worker.process.pid}`);
+      forked.push(worker);
+      setImmediate(() => {
+        if (!worker.dead) worker.emit("listening");
+      });
+      return worker;
+    },
+  };
+  return { cluster, events, forked };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Cluster mode", () => {
+  let warn;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("should resolve the worker count", () => {
+    expect(resolveWorkerCount("auto")).toBe(os.availableParallelism());
+    expect(resolveWorkerCount(3)).toBe(3);
+    expect(resolveWorkerCount("2")).toBe(2);
+    expect(resolveWorkerCount(undefined)).toBe(1);
+    expect(resolveWorkerCount(0)).toBe(1);
+  });
+
+  it("should fork the requested number of workers", async () => {
+    const { cluster } = createFakeCluster();
+    const controller = startCluster({ workers: 3, cluster, handleSignals: false });
+    expect(controller.workers()).toHaveLength(3);
+    // Workers use the primary's rate limit store only when it is this one
+    expect(controller.workers()[0].env).toEqual({ [CLUSTER_WORKER_ENV]: "1" });
+    await controller.shutdown();
+    expect(controller.workers()).toHaveLength(0);
+  });
+
+  it("should restart crashed workers with growing backoff", async () => {
+    const { cluster, forked } = createFakeCluster();
+    const controller = startCluster({
+      workers: 1,
+      cluster,
+      backoff: { initial: 5, max: 20 },
+      handleSignals: false,
+    });
+
+    for (let i = 0; i < 4; i++) {
+      forked.at(-1).crash();
+      await wait(40);
+    }
+    const delays = warn.mock.calls.map(([msg]) => Number(/in (\d+)ms/.exec(msg)[1]));
+    expect(delays).toEqual([5, 10, 20, 20]);
+    expect(forked).toHaveLength(5);
+    expect(controller.workers()).toHaveLength(1);
+    await controller.shutdown();
+  });
+
+  it("should reset the backoff after a worker ran stably", async () => {
+    const { cluster, forked } = createFakeCluster();
+    const controller = startCluster({
+      workers: 1,
+      cluster,
+      backoff: { initial: 5, max: 100, stable: 20 },
+      handleSignals: false,
+    });
+
+    forked.at(-1).crash();
+    await wait(10);
+    forked.at(-1).crash();
+    await wait(40);
+    forked.at(-1).crash();
+    await wait(10);
+
+    const delays = warn.mock.calls.map(([msg]) => Number(/in (\d+)ms/.exec(msg)[1]));
+    expect(delays).toEqual([5, 10, 5]);
+    await controller.shutdown();
+  });
+
+  it("should replace workers one at a time on a rolling restart", async () => {
+    const { cluster, events } = createFakeCluster();
+    const controller = startCluster({ workers: 2, cluster, handleSignals: false });
+    events.length = 0;
+
+    await controller.restart();
+
+    // Each old worker only stops after its replacement is listening
+    expect(events).toEqual(["fork 103", "SIGTERM 101", "fork 104", "SIGTERM 102"]);
+    expect(controller.workers().map((w) => w.process.pid)).toEqual([103, 104]);
+    expect(warn).not.toHaveBeenCalled();
+    await controller.shutdown();
+  });
+
+  it("should keep the old worker when its replacement fails to start", async () => {
+    const { cluster, forked, events } = createFakeCluster();
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const controller = startCluster({
+      workers: 1,
+      cluster,
+      backoff: { initial: 1000 },
+      handleSignals: false,
+    });
+
+    const restarting = controller.restart();
+    forked.at(-1).crash();
+    await restarting;
+
+    expect(events).not.toContain("SIGTERM 101");
+    expect(error).toHaveBeenCalledWith(expect.stringContaining("rolling restart aborted"));
+    await controller.shutdown();
+  });
+
+  it("should not restart workers after shutdown", async () => {
+    const { cluster, forked } = createFakeCluster();
+    const controller = startCluster({
+      workers: 2,
+      cluster,
+      backoff: { initial: 1 },
+      handleSignals: false,
+    });
+    await controller.shutdown();
+    await wait(10);
+    expect(forked).toHaveLength(2);
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
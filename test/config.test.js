@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from "@jest/globals";
+import {
+  createRuntimeConfig,
+  loadRuntimeConfig,
+  writeRuntimeConfig,
+} from "../src/config.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const serverDir = path.join(__dirname, "..", "test-fixtures", "config-server");
+
+describe("Runtime config", () => {
+  beforeEach(() => fs.mkdirSync(serverDir, { recursive: true }));
+  afterEach(() => fs.rmSync(serverDir, { recursive: true, force: true }));
+
+  it("should carry every runtime option through config.json", () => {
+    writeRuntimeConfig(
+      serverDir,
+      createRuntimeConfig({
+        apiDir: "server/routes",
+        port: 3000,
+        timeout: 5000,
+        bodyLimit: 2048,
+        cors: { origin: [/\.example\.com$/], credentials: true },
+        uploads: { dir: "/var/uploads", files: 2 },
+      })
+    );
+
+    const config = loadRuntimeConfig(serverDir, {});
+    expect(config).toMatchObject({
+      apiDir: path.join(serverDir, "routes"),
+      port: 3000,
+      timeout: 5000,
+      bodyLimit: 2048,
+      uploads: { dir: "/var/uploads", files: 2 },
+    });
+    expect(config.cors.credentials).toBe(true);
+    expect(config.cors.origin[0]).toEqual(/\.example\.com$/);
+  });
+
+  it("should point the runtime at a bundled CORS origin module", () => {
+    writeRuntimeConfig(serverDir, createRuntimeConfig({ cors: { origin: "server/origin.ts" } }));
+    expect(loadRuntimeConfig(serverDir, {}).cors.origin).toBe(path.join(serverDir, "cors-origin.js"));
+    expect(() => createRuntimeConfig({ cors: { origin: () => true } })).toThrow(TypeError);
+  });
+
+  it("should point the runtime at a bundled logger module", () => {
+    expect(createRuntimeConfig({ logger: "server/logger.ts" }).logger).toBe("logger.js");
+    expect(createRuntimeConfig({ logger: "pretty" }).logger).toBe("pretty");
+    expect(createRuntimeConfig({ logger: false }).logger).toBe(false);
+  });
+
+  it("should keep the cookie secret out of config.json", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    writeRuntimeConfig(serverDir, createRuntimeConfig({ cookies: { secret: "s3cret" } }));
+    expect(fs.readFileSync(path.join(serverDir, "config.json"), "utf-8")).not.toContain("s3cret");
+    expect(warn.mock.calls[0][0]).toContain("VITE_NODE_API_COOKIE_SECRET");
+
+    warn.mockClear();
+    expect(loadRuntimeConfig(serverDir, {}).cookies).toEqual({ signed: true });
+    expect(warn.mock.calls[0][0]).toContain("signed cookies are unavailable");
+    expect(loadRuntimeConfig(serverDir, { VITE_NODE_API_COOKIE_SECRET: "s3cret" }).cookies).toEqual({
+      secret: ["s3cret"],
+    });
+    warn.mockRestore();
+  });
+
+  it("should keep JWT keys out of config.json", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    writeRuntimeConfig(
+      serverDir,
+      createRuntimeConfig({ auth: { secret: "hs256-key", publicKey: "PEM", issuer: "https://a.test" } })
+    );
+    const json = fs.readFileSync(path.join(serverDir, "config.json"), "utf-8");
+    expect(json).not.toContain("hs256-key");
+    expect(json).not.toContain("PEM");
+    expect(warn.mock.calls[0][0]).toContain("VITE_NODE_API_JWT_SECRET");
+
+    expect(loadRuntimeConfig(serverDir, {}).auth).toEqual({ issuer: "https://a.test" });
+    expect(loadRuntimeConfig(serverDir, { VITE_NODE_API_JWT_SECRET: "hs256-key" }).auth).toEqual({
+      issuer: "https://a.test",
+      secret: "hs256-key",
+    });
+    warn.mockRestore();
+  });
+
+  it("should fall back to defaults without a config file", () => {
+    expect(loadRuntimeConfig(serverDir, {})).toEqual({
+      apiDir: path.join(serverDir, "api"),
+      port: 4173,
+      timeout: 30_000,
+      bodyLimit: 1_000_000,
+      cors: null,
+      workers: 1,
+      drainTimeout: 10_000,
+      health: {},
+      logger: "json",
+      rateLimit: false,
+      cookies: {},
+      session: false,
+      auth: {},
+    });
+  });
+
+  it("should carry rate limit keys and store modules", () => {
+    writeRuntimeConfig(
+      serverDir,
+      createRuntimeConfig({
+        rateLimit: {
+          algorithm: "token-bucket",
+          limit: 10,
+          key: "server/api-key.ts",
+          store: "server/redis-store.ts",
+        },
+      })
+    );
+
+    const config = loadRuntimeConfig(serverDir, {});
+    expect(config.rateLimit).toMatchObject({
+      algorithm: "token-bucket",
+      limit: 10,
+      window: 60_000,
+      store: path.join(serverDir, "rate-limit-store.js"),
+    });
+    expect(config.rateLimit.key).toBe(path.join(serverDir, "rate-limit-key.js"));
+    expect(() => createRuntimeConfig({ rateLimit: { key: (req) => req.ip } })).toThrow(
+      "rateLimit.key functions can't reach the production server"
+    );
+
+    expect(loadRuntimeConfig(serverDir, { VITE_NODE_API_RATE_LIMIT: "50" }).rateLimit.limit).toBe(50);
+    expect(loadRuntimeConfig(serverDir, { VITE_NODE_API_RATE_LIMIT: "false" }).rateLimit).toBe(false);
+  });
+
+  it("should let environment variables override individual values", () => {
+    writeRuntimeConfig(
+      serverDir,
+      createRuntimeConfig({ port: 3000, timeout: 5000, cors: { credentials: true } })
+    );
+
+    const config = loadRuntimeConfig(serverDir, {
+      PORT: "8080",
+      VITE_NODE_API_BODY_LIMIT: "10",
+      VITE_NODE_API_UPLOAD_DIR: "/tmp/up",
+      VITE_NODE_API_UPLOAD_FILES: "3",
+      VITE_NODE_API_CORS: "https://a.test, https://b.test",
+    });
+    expect(config).toMatchObject({
+      port: 8080,
+      timeout: 5000,
+      bodyLimit: 10,
+      uploads: { dir: "/tmp/up", files: 3 },
+      cors: { origin: ["https://a.test", "https://b.test"], credentials: true },
+    });
+
+    expect(loadRuntimeConfig(serverDir, { VITE_NODE_API_PORT: "9000", PORT: "8080" }).port).toBe(9000);
+    expect(loadRuntimeConfig(serverDir, { VITE_NODE_API_CORS: "false" }).cors).toBeNull();
+    expect(loadRuntimeConfig(serverDir, { VITE_NODE_API_WORKERS: "auto" }).workers).toBe("auto");
+    expect(loadRuntimeConfig(serverDir, { VITE_NODE_API_WORKERS: "4" }).workers).toBe(4);
+    expect(loadRuntimeConfig(serverDir, { VITE_NODE_API_LOG: "false" }).logger).toBe(false);
+    expect(
+      loadRuntimeConfig(serverDir, {
+        VITE_NODE_API_JWT_SECRET: "jwt",
+        VITE_NODE_API_JWT_PUBLIC_KEY: "-----BEGIN PUBLIC KEY-----\\nabc",
+      }).auth
+    ).toEqual({ secret: "jwt", publicKey: "-----BEGIN PUBLIC KEY-----\nabc" });
+    expect(loadRuntimeConfig(serverDir, { VITE_NODE_API_COOKIE_SECRET: "new,old" }).cookies).toEqual({
+      secret: ["new", "old"],
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import { parseCookies, serializeCookie, signCookie, unsignCookie } from "../src/cookies.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "cookies-api");
+const clientDir = path.join(testApiDir, "no-client");
+
+const fixtures = {
+  "echo.js": `export default (req) => ({ cookies: req.cookies, signed: req.signedCookies })`,
+  "login.js": `
+    export const POST = (req, res) => {
+      res
+        .setCookie("session", "abc", { signed: true, httpOnly: true, sameSite: "lax", maxAge: 3600 })
+        .setCookie("theme", "dark mode");
+      return { ok: true };
+    };
+    export const DELETE = (req, res) => {
+      res.clearCookie("session");
+      return { ok: true };
+    };`,
+};
+
+const cookies = { secret: ["current-secret", "old-secret"] };
+
+describe("Cookies", () => {
+  const servers = {};
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    servers.dev = await startDev(viteNodeApi({ apiDir: testApiDir, client: false, cookies }));
+    servers.production = await startRuntime({ apiDir: testApiDir, clientDir, cookies });
+  });
+
+  afterAll(async () => {
+    await servers.dev.close();
+    await servers.production.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  it("should parse cookie headers", () => {
+    expect({ ...parseCookies('a=1; b="quoted"; c=%E2%9C%93; d=%zz; a=2; junk') }).toEqual({
+      a: "1",
+      b: "quoted",
+      c: "✓",
+      d: "%zz",
+    });
+    expect({ ...parseCookies(undefined) }).toEqual({});
+  });
+
+  it("should serialize every attribute", () => {
+    expect(
+      serializeCookie("id", "a b", {
+        maxAge: 60,
+        expires: new Date(Date.UTC(2030, 0, 1)),
+        domain: "example.com",
+        path: "/app",
+        httpOnly: true,
+        secure: true,
+        partitioned: true,
+        priority: "high",
+        sameSite: "none",
+      })
+    ).toBe(
+      "id=a%20b; Max-Age=60; Expires=Tue, 01 Jan 2030 00:00:00 GMT; Domain=example.com; Path=/app; HttpOnly; Secure; Partitioned; Priority=High; SameSite=None"
+    );
+    expect(serializeCookie("id", "1", { sameSite: true })).toBe("id=1; Path=/; SameSite=Strict");
+    expect(() => serializeCookie("bad name", "1")).toThrow("Invalid cookie name");
+    expect(() => serializeCookie("id", "1", { path: "/; Domain=evil" })).toThrow("Invalid cookie path");
+    expect(() => serializeCookie("id", "1", { sameSite: "sometimes" })).toThrow("Invalid cookie sameSite");
+  });
+
+  it("should verify signatures with any secret", () => {
+    const signed = signCookie("user.42", "old-secret");
+    expect(unsignCookie(signed, ["current-secret", "old-secret"])).toBe("user.42");
+    expect(unsignCookie(signed, ["current-secret"])).toBe(false);
+    expect(unsignCookie(signed.replace("42", "43"), ["old-secret"])).toBe(false);
+    expect(unsignCookie("user.42", ["old-secret"])).toBe(false);
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const request = (url, init) => servers[mode].request(url, init);
+
+    it("should set signed and plain cookies", async () => {
+      // One header per cookie (the request helper merges repeated headers)
+      const res = await fetch(servers[mode].url + "/api/login", { method: "POST" });
+      const [session, theme] = res.headers.getSetCookie();
+      expect(session).toMatch(
+        /^session=s%3Aabc\.[\w-]+; Max-Age=3600; Path=\/; HttpOnly; SameSite=Lax$/
+      );
+      expect(theme).toBe("theme=dark%20mode; Path=/");
+
+      const cookie = `${session.split(";")[0]}; theme=dark%20mode`;
+      expect((await request("/api/echo", { headers: { cookie } })).body).toEqual({
+        cookies: { theme: "dark mode" },
+        signed: { session: "abc" },
+      });
+    });
+
+    it("should report tampered signed cookies as false", async () => {
+      const cookie = `session=${encodeURIComponent(signCookie("admin", "guessed"))}`;
+      expect((await request("/api/echo", { headers: { cookie } })).body).toEqual({
+        cookies: {},
+        signed: { session: false },
+      });
+    });
+
+    it("should clear cookies", async () => {
+      const res = await request("/api/login", { method: "DELETE" });
+      expect(res.headers["set-cookie"]).toBe(
+        "session=; Max-Age=0; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/"
+      );
+    });
+  });
+
+  it("should refuse to sign without a secret", async () => {
+    const runtime = await startRuntime({ apiDir: testApiDir, clientDir });
+    const res = await runtime.request("/api/login", { method: "POST" });
+    expect(res.status).toBe(500);
+    await runtime.close();
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import { resolveCorsOptions, reviveCors, serializeCors } from "../src/cors.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "cors-api");
+
+const fixtures = {
+  "hello.js": `export const GET = () => ({ hello: "world" })`,
+  "_origin.js": `export default (origin) => origin.endsWith(".trusted.dev")`,
+};
+
+const configs = {
+  open: true,
+  list: {
+    origin: ["https://app.example.com", /\.preview\.example\.com$/],
+    credentials: true,
+    exposedHeaders: ["X-Total-Count"],
+    maxAge: 600,
+  },
+  predicate: {
+    origin: path.join(testApiDir, "_origin.js"),
+    allowedHeaders: ["Content-Type", "Authorization"],
+  },
+};
+
+describe("CORS", () => {
+  const servers = {};
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    for (const [name, cors] of Object.entries(configs)) {
+      servers[name] = {
+        dev: await startDev(viteNodeApi({ apiDir: testApiDir, cors, client: false })),
+        // Same path a build takes: serialized by the plugin, revived by entry.mjs
+        production: await startRuntime({
+          apiDir: testApiDir,
+          clientDir: path.join(testApiDir, "no-client"),
+          cors: reviveCors(JSON.parse(JSON.stringify(serializeCors(resolveCorsOptions(cors))))),
+        }),
+      };
+    }
+  });
+
+  afterAll(async () => {
+    for (const modes of Object.values(servers)) {
+      await modes.dev.close();
+      await modes.production.close();
+    }
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const request = (config, init) => servers[config][mode].request("/api/hello", init);
+
+    it("should allow any origin with cors: true", async () => {
+      const res = await request("open", { headers: { Origin: "https://a.test" } });
+      expect(res.status).toBe(200);
+      expect(res.headers["access-control-allow-origin"]).toBe("*");
+      expect(res.headers.vary).toBeUndefined();
+    });
+
+    it("should echo requested headers on preflight", async () => {
+      const res = await request("open", {
+        method: "OPTIONS",
+        headers: {
+          Origin: "https://a.test",
+          "Access-Control-Request-Method": "PUT",
+          "Access-Control-Request-Headers": "x-api-key, content-type",
+        },
+      });
+      expect(res.status).toBe(204);
+      expect(res.headers["access-control-allow-headers"]).toBe("x-api-key, content-type");
+      expect(res.headers.vary).toBe("Access-Control-Request-Headers");
+    });
+
+    it("should echo listed and matching origins with credentials", async () => {
+      for (const origin of ["https://app.example.com", "https://pr-1.preview.example.com"]) {
+        const res = await request("list", { headers: { Origin: origin } });
+        expect(res.headers["access-control-allow-origin"]).toBe(origin);
+        expect(res.headers["access-control-allow-credentials"]).toBe("true");
+        expect(res.headers["access-control-expose-headers"]).toBe("X-Total-Count");
+        expect(res.headers.vary).toBe("Origin");
+      }
+    });
+
+    it("should not allow origins outside the list", async () => {
+      const res = await request("list", { headers: { Origin: "https://evil.test" } });
+      expect(res.status).toBe(200);
+      expect(res.headers["access-control-allow-origin"]).toBeUndefined();
+      expect(res.headers["access-control-allow-credentials"]).toBeUndefined();
+      expect(res.headers.vary).toBe("Origin");
+    });
+
+    it("should send max-age on preflight only", async () => {
+      const preflight = await request("list", {
+        method: "OPTIONS",
+        headers: { Origin: "https://app.example.com", "Access-Control-Request-Method": "POST" },
+      });
+      expect(preflight.status).toBe(204);
+      expect(preflight.headers["access-control-max-age"]).toBe("600");
+      expect(preflight.headers["access-control-expose-headers"]).toBeUndefined();
+
+      const actual = await request("list", { headers: { Origin: "https://app.example.com" } });
+      expect(actual.headers["access-control-max-age"]).toBeUndefined();
+    });
+
+    it("should ask a predicate and send configured allowed headers", async () => {
+      const allowed = await request("predicate", {
+        method: "OPTIONS",
+        headers: {
+          Origin: "https://api.trusted.dev",
+          "Access-Control-Request-Headers": "x-anything",
+        },
+      });
+      expect(allowed.headers["access-control-allow-origin"]).toBe("https://api.trusted.dev");
+      expect(allowed.headers["access-control-allow-headers"]).toBe("Content-Type,Authorization");
+      expect(allowed.headers.vary).toBe("Origin");
+
+      const denied = await request("predicate", { headers: { Origin: "https://other.dev" } });
+      expect(denied.headers["access-control-allow-origin"]).toBeUndefined();
+    });
+  });
+
+  it("should ask inline predicates in dev", async () => {
+    const dev = await startDev(
+      viteNodeApi({ apiDir: testApiDir, cors: { origin: (o) => o === "https://x.test" } })
+    );
+    const res = await dev.request("/api/hello", { headers: { Origin: "https://x.test" } });
+    expect(res.headers["access-control-allow-origin"]).toBe("https://x.test");
+    await dev.close();
+  });
+
+  it("should refuse to serialize predicate functions", () => {
+    const allowed = ["https://x.test"];
+    expect(() => serializeCors({ origin: (o) => allowed.includes(o) })).toThrow(
+      "cors.origin functions can't reach the production server"
+    );
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import { createServer } from "vite";
+import viteNodeApi from "../src/index.js";
+import { writeFixtures } from "./helpers.js";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, "..", "test-fixtures", "dev-server");
+const apiDir = path.join(root, "server", "api");
+
+const fixtures = {
+  "server/lib/greeting.js": `export const greeting = "hello";`,
+  "server/api/greet.js": `
+    import { greeting } from "@lib/greeting.js";
+    export default () => ({ greeting, mode: import.meta.env.MODE });
+  `,
+  "server/api/counter.ts": `
+    let hits: number = 0;
+    export default () => ({ hits: ++hits });
+  `,
+};
+
+describe("Vite dev server", () => {
+  let vite;
+  let server;
+  let baseUrl;
+
+  const get = async (url) => (await fetch(baseUrl + url)).json();
+
+  beforeAll(async () => {
+    writeFixtures(root, fixtures);
+    vite = await createServer({
+      root,
+      configFile: false,
+      logLevel: "silent",
+      resolve: { alias: { "@lib": path.join(root, "server", "lib") } },
+      server: { middlewareMode: true, hmr: false },
+      plugins: [viteNodeApi({ apiDir, client: false })],
+    });
+    server = http.createServer(vite.middlewares);
+    await new Promise((resolve) => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await vite.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("should resolve aliases and import.meta.env in routes", async () => {
+    expect(await get("/api/greet")).toEqual({ greeting: "hello", mode: "development" });
+  });
+
+  it("should reuse unchanged modules between requests", async () => {
+    expect(await get("/api/counter")).toEqual({ hits: 1 });
+    expect(await get("/api/counter")).toEqual({ hits: 2 });
+  });
+
+  it("should reload routes when an imported helper changes", async () => {
+    const helper = path.join(root, "server", "lib", "greeting.js");
+    fs.writeFileSync(helper, `export const greeting = "bonjour";`);
+    vite.watcher.emit("change", helper);
+
+    expect((await get("/api/greet")).greeting).toBe("bonjour");
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from "@jest/globals";
+import viteNodeApi, { HttpError, createError } from "../src/index.js";
+import { isHttpError, toErrorResponse } from "../src/errors.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, "..", "test-fixtures", "errors");
+const testApiDir = path.join(root, "api");
+const hookedApiDir = path.join(root, "hooked");
+const clientDir = path.join(root, "no-client");
+
+/** Import the errors module from a fixture `depth` folders below test-fixtures/errors */
+const errors = (depth) =>
+  `import { HttpError, createError } from "${"../".repeat(depth + 2)}src/errors.js";`;
+
+const fixtures = {
+  "api/users/[id].js": `${errors(2)}
+    export const GET = (req) => { throw new HttpError(404, "User " + req.params.id + " not found") }
+    export const POST = () => { throw createError(422, "Invalid user", { field: "email" }) }`,
+  "api/upstream.js": `${errors(1)}
+    export default () => { throw createError(502, "payments.internal:8080 refused") }`,
+  "api/boom.js": `export default () => { throw new Error("db password rejected") }`,
+  "api/echo.js": `export const POST = (req) => req.body`,
+  "hooked/_error.js": `
+    export default (err, req, res, { status, body }) => {
+      (globalThis.reportedErrors ||= []).push(err.message);
+      if (status === 418) {
+        res.statusCode = 503;
+        res.end("teapot unavailable");
+        return;
+      }
+      if (status === 500) throw new Error("reporter down");
+      return { message: body.error, code: status, requestId: req.id };
+    }`,
+  "hooked/missing.js": `${errors(1)}
+    export default () => { throw new HttpError(404) }`,
+  "hooked/teapot.js": `${errors(1)}
+    export default () => { throw new HttpError(418) }`,
+  "hooked/boom.js": `export default () => { throw new Error("boom") }`,
+};
+
+describe("Error responses", () => {
+  const servers = {};
+  let consoleError;
+
+  beforeAll(async () => {
+    writeFixtures(root, fixtures);
+    consoleError = jest.spyOn(console, "error").mockImplementation(() => {});
+    servers.dev = await startDev(viteNodeApi({ apiDir: testApiDir, client: false }));
+    servers.production = await startRuntime({ apiDir: testApiDir, clientDir });
+    servers.hooked = await startRuntime({ apiDir: hookedApiDir, clientDir });
+  });
+
+  afterAll(async () => {
+    consoleError.mockRestore();
+    await servers.dev.close();
+    await servers.production.close();
+    await servers.hooked.close();
+    fs.rmSync(root, { recursive: true, force: true });
+    delete globalThis.reportedErrors;
+  });
+
+  it("should create branded errors with status text defaults", () => {
+    const err = createError(404);
+    expect(err).toBeInstanceOf(HttpError);
+    expect(err).toMatchObject({ status: 404, message: "Not Found", expose: true });
+    expect(createError(503).expose).toBe(false);
+    expect(isHttpError(err)).toBe(true);
+    expect(isHttpError(Object.assign(new Error("x"), { status: 400 }))).toBe(false);
+    expect(toErrorResponse(new Error("secret"), { expose: false })).toEqual({
+      status: 500,
+      body: { error: "Internal Server Error" },
+    });
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const request = (url, init) => servers[mode].request(url, init);
+
+    it("should answer thrown HttpErrors with their status and message", async () => {
+      expect(await request("/api/users/7")).toMatchObject({
+        status: 404,
+        body: { error: "User 7 not found" },
+      });
+    });
+
+    it("should include details", async () => {
+      expect(await request("/api/users/7", { method: "POST" })).toMatchObject({
+        status: 422,
+        body: { error: "Invalid user", details: { field: "email" } },
+      });
+    });
+
+    it("should keep body parsing errors as 400", async () => {
+      const res = await request("/api/echo", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: "{oops",
+      });
+      expect(res).toMatchObject({ status: 400, body: { error: "Invalid JSON body" } });
+    });
+
+    it("should log unexpected errors with their stack", async () => {
+      consoleError.mockClear();
+      expect((await request("/api/boom")).status).toBe(500);
+      expect(consoleError).toHaveBeenCalledWith(
+        expect.stringContaining("GET /api/boom failed"),
+        expect.objectContaining({ message: "db password rejected", stack: expect.any(String) })
+      );
+    });
+  });
+
+  it("should show internal messages in dev only", async () => {
+    expect((await servers.dev.request("/api/boom")).body).toEqual({
+      error: "db password rejected",
+    });
+    expect((await servers.production.request("/api/boom")).body).toEqual({
+      error: "Internal Server Error",
+    });
+    expect((await servers.dev.request("/api/upstream")).body.error).toContain("payments.internal");
+    expect(await servers.production.request("/api/upstream")).toMatchObject({
+      status: 502,
+      body: { error: "Bad Gateway" },
+    });
+  });
+
+  describe("_error.js hook", () => {
+    it("should shape the response body", async () => {
+      const res = await servers.hooked.request("/api/missing");
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({
+        message: "Not Found",
+        code: 404,
+        requestId: res.headers["x-request-id"],
+      });
+      expect(globalThis.reportedErrors).toContain("Not Found");
+    });
+
+    it("should let the hook answer itself", async () => {
+      const res = await servers.hooked.request("/api/teapot");
+      expect(res).toMatchObject({ status: 503, body: "teapot unavailable" });
+    });
+
+    it("should fall back to the default response when the hook throws", async () => {
+      consoleError.mockClear();
+      const res = await servers.hooked.request("/api/boom");
+      expect(res).toMatchObject({ status: 500, body: { error: "Internal Server Error" } });
+      expect(consoleError).toHaveBeenCalledWith(
+        "❌ vite-node-api: _error.js failed:",
+        expect.objectContaining({ message: "reporter down" })
+      );
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from "@jest/globals";
+import WebSocket from "ws";
+import viteNodeApi from "../src/index.js";
+import { createHealthHandler } from "../src/health.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "health-api");
+const clientDir = path.join(testApiDir, "no-client");
+
+const fixtures = {
+  "_health.js": `
+    export const live = { memory: () => true };
+    export const ready = {
+      database: () => {
+        if (globalThis.databaseDown) throw new Error("connection refused");
+      },
+      cache: () => !globalThis.cacheDown,
+    };
+  `,
+  "slow.js": `export default () => new Promise((r) => setTimeout(() => r({ done: true }), 150))`,
+  "hang.js": `export default () => new Promise(() => {})`,
+  "chat.js": `export const websocket = { open: (ws) => ws.send("hi") }`,
+};
+
+describe("Health endpoints and graceful shutdown", () => {
+  const servers = {};
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    servers.dev = await startDev(viteNodeApi({ apiDir: testApiDir, client: false }));
+    servers.production = await startRuntime({ apiDir: testApiDir, clientDir });
+  });
+
+  afterAll(async () => {
+    await servers.dev.close();
+    await servers.production.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const get = (pathname) => servers[mode].request(pathname);
+
+    it("should answer liveness with the live checks", async () => {
+      const res = await get("/_health");
+      expect(res.status).toBe(200);
+      expect(res.headers["cache-control"]).toBe("no-store");
+      expect(res.body).toEqual({ status: "ok", checks: { memory: "ok" } });
+    });
+
+    it("should report failing readiness checks with 503", async () => {
+      expect((await get("/_ready")).body).toEqual({
+        status: "ok",
+        checks: { database: "ok", cache: "ok" },
+      });
+
+      globalThis.databaseDown = true;
+      globalThis.cacheDown = true;
+      const res = await get("/_ready");
+      delete globalThis.databaseDown;
+      delete globalThis.cacheDown;
+
+      expect(res.status).toBe(503);
+      expect(res.body).toEqual({
+        status: "error",
+        checks: { database: "connection refused", cache: "failed" },
+      });
+    });
+  });
+
+  it("should serve configurable paths and allow disabling", async () => {
+    const custom = await startRuntime({
+      apiDir: testApiDir,
+      clientDir,
+      health: { live: "/healthz", ready: "/readyz" },
+    });
+    const disabled = await startRuntime({ apiDir: testApiDir, clientDir, health: false });
+
+    expect((await custom.request("/healthz")).status).toBe(200);
+    expect((await custom.request("/readyz")).status).toBe(200);
+    expect((await custom.request("/_health")).status).toBe(404);
+    expect((await disabled.request("/_health")).status).toBe(404);
+
+    await custom.close();
+    await disabled.close();
+  });
+
+  it("should fail readiness without running checks while draining", async () => {
+    const load = jest.fn();
+    const check = createHealthHandler({
+      health: { live: "/_health", ready: "/_ready" },
+      apiDir: testApiDir,
+      load,
+      isDraining: () => true,
+    });
+    const res = { writeHead: jest.fn(), end: jest.fn() };
+
+    expect(await check({ method: "GET" }, res, "/_ready")).toBe(true);
+    expect(res.writeHead).toHaveBeenCalledWith(503, expect.any(Object));
+    expect(JSON.parse(res.end.mock.calls[0][0])).toEqual({ status: "draining" });
+    expect(load).not.toHaveBeenCalled();
+  });
+
+  it("should let in-flight requests finish before closing", async () => {
+    const runtime = await startRuntime({ apiDir: testApiDir, clientDir });
+    const pending = runtime.request("/api/slow");
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    await runtime.server.shutdown(5000);
+    expect(await pending).toMatchObject({ status: 200, body: { done: true } });
+    await expect(runtime.request("/_health")).rejects.toThrow();
+  });
+
+  it("should close remaining connections after the drain timeout", async () => {
+    const runtime = await startRuntime({ apiDir: testApiDir, clientDir });
+    const pending = runtime.request("/api/hang");
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    const started = Date.now();
+    await runtime.server.shutdown(100);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+    await expect(pending).rejects.toThrow();
+  });
+
+  it("should close WebSockets with 1001 on shutdown", async () => {
+    const runtime = await startRuntime({ apiDir: testApiDir, clientDir });
+    const ws = new WebSocket(runtime.url.replace("http", "ws") + "/api/chat");
+    await new Promise((resolve) => ws.once("message", resolve));
+    const closed = new Promise((resolve) => ws.once("close", resolve));
+
+    await runtime.server.shutdown(1000);
+    expect(await closed).toBe(1001);
+  });
+});
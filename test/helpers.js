@@ -0,0 +1,128 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { createServer } from "../src/runtime/server.js";
+
+/**
+ * Write a map of `relative path → source` into a fixture directory
+ * @param {string} dir - Fixture directory (recreated from scratch)
+ * @param {Record<string, string>} files
+ */
+export function writeFixtures(dir, files) {
+  fs.rmSync(dir, { recursive: true, force: true });
+  for (const [rel, source] of Object.entries(files)) {
+    const file = path.join(dir, rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, source);
+  }
+}
+
+/**
+ * Decode a response body: JSON when declared as such, raw text otherwise
+ * @param {string} [contentType]
+ * @param {string|Buffer} [body]
+ * @returns {any}
+ */
+function parseBody(contentType, body) {
+  if (!body || !body.length) return undefined;
+  return contentType?.includes("json") ? JSON.parse(body) : String(body);
+}
+
+/**
+ * Run a request through the dev middleware of a plugin instance
+ * @param {import('vite').Plugin} plugin
+ * @param {{ url: string, method?: string, headers?: Object, body?: string }} options
+ * @returns {Promise<{ status: number, headers: Object, body: any, next: boolean }>}
+ */
+export async function devRequest(plugin, { url, method = "GET", headers = {}, body }) {
+  const mockServer = {
+    middlewares: { use: (handler) => (mockServer.handler = handler) },
+  };
+  plugin.configureServer(mockServer);
+
+  const res = {
+    statusCode: 200,
+    headers: {},
+    writableEnded: false,
+    setHeader: (name, value) => (res.headers[name.toLowerCase()] = value),
+    writeHead: (code) => (res.statusCode = code),
+    end: (data) => {
+      res.body = data;
+      res.writableEnded = true;
+    },
+  };
+  const req = {
+    url,
+    method,
+    headers: { host: "localhost:5173", ...headers },
+    setTimeout: () => {},
+    async *[Symbol.asyncIterator]() {
+      if (body !== undefined) yield Buffer.from(body);
+    },
+  };
+
+  let next = false;
+  await mockServer.handler(req, res, () => (next = true));
+  return {
+    status: res.statusCode,
+    headers: res.headers,
+    body: parseBody(res.headers["content-type"], res.body),
+    next,
+  };
+}
+
+/**
+ * Listen on a random port and wrap the server with a fetch-based requester
+ * @param {import('http').Server} server
+ * @returns {Promise<{ server: import('http').Server, url: string, request: (url: string, init?: RequestInit) => Promise<Object>, close: () => Promise<void> }>}
+ */
+async function listen(server) {
+  await new Promise((resolve) => server.listen(0, resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  return {
+    server,
+    url: baseUrl,
+    async request(url, init) {
+      const response = await fetch(baseUrl + url, init);
+      const text = await response.text();
+      return {
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        body: parseBody(response.headers.get("content-type"), text),
+      };
+    },
+    close: () => {
+      server.closeAllConnections?.();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Start the production runtime on a random port
+ * @param {import('../src/runtime/server.js').RuntimeServerOptions} options
+ * @returns {ReturnType<typeof listen>}
+ */
+export function startRuntime(options) {
+  return listen(createServer(options));
+}
+
+/**
+ * Serve the dev middleware of a plugin instance over real HTTP (for streaming)
+ * @param {import('vite').Plugin} plugin
+ * @returns {ReturnType<typeof listen>}
+ */
+export function startDev(plugin) {
+  let handler;
+  plugin.configureServer({ middlewares: { use: (fn) => (handler = fn) } });
+
+  return listen(
+    http.createServer((req, res) =>
+      handler(req, res, () => {
+        res.statusCode = 404;
+        res.end();
+      })
+    )
+  );
+}
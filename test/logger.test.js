@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import { formatPretty, resolveLogger } from "../src/logger.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, "..", "test-fixtures", "logger");
+const testApiDir = path.join(root, "api");
+
+const fixtures = {
+  "api/users/[id].js": `export const GET = (req) => ({ id: req.params.id, requestId: req.id })`,
+  "api/boom.js": `export default () => { throw new Error("boom") }`,
+  "sink.js": `export default (entry) => { (globalThis.sinkEntries ||= []).push(entry) }`,
+};
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+describe("Access logging", () => {
+  const servers = {};
+  const entries = { dev: [], production: [] };
+
+  beforeAll(async () => {
+    writeFixtures(root, fixtures);
+    servers.dev = await startDev(
+      viteNodeApi({ apiDir: testApiDir, client: false, logger: (e) => entries.dev.push(e) })
+    );
+    servers.production = await startRuntime({
+      apiDir: testApiDir,
+      clientDir: path.join(root, "no-client"),
+      logger: (e) => entries.production.push(e),
+    });
+  });
+
+  afterAll(async () => {
+    await servers.dev.close();
+    await servers.production.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const request = (url, headers) => servers[mode].request(url, { headers });
+    const lastEntry = () => entries[mode].at(-1);
+
+    it("should generate a request ID, expose it as req.id and echo it", async () => {
+      const res = await request("/api/users/42");
+      expect(res.headers["x-request-id"]).toMatch(UUID_RE);
+      expect(res.body.requestId).toBe(res.headers["x-request-id"]);
+    });
+
+    it("should keep a valid incoming X-Request-Id and replace an invalid one", async () => {
+      const kept = await request("/api/users/1", { "X-Request-Id": "edge-abc.123" });
+      expect(kept.headers["x-request-id"]).toBe("edge-abc.123");
+
+      const replaced = await request("/api/users/1", { "X-Request-Id": "bad id <script>" });
+      expect(replaced.headers["x-request-id"]).toMatch(UUID_RE);
+    });
+
+    it("should log method, path, route, status, duration and bytes", async () => {
+      const res = await request("/api/users/7?full=1");
+      expect(lastEntry()).toEqual({
+        time: expect.any(String),
+        id: res.headers["x-request-id"],
+        method: "GET",
+        path: "/api/users/7?full=1",
+        route: "users/[id].js",
+        status: 200,
+        duration: expect.any(Number),
+        bytes: Number(res.headers["content-length"]) || JSON.stringify(res.body).length,
+      });
+      expect(Number.isNaN(Date.parse(lastEntry().time))).toBe(false);
+    });
+
+    it("should log failures and unmatched routes", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      await request("/api/boom");
+      expect(lastEntry()).toMatchObject({ route: "boom.js", status: 500 });
+      console.error.mockRestore();
+
+      await request("/api/missing");
+      expect(lastEntry()).toMatchObject({ route: null, status: 404 });
+    });
+  });
+
+  it("should send entries to a logger module in dev", async () => {
+    const dev = await startDev(
+      viteNodeApi({ apiDir: testApiDir, client: false, logger: path.join(root, "sink.js") })
+    );
+    await dev.request("/api/users/5");
+    await dev.close();
+    expect(globalThis.sinkEntries).toEqual([
+      expect.objectContaining({ path: "/api/users/5", status: 200 }),
+    ]);
+  });
+
+  it("should write JSON lines and pretty lines", () => {
+    const entry = {
+      time: "2025-01-01T00:00:00.000Z",
+      id: "abc",
+      method: "GET",
+      path: "/api/users/7",
+      route: "users/[id].js",
+      status: 200,
+      duration: 1.25,
+      bytes: 2048,
+    };
+    const write = jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+    resolveLogger("json")(entry);
+    expect(write).toHaveBeenCalledWith(JSON.stringify(entry) + "\n");
+    write.mockRestore();
+
+    expect(formatPretty(entry)).toBe("✅ GET /api/users/7 200 1.25ms 2.0 kB → users/[id].js [abc]");
+    expect(resolveLogger(false)).toBeNull();
+    expect(() => resolveLogger("xml")).toThrow("Unknown vite-node-api logger: xml");
+  });
+});
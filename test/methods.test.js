@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import { getAllowedMethods, resolveHandler } from "../src/methods.js";
+import { devRequest, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "methods-api");
+
+const fixtures = {
+  "items.js": `
+    export const GET = () => ({ handler: "GET" });
+    export const POST = (req) => ({ handler: "POST", body: req.body });
+  `,
+  "mixed.js": `
+    export const DELETE = () => ({ handler: "DELETE" });
+    export default (req) => ({ handler: "default", method: req.method });
+  `,
+  "empty.js": `export const foo = "bar"`,
+};
+
+describe("Method dispatch", () => {
+  let runtime;
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    runtime = await startRuntime({
+      apiDir: testApiDir,
+      clientDir: path.join(testApiDir, "no-client"),
+    });
+  });
+
+  afterAll(async () => {
+    await runtime.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  describe("getAllowedMethods", () => {
+    it("should list named exports plus HEAD and OPTIONS", () => {
+      const mod = { GET() {}, POST() {} };
+      expect(getAllowedMethods(mod)).toEqual(["GET", "HEAD", "POST", "OPTIONS"]);
+    });
+
+    it("should ignore non-function exports", () => {
+      expect(getAllowedMethods({ PUT: "nope" })).toEqual(["OPTIONS"]);
+    });
+  });
+
+  describe("resolveHandler", () => {
+    it("should pick the named export for the method", () => {
+      const mod = { GET: () => "get", default: () => "default" };
+      expect(resolveHandler(mod, "GET").handler()).toBe("get");
+    });
+
+    it("should answer HEAD with the GET handler", () => {
+      const mod = { GET: () => "get" };
+      expect(resolveHandler(mod, "HEAD").handler()).toBe("get");
+    });
+
+    it("should fall back to the default export", () => {
+      const mod = { GET: () => "get", default: () => "default" };
+      expect(resolveHandler(mod, "PUT").handler()).toBe("default");
+    });
+
+    it("should return no handler for unsupported methods", () => {
+      const result = resolveHandler({ GET() {} }, "DELETE");
+      expect(result.handler).toBeUndefined();
+      expect(result.allow).toEqual(["GET", "HEAD", "OPTIONS"]);
+    });
+
+    it("should ask for an upgrade on WebSocket-only routes", () => {
+      const mod = { websocket: { message() {} } };
+      expect(resolveHandler(mod, "GET")).toEqual({ allow: ["OPTIONS"], upgrade: true });
+      expect(resolveHandler(mod, "POST")).toEqual({ allow: ["OPTIONS"] });
+    });
+
+    it("should throw when the module exports no handler", () => {
+      expect(() => resolveHandler({ foo: "bar" }, "GET")).toThrow(
+        "no default export or method handlers"
+      );
+    });
+  });
+
+  const requesters = {
+    dev: (options) => devRequest(viteNodeApi({ apiDir: testApiDir }), options),
+    production: ({ url, method, body }) => runtime.request(url, { method, body }),
+  };
+
+  describe.each(Object.keys(requesters))("%s server", (mode) => {
+    const request = (options) => requesters[mode](options);
+
+    it("should dispatch to named method handlers", async () => {
+      const res = await request({
+        url: "/api/items",
+        method: "POST",
+        body: JSON.stringify({ name: "x" }),
+      });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ handler: "POST", body: { name: "x" } });
+    });
+
+    it("should answer 405 with an Allow header", async () => {
+      const res = await request({ url: "/api/items", method: "DELETE" });
+      expect(res.status).toBe(405);
+      expect(res.headers.allow).toBe("GET, HEAD, POST, OPTIONS");
+      expect(res.body).toEqual({ error: "Method not allowed" });
+    });
+
+    it("should auto-answer OPTIONS", async () => {
+      const res = await request({ url: "/api/items", method: "OPTIONS" });
+      expect(res.status).toBe(204);
+      expect(res.headers.allow).toBe("GET, HEAD, POST, OPTIONS");
+    });
+
+    it("should fall back to the default export", async () => {
+      const named = await request({ url: "/api/mixed", method: "DELETE" });
+      expect(named.body).toEqual({ handler: "DELETE" });
+
+      const fallback = await request({ url: "/api/mixed", method: "PATCH", body: "{}" });
+      expect(fallback.body).toEqual({ handler: "default", method: "PATCH" });
+    });
+
+    it("should answer 500 for modules without handlers", async () => {
+      const res = await request({ url: "/api/empty" });
+      expect(res.status).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import { scanRoutes } from "../src/router.js";
+import { devRequest, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "middleware-api");
+
+const fixtures = {
+  "_middleware.js": `
+    export default (req) => {
+      req.trace = ["root"];
+    };
+  `,
+  "hello.js": `export default (req) => ({ trace: req.trace })`,
+  "admin/_middleware.js": `
+    export default (req, res) => {
+      if (req.headers["x-token"] !== "secret") {
+        res.statusCode = 401;
+        return { error: "Unauthorized" };
+      }
+      req.trace.push("admin");
+    };
+  `,
+  "admin/stats.js": `export default (req) => ({ trace: req.trace })`,
+  "admin/reports/_middleware.js": `
+    export default (req, res) => {
+      res.setHeader("Content-Type", "text/plain");
+      res.end("handled by middleware");
+    };
+  `,
+  "admin/reports/index.js": `export default () => ({ reached: true })`,
+  "_helpers.js": `export const helper = () => "not a route"`,
+  "counter/_middleware.js": `
+    export default (req) => {
+      if (req.headers["x-role"] !== "admin") return { denied: true, reason: "admins only" };
+    };
+  `,
+  "counter/index.js": `
+    export const schema = {
+      response: { type: "object", properties: { count: { type: "integer" } } },
+    };
+    export default () => ({ count: 3, internal: "dropped by the schema" });
+  `,
+};
+
+describe("Directory middleware", () => {
+  let runtime;
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    runtime = await startRuntime({
+      apiDir: testApiDir,
+      clientDir: path.join(testApiDir, "no-client"),
+    });
+  });
+
+  afterAll(async () => {
+    await runtime.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  describe("scanRoutes", () => {
+    it("should attach middleware outermost first", async () => {
+      const routes = await scanRoutes(testApiDir);
+      const stats = routes.find((r) => r.pattern === "/admin/stats");
+      expect(stats.middleware).toEqual([
+        path.join(testApiDir, "_middleware.js"),
+        path.join(testApiDir, "admin", "_middleware.js"),
+      ]);
+    });
+
+    it("should not expose _-prefixed files as routes", async () => {
+      const routes = await scanRoutes(testApiDir);
+      const patterns = routes.map((r) => r.pattern);
+      expect(patterns).not.toContain("/_middleware");
+      expect(patterns).not.toContain("/admin/_middleware");
+      expect(patterns).not.toContain("/_helpers");
+    });
+  });
+
+  const requesters = {
+    dev: (options) => devRequest(viteNodeApi({ apiDir: testApiDir }), options),
+    production: ({ url, headers }) => runtime.request(url, { headers }),
+  };
+
+  describe.each(Object.keys(requesters))("%s server", (mode) => {
+    const request = (options) => requesters[mode](options);
+
+    it("should run root middleware before routes", async () => {
+      const res = await request({ url: "/api/hello" });
+      expect(res.body).toEqual({ trace: ["root"] });
+    });
+
+    it("should run nested middleware outermost first", async () => {
+      const res = await request({
+        url: "/api/admin/stats",
+        headers: { "x-token": "secret" },
+      });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ trace: ["root", "admin"] });
+    });
+
+    it("should short-circuit with a returned value", async () => {
+      const res = await request({ url: "/api/admin/stats" });
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({ error: "Unauthorized" });
+    });
+
+    it("should stop the chain when middleware ends the response", async () => {
+      const res = await request({
+        url: "/api/admin/reports",
+        headers: { "x-token": "secret" },
+      });
+      expect(res.body).toBe("handled by middleware");
+    });
+
+    it("should not pass a short-circuit value through the route's response schema", async () => {
+      const denied = await request({ url: "/api/counter" });
+      expect(denied.status).toBe(200);
+      expect(denied.body).toEqual({ denied: true, reason: "admins only" });
+
+      const allowed = await request({ url: "/api/counter", headers: { "x-role": "admin" } });
+      expect(allowed.body).toEqual({ count: 3 });
+    });
+
+    it("should answer 404 for middleware files", async () => {
+      const res = await request({ url: "/api/_middleware" });
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import { generateOpenApi, toOpenApiPaths } from "../src/openapi.js";
+import { scanRoutes } from "../src/router.js";
+import { devRequest, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import url from "url";
+
+const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "openapi-api");
+
+const fixtures = {
+  "hello.js": `export default () => ({ hello: "world" })`,
+  "users/[id].js": `
+    export const meta = {
+      GET: { summary: "Get a user", tags: ["users"] },
+      DELETE: { summary: "Delete a user", deprecated: true },
+    };
+
+    export const schema = {
+      GET: {
+        params: { type: "object", properties: { id: { type: "integer" } } },
+        query: {
+          type: "object",
+          required: ["fields"],
+          properties: { fields: { type: "string" } },
+        },
+        response: {
+          200: { type: "object", properties: { id: { type: "integer" } } },
+          404: { type: "object", properties: { error: { type: "string" } } },
+        },
+      },
+    };
+
+    export const GET = () => ({});
+    export const DELETE = () => ({});
+  `,
+  "users/index.js": `
+    export const schema = {
+      body: {
+        type: "object",
+        required: ["name"],
+        properties: { name: { type: "string" } },
+      },
+    };
+    export const POST = () => ({});
+  `,
+  "docs/[...slug].js": `
+    export const meta = { methods: ["GET", "POST"] };
+    export default () => ({});
+  `,
+};
+
+const load = (file) => import(url.pathToFileURL(file).href);
+
+describe("OpenAPI", () => {
+  let doc;
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    doc = await generateOpenApi(await scanRoutes(testApiDir), load, {
+      info: { title: "Test API", version: "2.0.0" },
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  describe("toOpenApiPaths", () => {
+    it("should convert route patterns to OpenAPI paths", () => {
+      expect(toOpenApiPaths("/users/[id]")).toEqual(["/api/users/{id}"]);
+      expect(toOpenApiPaths("/files/report-[year]")).toEqual([
+        "/api/files/report-{year}",
+      ]);
+      expect(toOpenApiPaths("/docs/[...slug]")).toEqual(["/api/docs/{slug}"]);
+      expect(toOpenApiPaths("/")).toEqual(["/api"]);
+    });
+
+    it("should expand optional catch-alls into two paths", () => {
+      expect(toOpenApiPaths("/shop/[[...path]]")).toEqual([
+        "/api/shop",
+        "/api/shop/{path}",
+      ]);
+    });
+  });
+
+  describe("generateOpenApi", () => {
+    it("should produce an OpenAPI 3.1 document", () => {
+      expect(doc.openapi).toBe("3.1.0");
+      expect(doc.info).toEqual({ title: "Test API", version: "2.0.0" });
+      expect(Object.keys(doc.paths).sort()).toEqual([
+        "/api/docs/{slug}",
+        "/api/hello",
+        "/api/users",
+        "/api/users/{id}",
+      ]);
+    });
+
+    it("should document method exports with metadata", () => {
+      const user = doc.paths["/api/users/{id}"];
+      expect(Object.keys(user)).toEqual(["get", "delete"]);
+      expect(user.get.summary).toBe("Get a user");
+      expect(user.get.tags).toEqual(["users"]);
+      expect(user.delete.deprecated).toBe(true);
+    });
+
+    it("should document path and query parameters from schemas", () => {
+      expect(doc.paths["/api/users/{id}"].get.parameters).toEqual([
+        { name: "id", in: "path", required: true, schema: { type: "integer" } },
+        { name: "fields", in: "query", required: true, schema: { type: "string" } },
+      ]);
+      expect(doc.paths["/api/users/{id}"].delete.parameters).toEqual([
+        { name: "id", in: "path", required: true, schema: { type: "string" } },
+      ]);
+    });
+
+    it("should document request bodies and responses", () => {
+      const create = doc.paths["/api/users"].post;
+      expect(create.requestBody.content["application/json"].schema.required).toEqual([
+        "name",
+      ]);
+      expect(Object.keys(create.responses)).toEqual(["200", "400"]);
+
+      const get = doc.paths["/api/users/{id}"].get;
+      expect(Object.keys(get.responses)).toEqual(["200", "400", "404"]);
+      expect(get.responses[404].content["application/json"].schema).toEqual({
+        type: "object",
+        properties: { error: { type: "string" } },
+      });
+    });
+
+    it("should document default-export routes as GET unless meta.methods is set", () => {
+      expect(Object.keys(doc.paths["/api/hello"])).toEqual(["get"]);
+      expect(Object.keys(doc.paths["/api/docs/{slug}"])).toEqual(["get", "post"]);
+    });
+  });
+
+  describe("dev server", () => {
+    it("should serve the document at the default path", async () => {
+      const plugin = viteNodeApi({ apiDir: testApiDir, openapi: true });
+      const res = await devRequest(plugin, { url: "/api/_openapi.json" });
+      expect(res.status).toBe(200);
+      expect(res.body.paths["/api/users/{id}"]).toBeDefined();
+    });
+
+    it("should serve the document at a custom path", async () => {
+      const plugin = viteNodeApi({
+        apiDir: testApiDir,
+        openapi: { path: "/openapi.json", info: { title: "Custom" } },
+      });
+      const res = await devRequest(plugin, { url: "/openapi.json" });
+      expect(res.body.info.title).toBe("Custom");
+    });
+
+    it("should not serve the document unless enabled", async () => {
+      const plugin = viteNodeApi({ apiDir: testApiDir });
+      const res = await devRequest(plugin, { url: "/api/_openapi.json" });
+      expect(res.status).toBe(404);
+    });
+  });
+});
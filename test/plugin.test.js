@@ -82,15 +82,42 @@ describe("viteNodeApi Plugin", () => {
     // Call closeBundle
     await plugin.closeBundle();
 
-    // Check that environment variables are set
-    expect(process.env.VITE_NODE_API_PORT).toBe("5000");
-    expect(process.env.VITE_NODE_API_TIMEOUT).toBe("20000");
-
-    // Check that dist/server directory was created (if not deleted by other tests)
-    const distServer = path.join(process.cwd(), "dist", "server");
-    // Just verify that buildBackend was called by checking env vars
-    // The actual directory might be cleaned up by other tests
-    expect(typeof plugin.closeBundle).toBe("function");
+    // Options reach the runtime through config.json, not the build's environment
+    const config = JSON.parse(
+      fs.readFileSync(path.join("dist", "server", "config.json"), "utf-8")
+    );
+    expect(config).toMatchObject({ port: 5000, timeout: 20000 });
+    expect(process.env.VITE_NODE_API_PORT).toBeUndefined();
+    expect(process.env.VITE_NODE_API_TIMEOUT).toBeUndefined();
+  });
+
+  it("should write an OpenAPI document during closeBundle when enabled", async () => {
+    fs.writeFileSync(
+      path.join(testApiDir, "items.js"),
+      `export const GET = () => ([]); export const POST = () => ({})`
+    );
+
+    const plugin = viteNodeApi({ apiDir: testApiDir, openapi: true });
+    await plugin.closeBundle();
+
+    const doc = JSON.parse(
+      fs.readFileSync(path.join("dist", "openapi.json"), "utf-8")
+    );
+    expect(doc.openapi).toBe("3.1.0");
+    expect(Object.keys(doc.paths["/api/items"])).toEqual(["get", "post"]);
+  });
+
+  it("should not build the backend when the dev server closes", async () => {
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    const plugin = viteNodeApi({ apiDir: testApiDir });
+    plugin.configResolved({ command: "serve" });
+
+    await plugin.closeBundle();
+
+    expect(logSpy).not.toHaveBeenCalledWith(
+      expect.stringContaining("building backend")
+    );
+    logSpy.mockRestore();
   });
 
   it("should set NODE_ENV to production during closeBundle if not set", async () => {
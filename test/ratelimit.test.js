@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from "@jest/globals";
+import { EventEmitter } from "events";
+import viteNodeApi from "../src/index.js";
+import {
+  consumeRateLimit,
+  createClusterStore,
+  createClusterStoreHost,
+  resolveRateLimitOptions,
+} from "../src/ratelimit.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "ratelimit-api");
+const clientDir = path.join(testApiDir, "no-client");
+
+const fixtures = {
+  "_key.js": `export default (req) => req.headers["x-client"] ?? null`,
+  "public.js": `export default () => ({ ok: true })`,
+  "login.js": `
+    export const rateLimit = { limit: 1, window: 60_000 };
+    export const POST = () => ({ token: "t" });`,
+  "internal.js": `
+    export const rateLimit = false;
+    export default () => ({ ok: true });`,
+};
+
+const rateLimit = {
+  limit: 3,
+  window: 60_000,
+  key: path.join(testApiDir, "_key.js"),
+};
+
+describe("Rate limiting", () => {
+  const servers = {};
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    servers.dev = await startDev(viteNodeApi({ apiDir: testApiDir, client: false, rateLimit }));
+    servers.production = await startRuntime({ apiDir: testApiDir, clientDir, rateLimit });
+  });
+
+  afterAll(async () => {
+    await servers.dev.close();
+    await servers.production.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  describe("algorithms", () => {
+    const rule = (algorithm) => ({ algorithm, limit: 2, window: 1000 });
+
+    it("should count requests per fixed window", () => {
+      let step = consumeRateLimit(undefined, rule("fixed-window"), 0);
+      expect(step).toMatchObject({ allowed: true, remaining: 1, reset: 1000 });
+      step = consumeRateLimit(step.state, rule("fixed-window"), 400);
+      expect(step).toMatchObject({ allowed: true, remaining: 0, reset: 600 });
+      step = consumeRateLimit(step.state, rule("fixed-window"), 500);
+      expect(step).toMatchObject({ allowed: false, remaining: 0, retryAfter: 500 });
+      step = consumeRateLimit(step.state, rule("fixed-window"), 1000);
+      expect(step).toMatchObject({ allowed: true, remaining: 1, reset: 1000 });
+    });
+
+    it("should refill token buckets evenly", () => {
+      let step = consumeRateLimit(undefined, rule("token-bucket"), 0);
+      step = consumeRateLimit(step.state, rule("token-bucket"), 0);
+      expect(step).toMatchObject({ allowed: true, remaining: 0, reset: 1000 });
+      step = consumeRateLimit(step.state, rule("token-bucket"), 100);
+      expect(step).toMatchObject({ allowed: false, retryAfter: 400 });
+      // Half the window refills one token
+      step = consumeRateLimit(step.state, rule("token-bucket"), 500);
+      expect(step).toMatchObject({ allowed: true, remaining: 0 });
+    });
+
+    it("should reject unknown algorithms", () => {
+      expect(() => resolveRateLimitOptions({ algorithm: "sliding" })).toThrow(
+        "Unknown vite-node-api rate limit algorithm: sliding"
+      );
+      expect(resolveRateLimitOptions(true)).toMatchObject({ limit: 100, key: "ip" });
+    });
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const request = (url, client, init = {}) =>
+      servers[mode].request(url, { ...init, headers: { "X-Client": client } });
+
+    it("should answer 429 with Retry-After once the limit is hit", async () => {
+      const client = `${mode}-a`;
+      const first = await request("/api/public", client);
+      expect(first.status).toBe(200);
+      expect(first.headers).toMatchObject({
+        "ratelimit-limit": "3",
+        "ratelimit-remaining": "2",
+        "ratelimit-reset": "60",
+        "ratelimit-policy": "3;w=60",
+      });
+
+      await request("/api/public", client);
+      await request("/api/public", client);
+      const limited = await request("/api/public", client);
+      expect(limited.status).toBe(429);
+      expect(limited.body).toEqual({ error: "Too many requests" });
+      expect(limited.headers["retry-after"]).toBe("60");
+      expect(limited.headers["ratelimit-remaining"]).toBe("0");
+
+      // Other clients keep their own counters
+      expect((await request("/api/public", `${mode}-b`)).status).toBe(200);
+    });
+
+    it("should apply route rules separately and let routes opt out", async () => {
+      const client = `${mode}-c`;
+      expect((await request("/api/login", client, { method: "POST" })).status).toBe(200);
+      expect((await request("/api/login", client, { method: "POST" })).status).toBe(429);
+      expect((await request("/api/public", client)).headers["ratelimit-remaining"]).toBe("2");
+
+      for (let i = 0; i < 5; i++) {
+        const res = await request("/api/internal", client);
+        expect(res.status).toBe(200);
+        expect(res.headers["ratelimit-limit"]).toBeUndefined();
+      }
+    });
+
+    it("should not limit requests without a key", async () => {
+      for (let i = 0; i < 5; i++) {
+        expect((await servers[mode].request("/api/public")).status).toBe(200);
+      }
+    });
+  });
+
+  it("should use a custom store", async () => {
+    const store = {
+      consume: jest.fn(() => ({ allowed: false, remaining: 0, reset: 5000, retryAfter: 2500 })),
+    };
+    const runtime = await startRuntime({ apiDir: testApiDir, clientDir, rateLimit: { store } });
+
+    const res = await runtime.request("/api/public");
+    expect(res.status).toBe(429);
+    expect(res.headers["retry-after"]).toBe("3");
+    expect(store.consume).toHaveBeenCalledWith(expect.stringMatching(/^\*:/), {
+      algorithm: "fixed-window",
+      limit: 100,
+      window: 60_000,
+    });
+    await runtime.close();
+  });
+
+  it("should share counters across cluster workers through the primary", async () => {
+    const host = createClusterStoreHost();
+    // Two workers wired to the primary over a fake IPC channel
+    const workers = [1, 2].map(() => {
+      const proc = new EventEmitter();
+      const worker = new EventEmitter();
+      proc.send = (message) => host(worker, message);
+      worker.send = (message) => proc.emit("message", message);
+      return createClusterStore(proc);
+    });
+
+    const rule = { algorithm: "fixed-window", limit: 2, window: 60_000 };
+    expect((await workers[0].consume("*:1.2.3.4", rule)).allowed).toBe(true);
+    expect((await workers[1].consume("*:1.2.3.4", rule)).allowed).toBe(true);
+    expect((await workers[0].consume("*:1.2.3.4", rule)).allowed).toBe(false);
+  });
+
+  it("should count in the worker when the cluster primary doesn't answer", async () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    // A primary that isn't ours (e.g. PM2) ignores the messages
+    const proc = new EventEmitter();
+    proc.send = jest.fn();
+    const store = createClusterStore(proc, { timeout: 20 });
+
+    const rule = { algorithm: "fixed-window", limit: 1, window: 60_000 };
+    expect((await store.consume("*:1.2.3.4", rule)).allowed).toBe(true);
+    expect(warn).toHaveBeenCalledTimes(1);
+    // Not asked again once it never answered
+    expect((await store.consume("*:1.2.3.4", rule)).allowed).toBe(false);
+    expect(proc.send).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
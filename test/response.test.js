@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import viteNodeApi, { createResponse, isResponse } from "../src/index.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "response-api");
+const clientDir = path.join(testApiDir, "no-client");
+
+/** Import the response module from a route file directly below the fixture directory */
+const importResponse = `import { createResponse } from "../../src/response.js";`;
+
+const fixtures = {
+  "created.js": `export const POST = (req, res) => res.status(201).json({ id: 7 })`,
+  "text.js": `export default (req, res) => res.send("plain text")`,
+  "page.js": `export default (req, res) => {
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.send("<h1>Hi</h1>");
+    }`,
+  "old.js": `export default (req, res) => res.redirect("/api/new?q=a b", 301)`,
+  "export.js": `${importResponse}
+    export default () => createResponse({
+      status: 200,
+      headers: { "Content-Type": "text/csv", "Content-Disposition": 'attachment; filename="users.csv"' },
+      body: "id,name\\n1,Ada\\n",
+    })`,
+  "pixel.js": `export default () => Buffer.from([0x89, 0x50, 0x4e, 0x47])`,
+  "stream.js": `import { Readable } from "stream";
+    export default (req, res) => {
+      res.setHeader("Content-Type", "text/plain");
+      return Readable.from(["one ", "two ", "three"]);
+    }`,
+  "plain.js": `export default () => ({ status: "ok", headers: [], body: null })`,
+};
+
+describe("Response helpers", () => {
+  const servers = {};
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    servers.dev = await startDev(viteNodeApi({ apiDir: testApiDir, client: false }));
+    servers.production = await startRuntime({ apiDir: testApiDir, clientDir });
+  });
+
+  afterAll(async () => {
+    await servers.dev.close();
+    await servers.production.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  it("should brand responses from createResponse", () => {
+    expect(isResponse(createResponse({ body: "x" }))).toBe(true);
+    expect(isResponse({ status: 200, headers: {}, body: "x" })).toBe(false);
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const request = (url, init) => servers[mode].request(url, init);
+
+    it("should chain res.status() with res.json()", async () => {
+      const res = await request("/api/created", { method: "POST" });
+      expect(res.status).toBe(201);
+      expect(res.headers["content-type"]).toBe("application/json");
+      expect(res.body).toEqual({ id: 7 });
+    });
+
+    it("should send strings as text unless a Content-Type is set", async () => {
+      const text = await request("/api/text");
+      expect(text.headers["content-type"]).toBe("text/plain; charset=utf-8");
+      expect(text.headers["content-length"]).toBe("10");
+      expect(text.body).toBe("plain text");
+
+      const page = await request("/api/page");
+      expect(page.headers["content-type"]).toBe("text/html; charset=utf-8");
+      expect(page.body).toBe("<h1>Hi</h1>");
+    });
+
+    it("should redirect with an encoded Location", async () => {
+      const res = await request("/api/old", { redirect: "manual" });
+      expect(res.status).toBe(301);
+      expect(res.headers.location).toBe("/api/new?q=a%20b");
+    });
+
+    it("should send a returned response object", async () => {
+      const res = await request("/api/export");
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toBe("text/csv");
+      expect(res.headers["content-disposition"]).toBe('attachment; filename="users.csv"');
+      expect(res.body).toBe("id,name\n1,Ada\n");
+    });
+
+    it("should send returned Buffers and streams as they are", async () => {
+      const pixel = await fetch(servers[mode].url + "/api/pixel");
+      expect(pixel.headers.get("content-type")).toBe("application/octet-stream");
+      expect([...new Uint8Array(await pixel.arrayBuffer())]).toEqual([0x89, 0x50, 0x4e, 0x47]);
+
+      const stream = await request("/api/stream");
+      expect(stream.headers["content-type"]).toBe("text/plain");
+      expect(stream.body).toBe("one two three");
+    });
+
+    it("should keep plain objects as JSON", async () => {
+      const res = await request("/api/plain");
+      expect(res.body).toEqual({ status: "ok", headers: [], body: null });
+    });
+  });
+});
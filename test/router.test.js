@@ -0,0 +1,376 @@
+import { describe, it, expect, jest, beforeAll, afterAll } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import {
+  compareRoutes,
+  createRoute,
+  createRouter,
+  isForbiddenPath,
+  matchRoute,
+  scanRoutes,
+} from "../src/router.js";
+import { devRequest, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "router-api");
+
+const fixtures = {
+  "hello.js": `export default () => ({ route: "hello" })`,
+  "users/me.js": `export default () => ({ route: "me" })`,
+  "users/[id].js": `export default (req) => ({ route: "user", params: req.params })`,
+  "posts/[postId]/comments/[commentId].js": `export default (req) => ({ route: "comment", params: req.params })`,
+  "files/report-[year].js": `export default (req) => ({ route: "report", params: req.params })`,
+  "docs/intro.js": `export default () => ({ route: "intro" })`,
+  "docs/[page].js": `export default (req) => ({ route: "page", params: req.params })`,
+  "docs/[...slug].js": `export default (req) => ({ route: "docs", params: req.params })`,
+  "shop/[[...path]].js": `export default (req) => ({ route: "shop", params: req.params })`,
+  "index.js": `export default () => ({ route: "root" })`,
+  "teams/index.js": `export default () => ({ route: "teams" })`,
+  "teams/[teamId]/index.js": `export default (req) => ({ route: "team", params: req.params })`,
+};
+
+describe("Router", () => {
+  beforeAll(() => {
+    writeFixtures(testApiDir, fixtures);
+  });
+
+  afterAll(() => {
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  describe("createRoute", () => {
+    it("should compile static routes", () => {
+      const route = createRoute(testApiDir, path.join(testApiDir, "hello.js"));
+      expect(route.pattern).toBe("/hello");
+      expect(route.names).toEqual([]);
+      expect(route.regex.test("/hello")).toBe(true);
+      expect(route.regex.test("/hello/world")).toBe(false);
+    });
+
+    it("should compile dynamic segments", () => {
+      const route = createRoute(
+        testApiDir,
+        path.join(testApiDir, "users", "[id].js")
+      );
+      expect(route.pattern).toBe("/users/[id]");
+      expect(route.names).toEqual(["id"]);
+      expect(route.regex.test("/users/42")).toBe(true);
+      expect(route.regex.test("/users/42/posts")).toBe(false);
+    });
+
+    it("should escape regex characters in static segments", () => {
+      const route = createRoute(testApiDir, path.join(testApiDir, "v1.0.js"));
+      expect(route.regex.test("/v1.0")).toBe(true);
+      expect(route.regex.test("/v1x0")).toBe(false);
+    });
+  });
+
+  describe("scanRoutes / matchRoute", () => {
+    it("should prefer static routes over dynamic ones", async () => {
+      const routes = await scanRoutes(testApiDir);
+      const match = matchRoute(routes, "/users/me");
+      expect(match.route.pattern).toBe("/users/me");
+      expect(match.params).toEqual({});
+    });
+
+    it("should extract multiple params", async () => {
+      const routes = await scanRoutes(testApiDir);
+      const match = matchRoute(routes, "/posts/7/comments/99");
+      expect(match.params).toEqual({ postId: "7", commentId: "99" });
+    });
+
+    it("should extract params embedded in a segment", async () => {
+      const routes = await scanRoutes(testApiDir);
+      const match = matchRoute(routes, "/files/report-2024");
+      expect(match.params).toEqual({ year: "2024" });
+    });
+
+    it("should return null when nothing matches", async () => {
+      const routes = await scanRoutes(testApiDir);
+      expect(matchRoute(routes, "/nope")).toBeNull();
+    });
+  });
+
+  describe("catch-all segments", () => {
+    it("should deliver catch-all params as arrays", async () => {
+      const routes = await scanRoutes(testApiDir);
+      const match = matchRoute(routes, "/docs/a/b/c");
+      expect(match.route.pattern).toBe("/docs/[...slug]");
+      expect(match.params).toEqual({ slug: ["a", "b", "c"] });
+    });
+
+    it("should require at least one segment for catch-all", async () => {
+      const routes = await scanRoutes(testApiDir);
+      expect(matchRoute(routes, "/docs")).toBeNull();
+    });
+
+    it("should match optional catch-all with and without segments", async () => {
+      const routes = await scanRoutes(testApiDir);
+      expect(matchRoute(routes, "/shop").params).toEqual({ path: [] });
+      expect(matchRoute(routes, "/shop/shoes/red").params).toEqual({
+        path: ["shoes", "red"],
+      });
+    });
+
+    it("should order static > dynamic > catch-all", async () => {
+      const routes = await scanRoutes(testApiDir);
+      expect(matchRoute(routes, "/docs/intro").route.pattern).toBe("/docs/intro");
+      expect(matchRoute(routes, "/docs/setup").route.pattern).toBe("/docs/[page]");
+      expect(matchRoute(routes, "/docs/setup/linux").route.pattern).toBe(
+        "/docs/[...slug]"
+      );
+    });
+
+    it("should order routes independently of discovery order", () => {
+      const files = ["shop/[[...path]].js", "docs/[...slug].js", "docs/[page].js", "docs/intro.js"];
+      const patterns = (list) =>
+        list
+          .map((f) => createRoute(testApiDir, path.join(testApiDir, f)))
+          .sort(compareRoutes)
+          .map((r) => r.pattern);
+
+      expect(patterns(files)).toEqual(patterns([...files].reverse()));
+      expect(patterns(files)).toEqual([
+        "/docs/intro",
+        "/docs/[page]",
+        "/docs/[...slug]",
+        "/shop/[[...path]]",
+      ]);
+    });
+
+    it("should reject catch-all segments that are not last", () => {
+      expect(() =>
+        createRoute(testApiDir, path.join(testApiDir, "[...slug]", "edit.js"))
+      ).toThrow("must be the last segment");
+    });
+  });
+
+  describe("index routes", () => {
+    it("should map index.js to its directory", () => {
+      const route = createRoute(
+        testApiDir,
+        path.join(testApiDir, "teams", "[teamId]", "index.js")
+      );
+      expect(route.pattern).toBe("/teams/[teamId]");
+      expect(route.regex.test("/teams/42")).toBe(true);
+      expect(route.regex.test("/teams/42/index")).toBe(false);
+    });
+
+    it("should resolve directory and nested index routes", async () => {
+      const routes = await scanRoutes(testApiDir);
+      expect(matchRoute(routes, "/teams").route.pattern).toBe("/teams");
+      expect(matchRoute(routes, "/teams/").route.pattern).toBe("/teams");
+      expect(matchRoute(routes, "/teams/42").params).toEqual({ teamId: "42" });
+    });
+
+    it("should resolve a root index.js for /api itself", async () => {
+      const routes = await scanRoutes(testApiDir);
+      expect(matchRoute(routes, "").route.pattern).toBe("/");
+      expect(matchRoute(routes, "/").route.pattern).toBe("/");
+    });
+
+    it("should reject a file and an index.js for the same route", async () => {
+      const dupDir = path.join(testApiDir, "..", "router-dup-api");
+      writeFixtures(dupDir, {
+        "users.js": `export default () => ({})`,
+        "users/index.js": `export default () => ({})`,
+      });
+
+      await expect(scanRoutes(dupDir)).rejects.toThrow("Duplicate API route /users");
+      fs.rmSync(dupDir, { recursive: true, force: true });
+    });
+  });
+
+  describe("TypeScript routes", () => {
+    const tsDir = path.join(testApiDir, "..", "router-ts-api");
+
+    beforeAll(() => {
+      writeFixtures(tsDir, {
+        "_format.ts": `export const format = (id: string): string => "user-" + id;`,
+        "_middleware.ts": `
+          import type { IncomingMessage } from "http";
+          export default (req: IncomingMessage & { tagged?: boolean }) => {
+            req.tagged = true;
+          };
+        `,
+        "users/[id].ts": `
+          import { format } from "../_format";
+          interface Params { id: string }
+          export const GET = (req: { params: Params; tagged: boolean }) => ({
+            name: format(req.params.id),
+            tagged: req.tagged,
+          });
+        `,
+        "health.mts": `export default (): { ok: boolean } => ({ ok: true })`,
+        "hello.js": `export default () => ({ lang: "js" })`,
+        "types.d.ts": `export interface User { id: string }`,
+      });
+    });
+
+    afterAll(() => {
+      fs.rmSync(tsDir, { recursive: true, force: true });
+    });
+
+    it("should discover .ts and .mts routes alongside .js", async () => {
+      const routes = await scanRoutes(tsDir);
+      expect(routes.map((r) => r.pattern).sort()).toEqual([
+        "/health",
+        "/hello",
+        "/users/[id]",
+      ]);
+      expect(routes.find((r) => r.pattern === "/users/[id]").middleware).toEqual([
+        path.join(tsDir, "_middleware.ts"),
+      ]);
+    });
+
+    it("should transpile TypeScript routes, helpers and middleware in dev", async () => {
+      const plugin = viteNodeApi({ apiDir: tsDir });
+      const user = await devRequest(plugin, { url: "/api/users/7" });
+      expect(user.status).toBe(200);
+      expect(user.body).toEqual({ name: "user-7", tagged: true });
+
+      const health = await devRequest(plugin, { url: "/api/health" });
+      expect(health.body).toEqual({ ok: true });
+    });
+
+    it("should reject a .js and .ts file for the same route", async () => {
+      const dupDir = path.join(testApiDir, "..", "router-dup-ts-api");
+      writeFixtures(dupDir, {
+        "users.js": `export default () => ({})`,
+        "users.ts": `export default () => ({})`,
+      });
+
+      await expect(scanRoutes(dupDir)).rejects.toThrow("Duplicate API route /users");
+      fs.rmSync(dupDir, { recursive: true, force: true });
+    });
+
+    it("should reject two middleware files in one folder", async () => {
+      const dupDir = path.join(testApiDir, "..", "router-dup-mw-api");
+      writeFixtures(dupDir, {
+        "_middleware.js": `export default () => {}`,
+        "_middleware.ts": `export default () => {}`,
+        "hello.js": `export default () => ({})`,
+      });
+
+      await expect(scanRoutes(dupDir)).rejects.toThrow("Duplicate API middleware");
+      fs.rmSync(dupDir, { recursive: true, force: true });
+    });
+  });
+
+  describe("createRouter", () => {
+    it("should cache routes until invalidated", async () => {
+      const router = createRouter(testApiDir);
+      expect(await router.match("/late")).toBeNull();
+
+      const lateFile = path.join(testApiDir, "late.js");
+      fs.writeFileSync(lateFile, `export default () => ({})`);
+
+      expect(await router.match("/late")).toBeNull();
+      router.invalidate();
+      expect((await router.match("/late")).route.file).toBe(lateFile);
+
+      fs.unlinkSync(lateFile);
+    });
+
+    it("should listen for route file changes in dev", async () => {
+      const plugin = viteNodeApi({ apiDir: testApiDir });
+      const listeners = {};
+      const mockServer = {
+        middlewares: { use: (handler) => (mockServer.handler = handler) },
+        watcher: { on: jest.fn((event, fn) => (listeners[event] = fn)) },
+      };
+      plugin.configureServer(mockServer);
+
+      expect(mockServer.watcher.on).toHaveBeenCalledWith(
+        "add",
+        expect.any(Function)
+      );
+      expect(mockServer.watcher.on).toHaveBeenCalledWith(
+        "unlink",
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe("isForbiddenPath", () => {
+    it("should detect parent directory segments", () => {
+      expect(isForbiddenPath("/../etc/passwd")).toBe(true);
+      expect(isForbiddenPath("/users/..\\..\\secret")).toBe(true);
+      expect(isForbiddenPath("/users/..hidden")).toBe(false);
+    });
+  });
+});
+
+describe("Dev / production parity", () => {
+  let runtime;
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+
+    runtime = await startRuntime({
+      apiDir: testApiDir,
+      clientDir: path.join(testApiDir, "no-client"),
+    });
+  });
+
+  afterAll(async () => {
+    await runtime.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  const urls = [
+    "/api/hello",
+    "/api/users/me",
+    "/api/users/42",
+    "/api/posts/7/comments/99",
+    "/api/files/report-2024",
+    "/api/users/42/unknown",
+    "/api/docs/intro",
+    "/api/docs/a/b/c",
+    "/api/shop",
+    "/api/shop/shoes/red",
+    "/api",
+    "/api/teams",
+    "/api/teams/7",
+    "/api/missing",
+  ];
+
+  it.each(urls)("should resolve %s identically", async (url) => {
+    const dev = await devRequest(viteNodeApi({ apiDir: testApiDir }), { url });
+    const prod = await runtime.request(url);
+
+    expect({ status: prod.status, body: prod.body }).toEqual({
+      status: dev.status,
+      body: dev.body,
+    });
+  });
+
+  it("should answer malformed URLs with 400", async () => {
+    const url = "/api/%E0%A4%A";
+    const dev = await devRequest(viteNodeApi({ apiDir: testApiDir }), { url });
+    const prod = await runtime.request(url);
+
+    expect(dev.status).toBe(400);
+    expect(dev.body).toEqual({ error: "Bad request" });
+    expect({ status: prod.status, body: prod.body }).toEqual({
+      status: dev.status,
+      body: dev.body,
+    });
+  });
+
+  it("should only handle /api and /api/* paths", async () => {
+    const dev = await devRequest(viteNodeApi({ apiDir: testApiDir }), { url: "/apiary" });
+    expect(dev.next).toBe(true);
+    expect((await runtime.request("/apiary")).body).not.toEqual({ error: "API route not found" });
+  });
+
+  it("should populate req.params for dynamic routes in dev", async () => {
+    const dev = await devRequest(viteNodeApi({ apiDir: testApiDir }), {
+      url: "/api/users/42",
+    });
+    expect(dev.status).toBe(200);
+    expect(dev.body).toEqual({ route: "user", params: { id: "42" } });
+  });
+});
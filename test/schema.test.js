@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import { compileSchema, getRouteSchema } from "../src/schema.js";
+import { devRequest, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "schema-api");
+
+const fixtures = {
+  "users/[id].js": `
+    export const schema = {
+      GET: {
+        params: {
+          type: "object",
+          properties: { id: { type: "integer", minimum: 1 } },
+        },
+        query: {
+          type: "object",
+          properties: { verbose: { type: "boolean", default: false } },
+        },
+        response: {
+          200: {
+            type: "object",
+            properties: {
+              id: { type: "integer" },
+              verbose: { type: "boolean" },
+            },
+          },
+        },
+      },
+      PUT: {
+        body: {
+          type: "object",
+          required: ["name", "email"],
+          properties: {
+            name: { type: "string", minLength: 1 },
+            email: { type: "string", format: "email" },
+          },
+        },
+      },
+    };
+
+    export const GET = (req) => ({
+      id: req.params.id,
+      verbose: req.query.verbose,
+      secret: "not in the response schema",
+    });
+
+    export const PUT = (req) => ({ updated: req.body });
+  `,
+};
+
+describe("Route schemas", () => {
+  let runtime;
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    runtime = await startRuntime({
+      apiDir: testApiDir,
+      clientDir: path.join(testApiDir, "no-client"),
+    });
+  });
+
+  afterAll(async () => {
+    await runtime.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  describe("getRouteSchema", () => {
+    it("should return a shared schema for every method", () => {
+      const schema = { body: { type: "object" } };
+      expect(getRouteSchema({ schema }, "POST")).toBe(schema);
+      expect(getRouteSchema({ schema }, "GET")).toBe(schema);
+    });
+
+    it("should pick per-method schemas", () => {
+      const schema = { GET: { query: {} }, POST: { body: {} } };
+      expect(getRouteSchema({ schema }, "POST")).toBe(schema.POST);
+      expect(getRouteSchema({ schema }, "HEAD")).toBe(schema.GET);
+      expect(getRouteSchema({ schema }, "DELETE")).toBeNull();
+    });
+
+    it("should return null without a schema export", () => {
+      expect(getRouteSchema({ default() {} }, "GET")).toBeNull();
+    });
+  });
+
+  describe("compileSchema", () => {
+    it("should cache compiled schemas", () => {
+      const schema = { query: { type: "object" } };
+      expect(compileSchema(schema)).toBe(compileSchema(schema));
+    });
+
+    it("should list every failing field", () => {
+      const { validate } = compileSchema({
+        body: {
+          type: "object",
+          required: ["name"],
+          properties: { age: { type: "integer" } },
+        },
+      });
+      expect(validate({ body: { age: "old" } })).toEqual([
+        { field: "body.name", message: "must have required property 'name'" },
+        { field: "body.age", message: "must be integer" },
+      ]);
+    });
+
+    it("should coerce query values to declared types", () => {
+      const { validate } = compileSchema({
+        query: { type: "object", properties: { limit: { type: "integer" } } },
+      });
+      const req = { query: { limit: "10" } };
+      expect(validate(req)).toBeNull();
+      expect(req.query.limit).toBe(10);
+    });
+
+    it("should serialize with status-specific response schemas", () => {
+      const { serialize } = compileSchema({
+        response: {
+          "2xx": { type: "object", properties: { ok: { type: "boolean" } } },
+          404: { type: "object", properties: { error: { type: "string" } } },
+        },
+      });
+      expect(serialize(201, { ok: true, extra: 1 })).toBe('{"ok":true}');
+      expect(serialize(404, { error: "gone", extra: 1 })).toBe('{"error":"gone"}');
+      expect(serialize(500, { error: "boom" })).toBeNull();
+    });
+
+    it("should apply a plain response schema to 2xx only", () => {
+      const { serialize } = compileSchema({
+        response: { type: "object", properties: { ok: { type: "boolean" } } },
+      });
+      expect(serialize(200, { ok: true, extra: 1 })).toBe('{"ok":true}');
+      expect(serialize(400, { error: "bad" })).toBeNull();
+    });
+  });
+
+  const requesters = {
+    dev: (options) => devRequest(viteNodeApi({ apiDir: testApiDir }), options),
+    production: ({ url, method, body }) =>
+      runtime.request(url, { method, body }),
+  };
+
+  describe.each(Object.keys(requesters))("%s server", (mode) => {
+    const request = (options) => requesters[mode](options);
+
+    it("should coerce params and query and serialize with the response schema", async () => {
+      const res = await request({ url: "/api/users/7?verbose=true" });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ id: 7, verbose: true });
+    });
+
+    it("should apply query defaults", async () => {
+      const res = await request({ url: "/api/users/7" });
+      expect(res.body).toEqual({ id: 7, verbose: false });
+    });
+
+    it("should reject invalid params with 400", async () => {
+      const res = await request({ url: "/api/users/abc" });
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({
+        error: "Validation failed",
+        details: [{ field: "params.id", message: "must be integer" }],
+      });
+    });
+
+    it("should reject invalid bodies before the handler runs", async () => {
+      const res = await request({
+        url: "/api/users/7",
+        method: "PUT",
+        body: JSON.stringify({ email: "not-an-email" }),
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([
+        { field: "body.name", message: "must have required property 'name'" },
+        { field: "body.email", message: 'must match format "email"' },
+      ]);
+    });
+
+    it("should pass valid bodies through", async () => {
+      const body = { name: "Ada", email: "ada@example.com" };
+      const res = await request({
+        url: "/api/users/7",
+        method: "PUT",
+        body: JSON.stringify(body),
+      });
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ updated: body });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import { createFileSessionStore, createMemorySessionStore } from "../src/session.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, "..", "test-fixtures", "session");
+const testApiDir = path.join(root, "api");
+const clientDir = path.join(root, "no-client");
+const sessionDir = path.join(root, "sessions");
+
+const fixtures = {
+  "api/login.js": `
+    export const POST = async (req) => {
+      const session = await req.session;
+      await session.regenerate();
+      session.user = req.body.user;
+      return { ok: true };
+    }`,
+  "api/me.js": `
+    export default async (req) => {
+      const session = await req.session;
+      return { user: session.user ?? null, isNew: session.isNew };
+    }`,
+  "api/count.js": `
+    export const POST = async (req) => {
+      const session = await req.session;
+      session.count = (session.count ?? 0) + 1;
+      return { count: session.count };
+    }`,
+  "api/logout.js": `
+    export const POST = async (req) => {
+      await (await req.session).destroy();
+      return { ok: true };
+    }`,
+  "api/manual.js": `
+    export const POST = async (req, res) => {
+      (await req.session).visited = true;
+      res.statusCode = 204;
+      res.end();
+    }`,
+  "api/public.js": `export default () => ({ ok: true })`,
+};
+
+/** Session cookie value ("sid=...") from a response, if one was set */
+const sessionCookie = (res) =>
+  res.headers
+    .getSetCookie()
+    .find((c) => c.startsWith("sid="))
+    ?.split(";")[0];
+
+describe("Sessions", () => {
+  const servers = {};
+  const cookies = { secret: "session-secret" };
+
+  beforeAll(async () => {
+    writeFixtures(root, fixtures);
+    servers.dev = await startDev(
+      viteNodeApi({ apiDir: testApiDir, client: false, cookies, session: true })
+    );
+    servers.production = await startRuntime({
+      apiDir: testApiDir,
+      clientDir,
+      cookies,
+      session: { store: "file", dir: sessionDir },
+    });
+  });
+
+  afterAll(async () => {
+    await servers.dev.close();
+    await servers.production.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const request = (url, { cookie, method = "GET", body } = {}) =>
+      fetch(servers[mode].url + url, {
+        method,
+        headers: { "Content-Type": "application/json", ...(cookie && { cookie }) },
+        body: body && JSON.stringify(body),
+      });
+
+    it("should keep data across requests and only set a cookie once there is data", async () => {
+      const anonymous = await request("/api/me");
+      expect(await anonymous.json()).toEqual({ user: null, isNew: true });
+      expect(sessionCookie(anonymous)).toBeUndefined();
+
+      const first = await request("/api/count", { method: "POST" });
+      const cookie = sessionCookie(first);
+      expect(cookie).toMatch(/^sid=s%3A[\w-]{32}\.[\w-]+$/);
+      expect(first.headers.getSetCookie()[0]).toContain("HttpOnly; SameSite=Lax");
+
+      const second = await request("/api/count", { method: "POST", cookie });
+      expect(await second.json()).toEqual({ count: 2 });
+      // Rolling expiry re-sends the same cookie
+      expect(sessionCookie(second)).toBe(cookie);
+    });
+
+    it("should not load sessions for routes that don't use them", async () => {
+      const res = await request("/api/public", { cookie: "sid=whatever" });
+      expect(res.status).toBe(200);
+      expect(res.headers.getSetCookie()).toEqual([]);
+    });
+
+    it("should regenerate the id on login and ignore unknown ids", async () => {
+      const planted = "sid=" + encodeURIComponent("s:" + "a".repeat(32) + ".forged");
+      const login = await request("/api/login", {
+        method: "POST",
+        cookie: planted,
+        body: { user: "ada" },
+      });
+      const cookie = sessionCookie(login);
+      expect(cookie).toBeDefined();
+      expect(cookie).not.toBe(planted);
+      expect(await (await request("/api/me", { cookie })).json()).toEqual({
+        user: "ada",
+        isNew: false,
+      });
+
+      // Logging in again invalidates the previous id
+      const relogin = await request("/api/login", {
+        method: "POST",
+        cookie,
+        body: { user: "ada" },
+      });
+      expect(sessionCookie(relogin)).not.toBe(cookie);
+      expect((await (await request("/api/me", { cookie })).json()).user).toBeNull();
+    });
+
+    it("should destroy sessions and expire the cookie", async () => {
+      const cookie = sessionCookie(
+        await request("/api/login", { method: "POST", body: { user: "bob" } })
+      );
+      const logout = await request("/api/logout", { method: "POST", cookie });
+      expect(logout.headers.getSetCookie()[0]).toMatch(/^sid=; Max-Age=0/);
+      expect((await (await request("/api/me", { cookie })).json()).user).toBeNull();
+    });
+
+    it("should send the cookie when the handler ends the response itself", async () => {
+      const res = await request("/api/manual", { method: "POST" });
+      expect(res.status).toBe(204);
+      expect(sessionCookie(res)).toBeDefined();
+    });
+  });
+
+  it("should save only modified sessions", async () => {
+    const store = createMemorySessionStore();
+    const spy = { ...store, set: jest.fn(store.set), touch: jest.fn(store.touch) };
+    const runtime = await startRuntime({
+      apiDir: testApiDir,
+      clientDir,
+      session: { store: spy, rolling: false },
+    });
+
+    const res = await fetch(runtime.url + "/api/count", { method: "POST" });
+    const cookie = sessionCookie(res);
+    await fetch(runtime.url + "/api/me", { headers: { cookie } });
+    await fetch(runtime.url + "/api/me", { headers: { cookie } });
+
+    expect(spy.set).toHaveBeenCalledTimes(1);
+    expect(spy.touch).not.toHaveBeenCalled();
+    await runtime.close();
+  });
+
+  describe("file store", () => {
+    const dir = path.join(root, "file-store");
+    const id = "b".repeat(32);
+
+    it("should save, expire and destroy sessions", async () => {
+      const store = createFileSessionStore({ dir });
+      await store.set(id, { user: "ada" }, 60_000);
+      expect(await store.get(id)).toEqual({ user: "ada" });
+      expect(fs.readdirSync(dir)).toEqual([`${id}.json`]);
+
+      await store.touch(id, -1);
+      expect(await store.get(id)).toBeUndefined();
+      expect(fs.readdirSync(dir)).toEqual([]);
+
+      await store.set(id, { user: "ada" }, 60_000);
+      await store.destroy(id);
+      expect(await store.get(id)).toBeUndefined();
+    });
+
+    it("should never read outside its directory", async () => {
+      const store = createFileSessionStore({ dir });
+      expect(await store.get("../../package")).toBeUndefined();
+      await expect(store.set("../escape", {}, 1000)).rejects.toThrow("Invalid session id");
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeAll, afterAll } from "@jest/globals";
+import viteNodeApi from "../src/index.js";
+import { startDev, startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const testApiDir = path.join(__dirname, "..", "test-fixtures", "sse-api");
+
+const fixtures = {
+  "events.js": `
+    export const GET = (req, res) => {
+      const stream = res.sse({ retry: 2000, heartbeat: 0 });
+      stream.send("hello");
+      stream.send({ n: 1 }, { event: "tick", id: 1 });
+      stream.send("line one\\nline two", { id: "after-" + stream.lastEventId });
+      stream.close();
+    };
+  `,
+  "heartbeat.js": `
+    export default (req, res) => {
+      res.sse({ heartbeat: 20 });
+    };
+  `,
+  "slow.js": `
+    export default (req, res) => {
+      const stream = res.sse({ heartbeat: 0 });
+      setTimeout(() => {
+        stream.send("still here");
+        stream.close();
+      }, 150);
+    };
+  `,
+  "watch.js": `
+    export default (req, res) => {
+      const stream = res.sse({ heartbeat: 0 });
+      globalThis.sseWatchers = (globalThis.sseWatchers || 0) + 1;
+      stream.send("subscribed");
+      stream.onClose(() => globalThis.sseWatchers--);
+    };
+  `,
+};
+
+/**
+ * Read a streaming response until `until` shows up in the text, then cancel
+ * @param {Response} response
+ * @param {string} until
+ * @returns {Promise<string>}
+ */
+async function readUntil(response, until) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  while (!text.includes(until)) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value);
+  }
+  await reader.cancel();
+  return text;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Server-Sent Events", () => {
+  const servers = {};
+
+  beforeAll(async () => {
+    writeFixtures(testApiDir, fixtures);
+    servers.dev = await startDev(viteNodeApi({ apiDir: testApiDir, timeout: 50 }));
+    servers.production = await startRuntime({
+      apiDir: testApiDir,
+      clientDir: path.join(testApiDir, "no-client"),
+      timeout: 50,
+    });
+  });
+
+  afterAll(async () => {
+    await servers.dev.close();
+    await servers.production.close();
+    fs.rmSync(testApiDir, { recursive: true, force: true });
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const url = (pathname) => servers[mode].url + pathname;
+
+    it("should stream events with event, id and retry fields", async () => {
+      const res = await fetch(url("/api/events"), {
+        headers: { "Last-Event-ID": "41" },
+      });
+      expect(res.status).toBe(200);
+      expect(res.headers.get("content-type")).toBe("text/event-stream; charset=utf-8");
+      expect(res.headers.get("cache-control")).toBe("no-cache, no-transform");
+      expect(await res.text()).toBe(
+        "retry: 2000\n\n" +
+          "data: hello\n\n" +
+          'event: tick\nid: 1\ndata: {"n":1}\n\n' +
+          "id: after-41\ndata: line one\ndata: line two\n\n"
+      );
+    });
+
+    it("should send heartbeat comments", async () => {
+      const res = await fetch(url("/api/heartbeat"));
+      expect(await readUntil(res, ":\n\n")).toBe(":\n\n");
+    });
+
+    it("should not apply the request timeout to streams", async () => {
+      const res = await fetch(url("/api/slow"));
+      expect(res.status).toBe(200);
+      expect(await res.text()).toBe("data: still here\n\n");
+    });
+
+    it("should clean up when the client disconnects", async () => {
+      const res = await fetch(url("/api/watch"));
+      await readUntil(res, "subscribed");
+      expect(globalThis.sseWatchers).toBe(1);
+
+      for (let i = 0; i < 20 && globalThis.sseWatchers; i++) await wait(10);
+      expect(globalThis.sseWatchers).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from "@jest/globals";
+import { precompressAssets } from "../src/builder.js";
+import { startRuntime, writeFixtures } from "./helpers.js";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, "..", "test-fixtures", "static");
+const clientDir = path.join(root, "client");
+
+const script = `console.log(${JSON.stringify("x".repeat(4000))});\n`;
+
+const fixtures = {
+  "client/index.html": "<!doctype html><title>App</title>",
+  "client/assets/index-abc123.js": script,
+  "client/assets/tiny-def456.js": "export {};",
+  "client/media/clip.bin": "0123456789",
+  "api/hello.js": `export default () => ({ hello: "world" })`,
+};
+
+describe("Static file serving", () => {
+  let runtime;
+
+  beforeAll(async () => {
+    writeFixtures(root, fixtures);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    await precompressAssets(clientDir);
+    runtime = await startRuntime({ apiDir: path.join(root, "api"), clientDir });
+  });
+
+  afterAll(async () => {
+    await runtime.close();
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const get = (pathname, headers) => runtime.request(pathname, { headers });
+
+  it("should write .br and .gz siblings for large text assets only", () => {
+    const asset = path.join(clientDir, "assets", "index-abc123.js");
+    expect(fs.existsSync(asset + ".br")).toBe(true);
+    expect(fs.existsSync(asset + ".gz")).toBe(true);
+    expect(fs.existsSync(path.join(clientDir, "assets", "tiny-def456.js.br"))).toBe(false);
+    expect(fs.existsSync(path.join(clientDir, "media", "clip.bin.gz"))).toBe(false);
+  });
+
+  it("should negotiate precompressed variants", async () => {
+    const br = await get("/assets/index-abc123.js", { "Accept-Encoding": "gzip, br" });
+    expect(br.headers["content-encoding"]).toBe("br");
+    expect(br.headers.vary).toBe("Accept-Encoding");
+    expect(br.body).toBe(script);
+
+    const gz = await get("/assets/index-abc123.js", { "Accept-Encoding": "gzip, br;q=0" });
+    expect(gz.headers["content-encoding"]).toBe("gzip");
+    expect(gz.body).toBe(script);
+
+    const plain = await get("/assets/index-abc123.js", { "Accept-Encoding": "identity" });
+    expect(plain.headers["content-encoding"]).toBeUndefined();
+    expect(plain.headers["content-length"]).toBe(String(script.length));
+    expect(new Set([br.headers.etag, gz.headers.etag, plain.headers.etag]).size).toBe(3);
+  });
+
+  it("should answer a matching If-None-Match with 304", async () => {
+    const first = await get("/assets/index-abc123.js", { "Accept-Encoding": "br" });
+    expect(first.headers.etag).toMatch(/^"[\w-]+-br"$/);
+
+    const second = await get("/assets/index-abc123.js", {
+      "Accept-Encoding": "br",
+      "If-None-Match": `W/"other", ${first.headers.etag}`,
+    });
+    expect(second.status).toBe(304);
+    expect(second.body).toBeUndefined();
+
+    const changed = await get("/assets/index-abc123.js", {
+      "Accept-Encoding": "br",
+      "If-None-Match": '"stale"',
+    });
+    expect(changed.status).toBe(200);
+  });
+
+  it("should cache hashed assets forever and revalidate index.html", async () => {
+    const asset = await get("/assets/tiny-def456.js");
+    expect(asset.headers["cache-control"]).toBe("public, max-age=31536000, immutable");
+
+    const index = await get("/");
+    expect(index.headers["cache-control"]).toBe("no-cache");
+    expect(index.headers["content-type"]).toContain("text/html");
+
+    // SPA fallback serves index.html with the same headers
+    const fallback = await get("/settings/profile");
+    expect(fallback.body).toBe(fixtures["client/index.html"]);
+    expect(fallback.headers["cache-control"]).toBe("no-cache");
+    expect(fallback.headers.etag).toBe(index.headers.etag);
+  });
+
+  it("should serve byte ranges", async () => {
+    const middle = await get("/media/clip.bin", { Range: "bytes=2-5" });
+    expect(middle.status).toBe(206);
+    expect(middle.headers["content-range"]).toBe("bytes 2-5/10");
+    expect(middle.body).toBe("2345");
+
+    const suffix = await get("/media/clip.bin", { Range: "bytes=-3" });
+    expect(suffix.body).toBe("789");
+
+    const open = await get("/media/clip.bin", { Range: "bytes=8-" });
+    expect(open.body).toBe("89");
+  });
+
+  it("should reject unsatisfiable ranges and ignore stale If-Range", async () => {
+    const res = await get("/media/clip.bin", { Range: "bytes=20-30" });
+    expect(res.status).toBe(416);
+    expect(res.headers["content-range"]).toBe("bytes */10");
+
+    const stale = await get("/media/clip.bin", { Range: "bytes=0-1", "If-Range": '"old"' });
+    expect(stale.status).toBe(200);
+    expect(stale.body).toBe("0123456789");
+  });
+
+  it("should send headers only for HEAD", async () => {
+    const res = await runtime.request("/media/clip.bin", { method: "HEAD" });
+    expect(res.status).toBe(200);
+    expect(res.headers["content-length"]).toBe("10");
+    expect(res.headers["accept-ranges"]).toBe("bytes");
+  });
+});
@@ -0,0 +1,245 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from "@jest/globals";
+import { createServer } from "vite";
+import WebSocket from "ws";
+import viteNodeApi from "../src/index.js";
+import { createRouter } from "../src/router.js";
+import { createUpgradeHandler } from "../src/websocket.js";
+import { startRuntime, writeFixtures } from "./helpers.js";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const root = path.join(__dirname, "..", "test-fixtures", "websocket");
+const testApiDir = path.join(root, "server", "api");
+
+const fixtures = {
+  "server/api/chat/[room].js": `
+    export const websocket = {
+      open(ws, req) {
+        ws.send(JSON.stringify({ joined: req.params.room, nick: req.query.nick }));
+      },
+      message(ws, data) {
+        ws.send(typeof data === "string" ? "echo: " + data : "bytes: " + data.length);
+      },
+      close(ws, code) {
+        globalThis.wsClosed = code;
+      },
+    };
+  `,
+  "server/api/broken.js": `
+    export const websocket = {
+      message() {
+        throw new Error("boom");
+      },
+      error(ws, err) {
+        globalThis.wsError = err.message;
+      },
+    };
+  `,
+  "server/api/hello.js": `export default () => ({ hello: "world" })`,
+  "server/api/guarded/_middleware.js": `
+    export default (req, res) => {
+      if (req.query.deny) {
+        res.statusCode = 401;
+        return { error: "Unauthorized" };
+      }
+      req.mw = "ran";
+    };
+  `,
+  "server/api/guarded/room.js": `
+    export const websocket = {
+      open(ws, req) {
+        ws.send(JSON.stringify({ mw: req.mw }));
+      },
+    };
+  `,
+  "server/api/private.js": `
+    export const auth = true;
+    export const websocket = {
+      open(ws, req) {
+        ws.send(JSON.stringify({ sub: req.user.sub }));
+      },
+    };
+  `,
+  "server/api/limited.js": `
+    export const rateLimit = { limit: 1 };
+    export const websocket = {
+      open(ws) {
+        ws.send("ok");
+      },
+    };
+  `,
+};
+
+const auth = { secret: "ws-test-secret", cookie: "token" };
+
+/** Sign an HS256 JWT with the test secret */
+function sign(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const data = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto.createHmac("sha256", auth.secret).update(data).digest();
+  return `${data}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Open a WebSocket and collect its messages
+ * @param {string} url
+ * @param {string} [protocol]
+ * @param {import('ws').ClientOptions} [options] - e.g. request headers
+ * @returns {Promise<{ ws: WebSocket, next: () => Promise<string> }>}
+ */
+function connect(url, protocol, options) {
+  const ws = new WebSocket(url, protocol, options);
+  const queue = [];
+  const waiting = [];
+  ws.on("message", (data) => {
+    const text = data.toString();
+    if (waiting.length) waiting.shift()(text);
+    else queue.push(text);
+  });
+  const next = () =>
+    queue.length ? Promise.resolve(queue.shift()) : new Promise((r) => waiting.push(r));
+
+  return new Promise((resolve, reject) => {
+    ws.once("open", () => resolve({ ws, next }));
+    ws.once("unexpected-response", (req, res) =>
+      reject(new Error(`Unexpected response ${res.statusCode}`))
+    );
+    ws.once("error", reject);
+  });
+}
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 50 && !check(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+describe("WebSocket routes", () => {
+  const servers = {};
+  let vite;
+
+  beforeAll(async () => {
+    writeFixtures(root, fixtures);
+
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    vite = await createServer({
+      root,
+      configFile: false,
+      logLevel: "silent",
+      server: { port: 0, host: "127.0.0.1" },
+      plugins: [viteNodeApi({ apiDir: testApiDir, client: false, auth })],
+    });
+    await vite.listen();
+    servers.dev = `127.0.0.1:${vite.httpServer.address().port}`;
+
+    const runtime = await startRuntime({
+      apiDir: testApiDir,
+      clientDir: path.join(root, "no-client"),
+      auth,
+    });
+    servers.production = runtime.url.replace("http://", "");
+    servers.runtime = runtime;
+  });
+
+  afterAll(async () => {
+    await vite.close();
+    await servers.runtime.close();
+    jest.restoreAllMocks();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe.each(["dev", "production"])("%s server", (mode) => {
+    const wsUrl = (pathname) => `ws://${servers[mode]}${pathname}`;
+
+    it("should open with params and query and echo messages", async () => {
+      const { ws, next } = await connect(wsUrl("/api/chat/lobby?nick=ada"));
+      expect(JSON.parse(await next())).toEqual({ joined: "lobby", nick: "ada" });
+
+      ws.send("hi");
+      expect(await next()).toBe("echo: hi");
+      ws.send(Buffer.from([1, 2, 3]));
+      expect(await next()).toBe("bytes: 3");
+
+      globalThis.wsClosed = undefined;
+      ws.close(4000);
+      await waitFor(() => globalThis.wsClosed);
+      expect(globalThis.wsClosed).toBe(4000);
+    });
+
+    it("should report handler errors and close with 1011", async () => {
+      const { ws } = await connect(wsUrl("/api/broken"));
+      const closed = new Promise((resolve) => ws.once("close", resolve));
+      ws.send("x");
+      expect(await closed).toBe(1011);
+      expect(globalThis.wsError).toBe("boom");
+    });
+
+    it("should reject upgrades for routes without a websocket export", async () => {
+      await expect(connect(wsUrl("/api/hello"))).rejects.toThrow("Unexpected response 404");
+      await expect(connect(wsUrl("/api/missing"))).rejects.toThrow("Unexpected response 404");
+    });
+
+    it("should reject malformed upgrade URLs with 400", async () => {
+      await expect(connect(wsUrl("/api/%E0%A4%A"))).rejects.toThrow("Unexpected response 400");
+      // The server is still up
+      const { ws } = await connect(wsUrl("/api/chat/lobby"));
+      ws.close();
+    });
+
+    it("should authenticate upgrades to routes exporting auth", async () => {
+      await expect(connect(wsUrl("/api/private"))).rejects.toThrow("Unexpected response 401");
+
+      const token = sign({ sub: "user-1", exp: Math.floor(Date.now() / 1000) + 60 });
+      const headers = { Authorization: `Bearer ${token}` };
+      const { ws, next } = await connect(wsUrl("/api/private"), undefined, { headers });
+      expect(JSON.parse(await next())).toEqual({ sub: "user-1" });
+      ws.close();
+
+      const cookie = await connect(wsUrl("/api/private"), undefined, {
+        headers: { Cookie: `token=${token}` },
+      });
+      expect(JSON.parse(await cookie.next())).toEqual({ sub: "user-1" });
+      cookie.ws.close();
+    });
+
+    it("should run the folder's middleware before accepting", async () => {
+      const { ws, next } = await connect(wsUrl("/api/guarded/room"));
+      expect(JSON.parse(await next())).toEqual({ mw: "ran" });
+      ws.close();
+
+      await expect(connect(wsUrl("/api/guarded/room?deny=1"))).rejects.toThrow(
+        "Unexpected response 401"
+      );
+    });
+
+    it("should apply the route's rate limit to upgrades", async () => {
+      const { ws, next } = await connect(wsUrl("/api/limited"));
+      expect(await next()).toBe("ok");
+      ws.close();
+
+      await expect(connect(wsUrl("/api/limited"))).rejects.toThrow("Unexpected response 429");
+    });
+
+    it("should answer plain HTTP requests with 426", async () => {
+      const res = await fetch(`http://${servers[mode]}/api/broken`);
+      expect(res.status).toBe(426);
+      expect(res.headers.get("upgrade")).toBe("websocket");
+    });
+  });
+
+  it("should leave Vite's HMR socket working in dev", async () => {
+    const { ws, next } = await connect(`ws://${servers.dev}/`, "vite-hmr");
+    expect(JSON.parse(await next())).toEqual({ type: "connected" });
+    ws.close();
+  });
+
+  it("should ignore upgrades outside /api", async () => {
+    const handler = createUpgradeHandler({ router: createRouter(testApiDir), load: jest.fn() });
+    const socket = { end: jest.fn(), destroyed: false };
+    await handler({ url: "/__hmr", headers: { host: "localhost" } }, socket, Buffer.alloc(0));
+    expect(socket.end).not.toHaveBeenCalled();
+  });
+});